@@ -0,0 +1,153 @@
+// Permission catalog and the built-in role -> permission mapping.
+//
+// Permissions are "<resource>:<action>". Routes guarded with an ownership
+// policy also accept "<resource>:<action>:any", which skips the ownership check
+// (e.g. admins editing any course). Grants may use wildcards: "*" or "course:*".
+
+const PERMISSIONS = {
+  // Accounts & platform administration
+  "user:read": "List and view user accounts",
+  "user:update": "Edit any user account, including its role",
+  "user:delete": "Delete user accounts",
+  "user:unlock": "Clear failed-login lockouts",
+  "audit:read": "Read the login audit",
+  "session:manage": "List and revoke the login sessions of any user",
+  "role:manage": "Create, edit and delete custom roles",
+
+  // Catalog
+  "category:create": "Create categories",
+  "category:update": "Edit categories",
+  "category:delete": "Delete categories",
+  "course:read:any": "List every course, including unpublished ones",
+  "course:learn:any": "Open the full content of any course without enrolling",
+  "course:create": "Create courses",
+  "course:update": "Edit own courses",
+  "course:update:any": "Edit any course",
+  "course:delete": "Delete own courses",
+  "course:delete:any": "Delete any course",
+  "course:publish": "Publish or unpublish courses",
+  "course:analytics": "View learner analytics of own courses",
+  "course:analytics:any": "View learner analytics of any course",
+  "lesson:create": "Add lessons to own courses",
+  "lesson:create:any": "Add lessons to any course",
+  "lesson:update": "Edit lessons of own courses",
+  "lesson:update:any": "Edit lessons of any course",
+  "lesson:delete": "Delete lessons of own courses",
+  "lesson:delete:any": "Delete lessons of any course",
+
+  // Learning
+  "enrollment:create": "Enroll in courses",
+  "enrollment:read": "View all enrollments",
+  "enrollment:confirm": "Confirm the payments of guest checkouts",
+  "certificate:manage": "Revoke and reinstate certificates",
+  "quiz:attempt": "Take quizzes",
+  "quiz:create": "Create quizzes for own courses",
+  "quiz:create:any": "Create quizzes for any course",
+  "quiz:update": "Edit quizzes of own courses",
+  "quiz:update:any": "Edit quizzes of any course",
+  "quiz:delete": "Delete quizzes of own courses",
+  "quiz:delete:any": "Delete quizzes of any course",
+  "quiz:publish": "Publish quizzes of own courses",
+  "quiz:publish:any": "Publish quizzes of any course",
+  "quiz:analytics": "View analytics of own quizzes",
+  "quiz:analytics:any": "View analytics of any quiz",
+  "exam:create": "Create exams for own courses",
+  "exam:create:any": "Create exams for any course",
+  "exam:update": "Edit exams of own courses",
+  "exam:update:any": "Edit exams of any course",
+  "exam:delete": "Delete exams of own courses",
+  "exam:delete:any": "Delete exams of any course",
+  "exam:publish": "Publish exams of own courses",
+  "exam:publish:any": "Publish exams of any course",
+  "question-bank:manage": "Manage the question banks of own courses",
+  "question-bank:manage:any": "Manage the question banks of any course",
+  "submission:grade": "Grade quiz and exam answers of own courses",
+  "submission:grade:any": "Grade quiz and exam answers of any course",
+
+  // Communication
+  "announcement:create": "Create announcements",
+  "announcement:update": "Edit own announcements",
+  "announcement:update:any": "Edit any announcement",
+  "announcement:delete": "Delete own announcements",
+  "announcement:delete:any": "Delete any announcement",
+  "announcement:publish": "Publish own announcements",
+  "announcement:publish:any": "Publish any announcement",
+  "community:post": "Post questions and answers in the community",
+  "community:accept": "Accept answers to own community questions",
+  "community:accept:any": "Accept answers to any community question",
+  "contact:read": "Read contact form submissions",
+  "contact:update": "Change the status of contact submissions",
+  "contact:delete": "Delete contact submissions",
+
+  // Events
+  "webinar:create": "Create webinars",
+  "webinar:update": "Edit webinars",
+  "webinar:delete": "Delete webinars",
+  "webinar:registrations": "View webinar registrations",
+  "live-session:create": "Schedule live sessions",
+  "live-session:update": "Edit own live sessions",
+  "live-session:update:any": "Edit any live session",
+  "live-session:delete": "Delete own live sessions",
+  "live-session:delete:any": "Delete any live session",
+  "live-session:host": "Start and end own live sessions",
+  "live-session:host:any": "Start and end any live session",
+
+  // Site content
+  "homepage:edit": "Edit the homepage content",
+  "mentor-room:edit": "Edit the mentor room page",
+};
+
+const BUILT_IN_ROLES = {
+  student: {
+    description: "Learner account",
+    permissions: ["enrollment:create", "quiz:attempt", "community:post", "community:accept"],
+  },
+  instructor: {
+    description: "Creates and teaches courses",
+    permissions: [
+      "enrollment:create",
+      "quiz:attempt",
+      "community:post",
+      "community:accept",
+      "category:create",
+      "category:update",
+      "category:delete",
+      "course:create",
+      "course:update",
+      "course:delete",
+      "course:publish",
+      "course:analytics",
+      "lesson:create",
+      "lesson:update",
+      "lesson:delete",
+      "quiz:create",
+      "quiz:update",
+      "quiz:delete",
+      "quiz:publish",
+      "quiz:analytics",
+      "exam:create",
+      "exam:update",
+      "exam:delete",
+      "exam:publish",
+      "question-bank:manage",
+      "submission:grade",
+      "announcement:create",
+      "announcement:update",
+      "announcement:delete",
+      "announcement:publish",
+      "live-session:create",
+      "live-session:update",
+      "live-session:delete",
+      "live-session:host",
+    ],
+  },
+  admin: {
+    description: "Full access",
+    permissions: ["*"],
+  },
+};
+
+// Roles a visitor may pick when signing up
+const SELF_SIGNUP_ROLES = ["student", "instructor"];
+
+module.exports = { PERMISSIONS, BUILT_IN_ROLES, SELF_SIGNUP_ROLES };
@@ -0,0 +1,27 @@
+// Mutating routes that are intentionally reachable without an access token.
+// The startup route audit (utils/routeAudit.js) fails on any other POST/PUT/
+// PATCH/DELETE route that has no auth middleware. Keep the reason up to date.
+
+module.exports = [
+  // Authentication: these establish or end the session themselves
+  { method: "POST", path: "/api/v1/auth/signup", reason: "Account creation" },
+  { method: "POST", path: "/api/v1/auth/login", reason: "Password login" },
+  { method: "POST", path: "/api/v1/auth/refresh", reason: "Authenticated by the refresh token" },
+  { method: "POST", path: "/api/v1/auth/logout", reason: "Authenticated by the refresh token" },
+  { method: "POST", path: "/api/v1/auth/verify-email", reason: "Authenticated by the signed email link" },
+  { method: "POST", path: "/api/v1/auth/forgot-password", reason: "Sends a reset link to the account email" },
+  { method: "POST", path: "/api/v1/auth/reset-password", reason: "Authenticated by the signed email link" },
+  { method: "POST", path: "/api/v1/auth/2fa/verify", reason: "Authenticated by the login challenge token" },
+  { method: "POST", path: "/api/v1/auth/oidc/:provider/callback", reason: "Authenticated by the stored OIDC state and ID token" },
+
+  // Third parties
+  { method: "POST", path: "/api/v1/payments/bkash/webhook", reason: "bKash server callback" },
+
+  // Public website forms
+  { method: "POST", path: "/api/v1/contact", reason: "Public contact form" },
+  { method: "POST", path: "/api/v1/webinars/:webinarId/register", reason: "Public webinar registration" },
+  { method: "POST", path: "/api/v1/enrollments", reason: "Guest checkout; stays Pending (no access) until an admin confirms the payment" },
+
+  // Community forum: anyone may like an answer, posting needs an account
+  { method: "PUT", path: "/api/v1/community/answers/:id/like", reason: "Public community forum" },
+];
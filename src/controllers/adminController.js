@@ -1,5 +1,12 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Course = require('../models/Course');
+const LoginAttempt = require('../models/LoginAttempt');
+const loginGuard = require('../services/loginGuard');
+const sessions = require('../services/sessionService');
+const tokens = require('../services/tokenService');
+const { auditRoutes } = require('../utils/routeAudit');
+const publicRoutes = require('../config/publicRoutes');
 
 exports.listUsers = async (req,res,next) => {
   const users = await User.find().select('-passwordHash').limit(200);
@@ -10,3 +17,66 @@ exports.listCourses = async (req,res,next) => {
   const courses = await Course.find().populate('instructor','name email').limit(200);
   res.json(courses);
 };
+
+// Clears the failed-login lockout of an account
+exports.unlockUser = async (req,res,next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if(!user) return res.status(404).json({ msg: 'User not found' });
+    const wasLocked = await loginGuard.unlockAccount(user.email);
+    res.json({ msg: wasLocked ? 'Account unlocked' : 'Account was not locked', userId: user._id });
+  } catch(err){ next(err); }
+};
+
+exports.listUserSessions = async (req,res,next) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id');
+    if(!user) return res.status(404).json({ msg: 'User not found' });
+    const active = await sessions.listActive(user._id);
+    res.json({ userId: user._id, sessions: active.map((s) => s.toPublic()) });
+  } catch(err){ next(err); }
+};
+
+// Force logout: ends one session (`sessionId` in the body) or all of them
+exports.forceLogout = async (req,res,next) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id');
+    if(!user) return res.status(404).json({ msg: 'User not found' });
+    const { sessionId } = req.body || {};
+    if(sessionId){
+      if(!mongoose.Types.ObjectId.isValid(sessionId)) return res.status(400).json({ msg: 'Invalid session ID' });
+      const revoked = await tokens.revokeSession(user._id, sessionId, 'admin');
+      if(!revoked) return res.status(404).json({ msg: 'Session not found' });
+      return res.json({ msg: 'Session revoked', userId: user._id, sessionId });
+    }
+    await tokens.revokeAllForUser(user._id, 'admin');
+    res.json({ msg: 'User logged out from all devices', userId: user._id });
+  } catch(err){ next(err); }
+};
+
+// Login audit with optional email / ip / success filters
+exports.listLoginAttempts = async (req,res,next) => {
+  try {
+    const { email, ip, success, page = 1, limit = 50 } = req.query;
+    const filter = {};
+    if(email) filter.email = String(email).toLowerCase();
+    if(ip) filter.ipAddress = ip;
+    if(success !== undefined) filter.success = success === 'true';
+
+    const [attempts, total] = await Promise.all([
+      LoginAttempt.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((Number(page) - 1) * Number(limit))
+        .limit(Math.min(Number(limit), 200))
+        .populate('user', 'name email role'),
+      LoginAttempt.countDocuments(filter)
+    ]);
+    res.json({ total, page: Number(page), attempts });
+  } catch(err){ next(err); }
+};
+
+// Auth coverage of every mounted route (see utils/routeAudit.js)
+exports.routeAudit = async (req,res) => {
+  const report = auditRoutes(req.app, publicRoutes);
+  res.json(report);
+};
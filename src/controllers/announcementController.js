@@ -1,5 +1,6 @@
 const Announcement = require("../models/Announcement");
 const Course = require("../models/Course");
+const User = require("../models/User");
 
 // @desc    Get all announcements with filters
 // @route   GET /api/v1/announcements
@@ -165,7 +166,7 @@ exports.getAnnouncement = async (req, res) => {
 
 // @desc    Create a new announcement
 // @route   POST /api/v1/announcements
-// @access  Public
+// @access  Private (announcement:create)
 exports.createAnnouncement = async (req, res) => {
   try {
     const {
@@ -206,11 +207,8 @@ exports.createAnnouncement = async (req, res) => {
       courseName = course.title;
     }
 
-    // For public access, use default instructor info
-    const defaultInstructor = {
-      id: "public_user",
-      name: "Public User",
-    };
+    // Author is the authenticated user
+    const author = await User.findById(req.user.id).select("name");
 
     // Process tags
     let processedTags = [];
@@ -244,8 +242,8 @@ exports.createAnnouncement = async (req, res) => {
       courseId: announcementType === "course" && courseId ? courseId : null,
       courseName: announcementType === "course" ? courseName : null,
       announcementType,
-      instructorId: defaultInstructor.id,
-      instructorName: defaultInstructor.name,
+      instructorId: req.user.id,
+      instructorName: author ? author.name : undefined,
       priority: priority || "medium",
       status: status || "draft",
       sentTo: sentTo || "all",
@@ -274,7 +272,7 @@ exports.createAnnouncement = async (req, res) => {
 
 // @desc    Update an announcement
 // @route   PUT /api/v1/announcements/:id
-// @access  Public
+// @access  Private (announcement:update)
 exports.updateAnnouncement = async (req, res) => {
   try {
     const { id } = req.params;
@@ -369,7 +367,7 @@ exports.updateAnnouncement = async (req, res) => {
 
 // @desc    Delete an announcement
 // @route   DELETE /api/v1/announcements/:id
-// @access  Public
+// @access  Private (announcement:delete)
 exports.deleteAnnouncement = async (req, res) => {
   try {
     const { id } = req.params;
@@ -403,7 +401,7 @@ exports.deleteAnnouncement = async (req, res) => {
 
 // @desc    Publish an announcement
 // @route   PATCH /api/v1/announcements/:id/publish
-// @access  Public
+// @access  Private (announcement:publish)
 exports.publishAnnouncement = async (req, res) => {
   try {
     const { id } = req.params;
@@ -695,7 +693,7 @@ exports.getRecentAnnouncements = async (req, res) => {
 
 // @desc    Remove attachment from announcement
 // @route   DELETE /api/v1/announcements/:id/attachments/:attachmentId
-// @access  Public
+// @access  Private (announcement:update)
 exports.removeAttachment = async (req, res) => {
   try {
     const { id, attachmentId } = req.params;
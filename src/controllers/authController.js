@@ -1,10 +1,25 @@
 const { validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const tokens = require('../services/tokenService');
+const mail = require('../services/mailService');
+const loginGuard = require('../services/loginGuard');
+const { completeLogin } = require('../services/loginService');
+const { linkByEmail } = require('../services/enrollmentService');
+const { SELF_SIGNUP_ROLES } = require('../config/permissions');
 
-const signToken = (user) => {
-  return jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRES_IN || '15m' });
+const VERIFY_EMAIL_EXPIRES_IN = process.env.VERIFY_EMAIL_EXPIRES_IN || '24h';
+const RESET_PASSWORD_EXPIRES_IN = process.env.RESET_PASSWORD_EXPIRES_IN || '30m';
+
+// Issues a fresh verification token (invalidating older ones) and emails it
+const sendVerification = async (user) => {
+  const { token, jti } = tokens.signActionToken(user, 'verify-email', VERIFY_EMAIL_EXPIRES_IN);
+  await User.updateOne({ _id: user._id }, { verificationTokenId: jti });
+  try {
+    await mail.sendVerificationEmail(user, token);
+  } catch(emailError){
+    console.error('Error sending verification email:', emailError);
+  }
 };
 
 exports.signup = async (req,res,next) => {
@@ -12,28 +27,141 @@ exports.signup = async (req,res,next) => {
     const errors = validationResult(req);
     if(!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
     const { name, email, password, role } = req.body;
+    if(role && !SELF_SIGNUP_ROLES.includes(role)) return res.status(400).json({ msg: 'Invalid role' });
     const exist = await User.findOne({ email });
     if(exist) return res.status(400).json({ msg: 'Email already in use' });
     const passwordHash = await bcrypt.hash(password, 10);
     const user = await User.create({ name, email, passwordHash, role: role || 'student' });
-    const token = signToken(user);
-    res.json({ user: { id: user._id, name: user.name, email: user.email, role: user.role }, token });
+    await sendVerification(user);
+    const pair = await tokens.issueTokenPair(user, req);
+    res.json({ user: user.toPublic(), ...pair });
   } catch(err){ next(err); }
 };
 
 exports.login = async (req,res,next) => {
   try {
+    const errors = validationResult(req);
+    if(!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
     const { email, password } = req.body;
+
+    const gate = await loginGuard.check(email, req.ip);
+    if(!gate.allowed){
+      await loginGuard.audit(req, { email, success: false, reason: gate.reason });
+      const retryAfter = Math.ceil(gate.retryAfterMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      const msg = gate.reason === 'throttled'
+        ? 'Too many failed attempts. Please wait before trying again.'
+        : 'Too many failed attempts. Login is temporarily locked.';
+      return res.status(429).json({ msg, retryAfter });
+    }
+
     const user = await User.findOne({ email });
-    if(!user) return res.status(401).json({ msg: 'Invalid credentials' });
-    const ok = await bcrypt.compare(password, user.passwordHash);
-    if(!ok) return res.status(401).json({ msg: 'Invalid credentials' });
-    const token = signToken(user);
-    res.json({ token, user: { id: user._id, name: user.name, email: user.email, role: user.role }});
+    const ok = user && user.passwordHash ? await bcrypt.compare(password, user.passwordHash) : false;
+    if(!ok){
+      await loginGuard.recordFailure(email, req.ip);
+      await loginGuard.audit(req, { email, user, success: false, reason: user ? 'bad-password' : 'unknown-user' });
+      return res.status(401).json({ msg: 'Invalid credentials' });
+    }
+
+    res.json(await completeLogin(req, user));
+  } catch(err){ next(err); }
+};
+
+// Rotates the refresh token: the presented one is spent and a new pair is returned
+exports.refreshToken = async (req,res,next) => {
+  try {
+    const { user, tokens: pair } = await tokens.rotateRefreshToken(
+      req.body.refreshToken, req, (id) => User.findById(id)
+    );
+    res.json({ ...pair, user: user.toPublic() });
+  } catch(err){
+    if(err.status === 401) return res.status(401).json({ msg: err.message });
+    next(err);
+  }
+};
+
+// Revokes the presented refresh token (and the rest of its rotation family)
+exports.logout = async (req,res,next) => {
+  try {
+    await tokens.revokeRefreshToken(req.body.refreshToken, 'logout');
+    res.json({ msg: 'Logged out' });
+  } catch(err){ next(err); }
+};
+
+// Revokes every refresh token of the current user ("log out all devices")
+exports.logoutAll = async (req,res,next) => {
+  try {
+    await tokens.revokeAllForUser(req.user.id, 'logout-all');
+    res.json({ msg: 'Logged out from all devices' });
   } catch(err){ next(err); }
 };
 
-exports.refreshToken = async (req,res) => {
-  // For simplicity this scaffold doesn't implement refresh tokens fully.
-  res.status(501).json({ msg: 'Not implemented in scaffold. Use JWT refresh token strategy in production.' });
+// Confirms the email address using the token from the verification email
+exports.verifyEmail = async (req,res,next) => {
+  try {
+    const payload = tokens.verifyActionToken(req.body.token, 'verify-email');
+    if(!payload) return res.status(400).json({ msg: 'Invalid or expired verification link' });
+    // Matching on the stored token id makes the link single-use; matching the
+    // email keeps a link sent before an email change from verifying the new address
+    const user = await User.findOneAndUpdate(
+      { _id: payload.id, email: payload.email, verificationTokenId: payload.jti },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() }, $unset: { verificationTokenId: 1 } },
+      { new: true }
+    );
+    if(!user) return res.status(400).json({ msg: 'Invalid or expired verification link' });
+    await linkByEmail(user);
+    res.json({ msg: 'Email verified', user: user.toPublic() });
+  } catch(err){ next(err); }
+};
+
+exports.resendVerification = async (req,res,next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if(!user) return res.status(404).json({ msg: 'User not found' });
+    if(user.emailVerified) return res.status(400).json({ msg: 'Email already verified' });
+    await sendVerification(user);
+    res.json({ msg: 'Verification email sent' });
+  } catch(err){ next(err); }
+};
+
+// Always answers the same way so the endpoint cannot be used to probe accounts
+exports.forgotPassword = async (req,res,next) => {
+  try {
+    const errors = validationResult(req);
+    if(!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const user = await User.findOne({ email: req.body.email });
+    if(user){
+      const { token, jti } = tokens.signActionToken(user, 'reset-password', RESET_PASSWORD_EXPIRES_IN);
+      await User.updateOne({ _id: user._id }, { passwordResetTokenId: jti });
+      try {
+        await mail.sendPasswordResetEmail(user, token);
+      } catch(emailError){
+        console.error('Error sending password reset email:', emailError);
+      }
+    }
+    res.json({ msg: 'If that email is registered, a reset link has been sent' });
+  } catch(err){ next(err); }
+};
+
+exports.resetPassword = async (req,res,next) => {
+  try {
+    const errors = validationResult(req);
+    if(!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    const payload = tokens.verifyActionToken(req.body.token, 'reset-password');
+    if(!payload) return res.status(400).json({ msg: 'Invalid or expired reset link' });
+    const passwordHash = await bcrypt.hash(req.body.password, 10);
+    // Receiving the link by email also proves ownership of the address
+    const user = await User.findOneAndUpdate(
+      { _id: payload.id, email: payload.email, passwordResetTokenId: payload.jti },
+      {
+        $set: { passwordHash, passwordChangedAt: new Date(), emailVerified: true },
+        $unset: { passwordResetTokenId: 1 }
+      },
+      { new: true }
+    );
+    if(!user) return res.status(400).json({ msg: 'Invalid or expired reset link' });
+    await tokens.revokeAllForUser(user._id, 'logout-all');
+    await linkByEmail(user);
+    res.json({ msg: 'Password has been reset. Please log in again.' });
+  } catch(err){ next(err); }
 };
@@ -0,0 +1,113 @@
+const Certificate = require("../models/Certificate");
+const Course = require("../models/Course");
+const certificatePdf = require("../services/certificatePdfService");
+
+const findByCertificateId = (certificateId) =>
+  Certificate.findOne({ certificateId: String(certificateId).trim().toUpperCase() });
+
+// Accepts codes with or without dashes, in any case ("abcd efgh..." too)
+const normalizeCode = (code) => {
+  const plain = String(code).toUpperCase().replace(/[^0-9A-Z]/g, "");
+  return plain.length === 16 ? plain.match(/.{4}/g).join("-") : plain;
+};
+
+// @desc    Verify a certificate by its verification code
+// @route   GET /api/v1/certificates/verify/:code
+// @access  Public
+exports.verify = async (req, res, next) => {
+  try {
+    const certificate = await Certificate.findOne({ verificationCode: normalizeCode(req.params.code) });
+    if (!certificate) {
+      return res.status(404).json({ success: false, valid: false, message: "No certificate matches this code" });
+    }
+    res.json({ success: true, ...certificate.toVerification() });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Revoke a certificate
+// @route   POST /api/v1/certificates/:certificateId/revoke
+// @access  certificate:manage
+exports.revoke = async (req, res, next) => {
+  try {
+    const reason = String((req.body && req.body.reason) || "").trim();
+    if (!reason) {
+      return res.status(400).json({ success: false, message: "A reason is required" });
+    }
+
+    const certificate = await findByCertificateId(req.params.certificateId);
+    if (!certificate) {
+      return res.status(404).json({ success: false, message: "Certificate not found" });
+    }
+    if (certificate.isRevoked) {
+      return res.status(409).json({ success: false, message: "Certificate is already revoked" });
+    }
+
+    const now = new Date();
+    certificate.isRevoked = true;
+    certificate.revokeReason = reason;
+    certificate.revokedAt = now;
+    certificate.revokedBy = req.user.id;
+    certificate.history.push({ action: "revoke", reason, by: req.user.id, at: now });
+    await certificate.save();
+    await certificatePdf.removePdf(certificate);
+
+    res.json({ success: true, message: "Certificate revoked", certificate });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Reinstate a revoked certificate
+// @route   POST /api/v1/certificates/:certificateId/reinstate
+// @access  certificate:manage
+exports.reinstate = async (req, res, next) => {
+  try {
+    const certificate = await findByCertificateId(req.params.certificateId);
+    if (!certificate) {
+      return res.status(404).json({ success: false, message: "Certificate not found" });
+    }
+    if (!certificate.isRevoked) {
+      return res.status(409).json({ success: false, message: "Certificate is not revoked" });
+    }
+
+    const reason = String((req.body && req.body.reason) || "").trim();
+    certificate.isRevoked = false;
+    certificate.revokeReason = undefined;
+    certificate.revokedAt = undefined;
+    certificate.revokedBy = undefined;
+    certificate.history.push({ action: "reinstate", reason: reason || undefined, by: req.user.id, at: new Date() });
+    await certificate.save();
+
+    res.json({ success: true, message: "Certificate reinstated", certificate });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Download a certificate as PDF
+// @route   GET /api/v1/certificates/:certificateId/pdf
+// @access  Public (the certificate ID is shared for verification)
+exports.downloadPdf = async (req, res, next) => {
+  try {
+    const certificate = await findByCertificateId(req.params.certificateId);
+    if (!certificate) {
+      return res.status(404).json({ success: false, message: "Certificate not found" });
+    }
+    if (certificate.isRevoked) {
+      return res.status(410).json({ success: false, message: "Certificate has been revoked" });
+    }
+
+    const course = await Course.findById(certificate.courseId).select("certificateTemplate updatedAt");
+    const file = await certificatePdf.getPdfPath(certificate, course);
+
+    const disposition = req.query.download === "true" ? "attachment" : "inline";
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `${disposition}; filename="${certificate.certificateId}.pdf"`);
+    res.setHeader("Cache-Control", "private, max-age=300");
+    res.sendFile(file);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,5 +1,6 @@
 const Question = require('../models/Question');
 const Answer = require('../models/Answer');
+const User = require('../models/User');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -59,24 +60,18 @@ exports.createQuestion = async (req, res) => {
     }
     
     try {
-      const { name, email, title, question } = req.body;
+      const { title, question } = req.body;
       
       // Basic validation
-      if (!name || !email || !title || !question) {
+      if (!title || !question) {
         return res.status(400).json({
           success: false,
           message: 'Please fill all required fields',
         });
       }
       
-      // Email validation
-      const emailRegex = /^\S+@\S+\.\S+$/;
-      if (!emailRegex.test(email)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Please enter a valid email address',
-        });
-      }
+      // Posted under the (verified) account; the email identifies the asker
+      const { name, email } = await User.findById(req.user.id).select('name email').lean();
       
       // Handle attachment
       let attachmentData = null;
@@ -318,10 +313,10 @@ exports.createAnswer = async (req, res) => {
     
     try {
       const { id } = req.params;
-      const { name, email, content } = req.body;
+      const { content } = req.body;
       
       // Validate inputs
-      if (!name || !email || !content) {
+      if (!content) {
         return res.status(400).json({
           success: false,
           message: 'Please fill all required fields',
@@ -348,7 +343,8 @@ exports.createAnswer = async (req, res) => {
         };
       }
       
-      // Create answer
+      // Create answer under the (verified) account
+      const { name, email } = await User.findById(req.user.id).select('name email').lean();
       const answerData = {
         questionId: id,
         name,
@@ -476,7 +472,7 @@ exports.likeAnswer = async (req, res) => {
   }
 };
 
-// 7. PUT /api/v1/community/answers/:id/accept - Accept an answer
+// 7. PUT /api/v1/community/answers/:id/accept - Accept an answer (community:accept)
 exports.acceptAnswer = async (req, res) => {
   try {
     const { id } = req.params;
@@ -489,8 +485,7 @@ exports.acceptAnswer = async (req, res) => {
       });
     }
     
-    // Only allow accepting if user is the question asker (simplified - in production, add auth)
-    // For now, we'll accept any request (you should add proper authorization)
+    // The route only lets the asker (or a moderator) through
     
     // Unaccept any previously accepted answer for this question
     await Answer.updateMany(
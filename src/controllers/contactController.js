@@ -1,18 +1,6 @@
 const Contact = require('../models/Contact');
-const nodemailer = require('nodemailer');
-
-// Configure email transporter (for sending notifications)
-const createTransporter = () => {
-  return nodemailer.createTransport({
-    host: process.env.SMTP_HOST,
-    port: process.env.SMTP_PORT,
-    secure: process.env.SMTP_SECURE === 'true',
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS,
-    },
-  });
-};
+// Shared email transporter (for sending notifications)
+const { createTransporter } = require('../services/mailService');
 
 // 1. POST /api/v1/contact - Submit contact form
 exports.submitContact = async (req, res) => {
@@ -1,9 +1,43 @@
 const Course = require("../models/Course");
 const Category = require("../models/Category");
+const User = require("../models/User");
+const Certificate = require("../models/Certificate");
+const permissions = require("../services/permissionService");
+const courseAccess = require("../services/courseAccessService");
+const { enrollFree } = require("../services/enrollmentService");
+const progressService = require("../services/progressService");
+const unlock = require("../services/unlockService");
+const watchService = require("../services/watchService");
+const certificates = require("../services/certificateService");
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
 
+// Answers 403 and resolves to true when the lesson is locked for the learner
+const rejectLockedLesson = async (req, res, lessonId) => {
+  const states = await unlock.getLessonStates(req.user.id, req.course, req.courseAccess);
+  const state = states.get(String(lessonId));
+  if (!state || state.status !== "locked") return false;
+  res.status(403).json({
+    success: false,
+    msg: "This lesson is still locked",
+    reason: state.reason,
+    unlocksAt: state.unlocksAt,
+    quizId: state.quizId
+  });
+  return true;
+};
+
+// Modules the user may see, each lesson annotated with its per-user status
+const learnerModules = async (req, course, access, level) => {
+  const states = await unlock.getLessonStates(req.user.id, course, access);
+  return unlock.applyLessonStates(
+    courseAccess.visibleModules(course, level),
+    states,
+    courseAccess.lessonOutline
+  );
+};
+
 // 1. Multer configuration for file uploads (for backward compatibility)
 const courseStorage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -66,8 +100,10 @@ exports.list = async (req, res, next) => {
       .populate("instructor", "name email role")
       .populate("category", "name slug description");
 
+    // Catalog view: lesson outline only, content stays behind enrollment
     const mappedCourses = courses.map((course) => ({
       ...course.toObject(),
+      modules: courseAccess.visibleModules(course, "outline"),
       category: course.category ? [course.category] : [],
       instructor: course.instructor ? course.instructor : null,
     }));
@@ -87,13 +123,20 @@ exports.get = async (req, res, next) => {
 
     if (!course) return res.status(404).json({ success: false, msg: "Course not found" });
 
+    // Full content for learners with access (and the instructor's editor);
+    // lessons still locked by the progression rules keep only their outline
+    const access = await courseAccess.getAccess(req.user, course);
     res.json({
       success: true,
       course: {
         ...course.toObject(),
+        modules: access.level === "full"
+          ? await learnerModules(req, course, access, "full")
+          : courseAccess.visibleModules(course, "outline"),
         category: course.category ? [course.category] : [],
         instructor: course.instructor ? course.instructor : null,
       },
+      access: { level: access.level, reason: access.reason },
     });
   } catch (err) {
     next(err);
@@ -216,6 +259,12 @@ exports.create = async (req, res, next) => {
     // Ensure proper data types
     payload.price = Number(payload.price) || 0;
     payload.published = payload.published === 'true' || payload.published === true;
+    if (payload.published && !(await permissions.can(req.user, "course:publish"))) {
+      return res.status(403).json({ 
+        success: false, 
+        msg: "Forbidden: cannot publish courses" 
+      });
+    }
 
     // Create course
     const createdCourse = await Course.create(payload);
@@ -249,15 +298,23 @@ exports.update = async (req, res, next) => {
       });
     }
 
-    // Check permissions
-    if (req.user.role !== "admin" && course.instructor.toString() !== req.user.id) {
+    // Ownership is enforced by the route policy; publishing is a separate permission
+    const updates = { ...req.body };
+    if (updates.published !== undefined) {
+      updates.published = updates.published === true || updates.published === "true";
+    }
+    if (
+      updates.published !== undefined &&
+      updates.published !== course.published &&
+      !(await permissions.can(req.user, "course:publish"))
+    ) {
       return res.status(403).json({ 
         success: false, 
-        msg: "Forbidden" 
+        msg: "Forbidden: cannot publish courses" 
       });
     }
 
-    Object.assign(course, req.body);
+    Object.assign(course, updates);
 
     if (req.body.modules) {
       course.totalModules = req.body.modules.length;
@@ -290,13 +347,6 @@ exports.remove = async (req, res, next) => {
       });
     }
 
-    if (req.user.role !== "admin" && course.instructor.toString() !== req.user.id) {
-      return res.status(403).json({ 
-        success: false, 
-        msg: "Forbidden" 
-      });
-    }
-
     await course.deleteOne();
     res.json({ 
       success: true 
@@ -310,7 +360,6 @@ exports.remove = async (req, res, next) => {
 exports.getCourseForLearning = async (req, res, next) => {
   try {
     const { courseId } = req.params;
-    const userId = req.user.id;
 
     const course = await Course.findById(courseId)
       .populate("instructor", "name email role")
@@ -323,13 +372,18 @@ exports.getCourseForLearning = async (req, res, next) => {
       });
     }
 
-    // In a real app, you would check if user is enrolled
-    // For now, just return the course
+    // Non-enrolled users only get the preview lessons; locked lessons come without content
+    const access = await courseAccess.getAccess(req.user, course);
     res.json({
       success: true,
       course: {
         ...course.toObject(),
-        modules: course.modules || []
+        modules: await learnerModules(req, course, access, access.level)
+      },
+      access: {
+        level: access.level,
+        reason: access.reason,
+        expiresAt: access.expiresAt || null
       }
     });
   } catch (err) {
@@ -343,7 +397,7 @@ exports.getSyllabus = async (req, res, next) => {
     const { courseId } = req.params;
 
     const course = await Course.findById(courseId)
-      .select('modules title')
+      .select('modules title instructor accessType accessDurationDays progression')
       .lean();
 
     if (!course) {
@@ -353,9 +407,10 @@ exports.getSyllabus = async (req, res, next) => {
       });
     }
 
+    const access = await courseAccess.getAccess(req.user, course);
     res.json({
       success: true,
-      syllabus: course.modules || [],
+      syllabus: await learnerModules(req, course, access, access.level === "full" ? "full" : "outline"),
       courseTitle: course.title
     });
   } catch (err) {
@@ -364,19 +419,201 @@ exports.getSyllabus = async (req, res, next) => {
 };
 
 // 9. Update lesson progress (NEW)
+// Course and access are resolved by the requireCourseAccess route middleware
 exports.updateLessonProgress = async (req, res, next) => {
   try {
-    const { courseId, lessonId } = req.params;
-    const { completed } = req.body;
+    const { lessonId } = req.params;
+    const { completed, timeSpent, position, notes, bookmarked } = req.body;
+
+    if (await rejectLockedLesson(req, res, lessonId)) return;
+
+    const progress = await progressService.recordLessonProgress(req.user.id, req.course, lessonId, {
+      completed: completed === undefined ? undefined : completed === true || completed === "true",
+      timeSpent,
+      position,
+      notes,
+      bookmarked
+    });
+
+    if (!progress) {
+      return res.status(404).json({
+        success: false,
+        msg: "Lesson not found in this course"
+      });
+    }
 
-    // For now, just acknowledge the request
-    // In a real app, you would update UserProgress model
     res.json({
       success: true,
       message: "Progress updated",
-      completed
+      progress: {
+        progressPercentage: progress.progressPercentage,
+        status: progress.status,
+        totalTimeSpent: progress.totalTimeSpent,
+        currentLesson: progress.currentLesson,
+        completed: progress.completedLessons.some((cl) => String(cl.lessonId) === String(lessonId))
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Video heartbeat: played range since the last beat + current position
+exports.videoHeartbeat = async (req, res, next) => {
+  try {
+    const { lessonId } = req.params;
+    if (await rejectLockedLesson(req, res, lessonId)) return;
+
+    const { from, to, position, duration } = req.body;
+    const result = await watchService.recordHeartbeat(req.user.id, req.course, lessonId, { from, to, position, duration });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        msg: "Lesson not found in this course"
+      });
+    }
+
+    res.json({
+      success: true,
+      watch: {
+        position: result.watch.position,
+        watchedSeconds: result.watch.watchedSeconds,
+        watchedPercentage: result.watch.watchedPercentage,
+        completed: !!result.watch.completedAt,
+        justCompleted: result.completed
+      },
+      progressPercentage: result.progress ? result.progress.progressPercentage : undefined
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Per-lesson video drop-off curve for instructors
+exports.videoAnalytics = async (req, res, next) => {
+  try {
+    const course = await Course.findById(req.params.courseId).select("modules progression");
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        msg: "Course not found"
+      });
+    }
+
+    const buckets = Math.min(Math.max(parseInt(req.query.buckets, 10) || 20, 1), 100);
+    const analytics = await watchService.dropOff(course, req.params.lessonId, buckets);
+    if (!analytics) {
+      return res.status(404).json({
+        success: false,
+        msg: "Lesson not found in this course"
+      });
+    }
+
+    res.json({
+      success: true,
+      analytics
     });
   } catch (err) {
     next(err);
   }
-};
\ No newline at end of file
+};
+
+// Certificate status: the certificate if issued, otherwise the unmet completion rules
+exports.getCertificateStatus = async (req, res, next) => {
+  try {
+    const certificate = await Certificate.findOne({ userId: req.user.id, courseId: req.course._id });
+    if (certificate) {
+      return res.json({ success: true, eligible: true, certificate });
+    }
+
+    const evaluation = await certificates.evaluate(req.user.id, req.course);
+    res.json({
+      success: true,
+      eligible: evaluation.eligible,
+      unmet: evaluation.unmet,
+      score: evaluation.score,
+      grade: evaluation.grade,
+      certificate: null
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Claims the certificate (normally issued automatically on completion)
+exports.claimCertificate = async (req, res, next) => {
+  try {
+    const { certificate, issued, evaluation } = await certificates.issueIfEligible(req.user.id, req.course);
+    if (!certificate) {
+      return res.status(400).json({
+        success: false,
+        msg: "Completion requirements not met yet",
+        unmet: evaluation ? evaluation.unmet : []
+      });
+    }
+
+    res.status(issued ? 201 : 200).json({
+      success: true,
+      certificate
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Learner's progress in a course (resume point, completed lessons, per module)
+exports.getProgress = async (req, res, next) => {
+  try {
+    const progress = await progressService.getCourseProgress(req.user.id, req.course);
+    res.json({
+      success: true,
+      progress
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 10. Enroll in a free course (NEW)
+exports.enroll = async (req, res, next) => {
+  try {
+    const course = await Course.findById(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        msg: "Course not found"
+      });
+    }
+
+    if (course.price > 0) {
+      return res.status(400).json({
+        success: false,
+        msg: "This course is paid; use the payment flow to enroll"
+      });
+    }
+
+    const open = courseAccess.canEnroll(course);
+    if (!open.allowed) {
+      return res.status(400).json({
+        success: false,
+        msg: open.reason
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        msg: "User not found"
+      });
+    }
+
+    const enrollment = await enrollFree(user, course);
+    res.status(201).json({
+      success: true,
+      enrollment
+    });
+  } catch (err) {
+    next(err);
+  }
+};
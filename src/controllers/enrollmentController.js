@@ -1,4 +1,8 @@
+const mongoose = require('mongoose');
 const Enrollment = require('../models/Enrollment');
+const Course = require('../models/Course');
+const enrollmentService = require('../services/enrollmentService');
+const { accessExpiry, canEnroll } = require('../services/courseAccessService');
 
 // @desc    Create new enrollment
 // @route   POST /api/v1/enrollments
@@ -36,23 +40,51 @@ exports.createEnrollment = async (req, res) => {
       });
     }
 
+    if (!mongoose.Types.ObjectId.isValid(courseId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid course ID format'
+      });
+    }
+
+    const course = await Course.findById(courseId).select('published enrollmentDeadline accessType accessDurationDays');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const open = canEnroll(course);
+    if (!open.allowed) {
+      return res.status(400).json({
+        success: false,
+        message: open.reason
+      });
+    }
+
+    // Not attached to any account yet: that happens once the payment is
+    // confirmed (confirmPayment below, or linkByEmail after verification)
+    const email = studentInfo.email.trim().toLowerCase();
+
     // Create new enrollment
     const enrollment = new Enrollment({
-      courseId,
+      course: course._id,
       courseTitle,
       coursePrice: Number(coursePrice),
       studentInfo: {
         fullname: studentInfo.fullname.trim(),
-        email: studentInfo.email.trim().toLowerCase(),
+        email,
         phone: studentInfo.phone.trim()
       },
+      // The client's payment details are unverified: the enrollment grants no
+      // access until an admin confirms the payment (confirmPayment below)
       paymentInfo: {
         method: paymentInfo.method || 'bKash',
         paymentId: paymentInfo.paymentId,
         transactionId: paymentInfo.transactionId,
         amount: Number(paymentInfo.amount) || Number(coursePrice),
-        status: paymentInfo.status || 'Completed',
-        paidAt: paymentInfo.paidAt ? new Date(paymentInfo.paidAt) : new Date()
+        status: 'Pending'
       },
       enrollmentDate: enrollmentDate ? new Date(enrollmentDate) : new Date(),
       status: 'active',
@@ -65,7 +97,7 @@ exports.createEnrollment = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: 'Enrollment created successfully',
+      message: 'Enrollment recorded; access starts once the payment is confirmed',
       data: enrollment
     });
 
@@ -82,14 +114,70 @@ exports.createEnrollment = async (req, res) => {
       });
     }
 
-    // Handle duplicate payment ID
-    if (error.code === 11000) {
+    // One enrollment per learner and course
+    if (enrollmentService.isDuplicate(error)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Already enrolled in this course'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Confirm (or reject) the payment of a guest checkout
+// @route   PATCH /api/v1/enrollments/:id/payment
+// @access  Private (enrollment:confirm)
+exports.confirmPayment = async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!['Completed', 'Failed'].includes(status)) {
       return res.status(400).json({
         success: false,
-        message: 'Payment ID already exists'
+        message: 'status must be Completed or Failed'
       });
     }
 
+    const enrollment = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Enrollment.findById(req.params.id)
+      : null;
+    if (!enrollment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enrollment not found'
+      });
+    }
+
+    if (enrollment.paymentInfo.status !== 'Pending') {
+      return res.status(409).json({
+        success: false,
+        message: `Payment is already ${enrollment.paymentInfo.status}`
+      });
+    }
+
+    enrollment.paymentInfo.status = status;
+    if (status === 'Completed') {
+      // Access (for timed courses) runs from the confirmation
+      const course = await Course.findById(enrollment.course).select('accessType accessDurationDays');
+      enrollment.paymentInfo.paidAt = new Date();
+      enrollment.accessExpiresAt = accessExpiry(course);
+    }
+    await enrollment.save();
+    if (status === 'Completed') await enrollmentService.linkEnrollment(enrollment);
+
+    res.status(200).json({
+      success: true,
+      message: `Payment marked as ${status}`,
+      data: enrollment
+    });
+
+  } catch (error) {
+    console.error('Confirm payment error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -100,7 +188,7 @@ exports.createEnrollment = async (req, res) => {
 
 // @desc    Get all enrollments
 // @route   GET /api/v1/enrollments
-// @access  Public
+// @access  Private (enrollment:read)
 exports.getAllEnrollments = async (req, res) => {
   try {
     const {
@@ -131,7 +219,7 @@ exports.getAllEnrollments = async (req, res) => {
 
     // Filter by course ID
     if (courseId) {
-      filter.courseId = courseId;
+      filter.course = courseId;
     }
 
     // Filter by status
@@ -159,6 +247,7 @@ exports.getAllEnrollments = async (req, res) => {
 
     // Execute query with pagination
     const enrollments = await Enrollment.find(filter)
+      .populate('user', 'name email')
       .sort(sort)
       .skip(skip)
       .limit(parseInt(limit));
@@ -187,10 +276,12 @@ exports.getAllEnrollments = async (req, res) => {
 
 // @desc    Get single enrollment by ID
 // @route   GET /api/v1/enrollments/:id
-// @access  Public
+// @access  Private (enrollment:read)
 exports.getEnrollmentById = async (req, res) => {
   try {
-    const enrollment = await Enrollment.findById(req.params.id);
+    const enrollment = await Enrollment.findById(req.params.id)
+      .populate('user', 'name email')
+      .populate('course', 'title price');
 
     if (!enrollment) {
       return res.status(404).json({
@@ -224,7 +315,7 @@ exports.getEnrollmentById = async (req, res) => {
 
 // @desc    Get enrollments by student email
 // @route   GET /api/v1/enrollments/student/:email
-// @access  Public
+// @access  Private (enrollment:read)
 exports.getEnrollmentsByEmail = async (req, res) => {
   try {
     const email = req.params.email.toLowerCase();
@@ -251,12 +342,21 @@ exports.getEnrollmentsByEmail = async (req, res) => {
 
 // @desc    Get enrollments by course ID
 // @route   GET /api/v1/enrollments/course/:courseId
-// @access  Public
+// @access  Private (enrollment:read)
 exports.getEnrollmentsByCourse = async (req, res) => {
   try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.courseId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid course ID format'
+      });
+    }
+
     const enrollments = await Enrollment.find({
-      courseId: req.params.courseId
-    }).sort({ enrollmentDate: -1 });
+      course: req.params.courseId
+    })
+      .populate('user', 'name email')
+      .sort({ enrollmentDate: -1 });
 
     res.status(200).json({
       success: true,
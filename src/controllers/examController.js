@@ -0,0 +1,290 @@
+const mongoose = require("mongoose");
+const Course = require("../models/Course");
+const Exam = require("../models/Exam");
+const UserProgress = require("../models/UserProgress");
+const exams = require("../services/examService");
+
+// Fields instructors may set; courseId always comes from the URL
+const EDITABLE_FIELDS = [
+  "title",
+  "description",
+  "moduleId",
+  "lessonId",
+  "duration",
+  "passingScore",
+  "maxAttempts",
+  "instructions",
+  "questions",
+  "isActive",
+  "scheduledDate",
+  "availableFrom",
+  "availableUntil",
+];
+
+const pickEditable = (body = {}) =>
+  EDITABLE_FIELDS.reduce((out, field) => {
+    if (body[field] !== undefined) out[field] = body[field];
+    return out;
+  }, {});
+
+// Course instructors and admins see drafts and answers
+const managesCourse = (req) => ["instructor", "admin"].includes(req.courseAccess && req.courseAccess.reason);
+
+const findExam = (req) => {
+  const { courseId, examId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(courseId) || !mongoose.Types.ObjectId.isValid(examId)) return null;
+  return Exam.findOne({ _id: examId, courseId });
+};
+
+const hasAttempts = (exam) => UserProgress.exists({ "examAttempts.examId": exam._id });
+
+const notFound = (res) => res.status(404).json({ success: false, msg: "Exam not found" });
+
+const validationFailed = (res, err) =>
+  res.status(400).json({
+    success: false,
+    msg: "Invalid exam",
+    errors: Object.values(err.errors).map((e) => e.message),
+  });
+
+// @desc    Exams of a course (drafts only for instructors)
+// @route   GET /api/v1/courses/:courseId/exams
+exports.list = async (req, res, next) => {
+  try {
+    const manager = managesCourse(req);
+    const filter = { courseId: req.course._id };
+    if (!manager) Object.assign(filter, { isPublished: true, isActive: true });
+
+    const list = await Exam.find(filter).sort({ scheduledDate: 1, createdAt: 1 });
+    if (manager) {
+      return res.json({ success: true, count: list.length, exams: list.map((e) => ({ ...e.toObject(), questions: undefined })) });
+    }
+
+    const progress = await UserProgress.findOne({ userId: req.user.id, courseId: req.course._id }).select("examAttempts").lean();
+    const attempts = (progress && progress.examAttempts) || [];
+    const now = new Date();
+    const data = list.map((exam) => {
+      const mine = attempts.filter((a) => String(a.examId) === String(exam._id));
+      const graded = mine.filter((a) => !a.status || a.status === "completed");
+      return {
+        ...exams.publicExam(exam),
+        available: !exams.unavailableReason(exam, now),
+        attemptsUsed: mine.length,
+        inProgress: mine.some((a) => a.status === "in-progress"),
+        bestPercentage: graded.length ? Math.max(...graded.map((a) => a.percentage || 0)) : null,
+        passed: graded.some((a) => a.passed),
+      };
+    });
+    res.json({ success: true, count: data.length, exams: data });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    One exam; learners get it without questions plus their attempts
+// @route   GET /api/v1/courses/:courseId/exams/:examId
+exports.get = async (req, res, next) => {
+  try {
+    const exam = await findExam(req);
+    if (!exam) return notFound(res);
+    if (managesCourse(req)) return res.json({ success: true, exam });
+    if (!exam.isPublished || !exam.isActive) return notFound(res);
+
+    const attempts = await exams.listAttempts(req.user.id, exam);
+    res.json({
+      success: true,
+      exam: exams.publicExam(exam),
+      unavailableReason: exams.unavailableReason(exam),
+      attempts: attempts.map(exams.attemptView),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Create an exam (unpublished)
+// @route   POST /api/v1/courses/:courseId/exams
+exports.create = async (req, res, next) => {
+  try {
+    const { courseId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(courseId) || !(await Course.exists({ _id: courseId }))) {
+      return res.status(404).json({ success: false, msg: "Course not found" });
+    }
+
+    const exam = new Exam({ ...pickEditable(req.body), courseId, isPublished: false });
+    await exam.save();
+    res.status(201).json({ success: true, exam });
+  } catch (err) {
+    if (err.name === "ValidationError") return validationFailed(res, err);
+    next(err);
+  }
+};
+
+// @desc    Update an exam; questions are frozen once someone attempted it
+// @route   PUT /api/v1/courses/:courseId/exams/:examId
+exports.update = async (req, res, next) => {
+  try {
+    const exam = await findExam(req);
+    if (!exam) return notFound(res);
+
+    const changes = pickEditable(req.body);
+    if (changes.questions !== undefined && (await hasAttempts(exam))) {
+      return res.status(409).json({
+        success: false,
+        msg: "Questions cannot be changed after learners have attempted the exam",
+      });
+    }
+
+    exam.set(changes);
+    if (exam.isPublished) {
+      const problems = exams.publishProblems(exam);
+      if (problems.length) {
+        return res.status(400).json({ success: false, msg: "A published exam must stay complete", errors: problems });
+      }
+    }
+    await exam.save();
+    res.json({ success: true, exam });
+  } catch (err) {
+    if (err.name === "ValidationError") return validationFailed(res, err);
+    next(err);
+  }
+};
+
+// @desc    Publish or unpublish an exam
+// @route   PATCH /api/v1/courses/:courseId/exams/:examId/publish
+exports.publish = async (req, res, next) => {
+  try {
+    const exam = await findExam(req);
+    if (!exam) return notFound(res);
+
+    const publish = req.body.isPublished === undefined ? true : Boolean(req.body.isPublished);
+    if (publish) {
+      const problems = exams.publishProblems(exam);
+      if (problems.length) {
+        return res.status(400).json({ success: false, msg: "Exam cannot be published yet", errors: problems });
+      }
+    }
+
+    exam.isPublished = publish;
+    await exam.save();
+    res.json({ success: true, exam });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Delete an exam; learners' past attempts stay in their progress
+// @route   DELETE /api/v1/courses/:courseId/exams/:examId
+exports.remove = async (req, res, next) => {
+  try {
+    const exam = await findExam(req);
+    if (!exam) return notFound(res);
+    await exam.deleteOne();
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Start (or resume) an attempt; returns the questions and deadline
+// @route   POST /api/v1/courses/:courseId/exams/:examId/attempts
+exports.startAttempt = async (req, res, next) => {
+  try {
+    const exam = await findExam(req);
+    if (!exam) return notFound(res);
+
+    const result = await exams.startAttempt(req.user.id, exam);
+    if (result.error) return res.status(result.status).json({ success: false, msg: result.error });
+
+    res.status(result.resumed ? 200 : 201).json({
+      success: true,
+      msg: result.resumed ? "Resuming existing attempt" : "Exam attempt started",
+      exam: exams.publicExam(exam, true),
+      attempt: exams.attemptView(result.attempt),
+      serverTime: new Date(),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    The learner's attempts at an exam
+// @route   GET /api/v1/courses/:courseId/exams/:examId/attempts
+exports.listAttempts = async (req, res, next) => {
+  try {
+    const exam = await findExam(req);
+    if (!exam) return notFound(res);
+    const attempts = await exams.listAttempts(req.user.id, exam);
+    res.json({ success: true, attempts: attempts.map(exams.attemptView) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    The running attempt with its questions (to resume after a reload)
+// @route   GET /api/v1/courses/:courseId/exams/:examId/attempts/current
+exports.currentAttempt = async (req, res, next) => {
+  try {
+    const exam = await findExam(req);
+    if (!exam) return notFound(res);
+    const attempts = await exams.listAttempts(req.user.id, exam);
+    const attempt = attempts.find((a) => a.status === "in-progress");
+    if (!attempt) return res.status(404).json({ success: false, msg: "No exam attempt in progress" });
+
+    res.json({
+      success: true,
+      exam: exams.publicExam(exam, true),
+      attempt: exams.attemptView(attempt),
+      serverTime: new Date(),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Save answers of the running attempt (autosave)
+// @route   PUT /api/v1/courses/:courseId/exams/:examId/attempts/current
+exports.saveAnswers = async (req, res, next) => {
+  try {
+    const exam = await findExam(req);
+    if (!exam) return notFound(res);
+
+    const result = await exams.saveAnswers(req.user.id, exam, req.body.answers);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        msg: result.error,
+        attempt: result.attempt ? exams.attemptView(result.attempt) : undefined,
+      });
+    }
+    res.json({ success: true, attempt: exams.attemptView(result.attempt), serverTime: new Date() });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Submit the running attempt and grade it
+// @route   POST /api/v1/courses/:courseId/exams/:examId/attempts/current/submit
+exports.submitAttempt = async (req, res, next) => {
+  try {
+    const exam = await findExam(req);
+    if (!exam) return notFound(res);
+
+    const result = await exams.submitAttempt(req.user.id, exam, req.body.answers);
+    if (result.error) return res.status(result.status).json({ success: false, msg: result.error });
+
+    const attempt = exams.attemptView(result.attempt);
+    res.json({
+      success: true,
+      msg: result.late
+        ? "Time limit exceeded; the answers saved before the deadline were graded"
+        : attempt.status === "pending-review"
+          ? "Exam submitted; some answers await grading"
+          : "Exam submitted",
+      late: result.late,
+      attempt,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+const grading = require("../services/gradingService");
+
+const invalidCourse = (req, res) => {
+  if (mongoose.Types.ObjectId.isValid(req.params.courseId)) return false;
+  res.status(400).json({ success: false, msg: "Invalid course ID" });
+  return true;
+};
+
+// @desc    Attempts of a course waiting for manual grading, oldest first
+// @route   GET /api/v1/courses/:courseId/grading?kind=quiz|exam
+exports.queue = async (req, res, next) => {
+  try {
+    if (invalidCourse(req, res)) return;
+    const kind = ["quiz", "exam"].includes(req.query.kind) ? req.query.kind : undefined;
+    const items = await grading.queue(req.params.courseId, { kind });
+    res.json({ success: true, count: items.length, items });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Grades `{ grades: [{ questionId, points | rubricScores, feedback }] }`
+const gradeWith = (gradeAttempt) => async (req, res, next) => {
+  try {
+    if (invalidCourse(req, res)) return;
+    const result = await gradeAttempt(req.params.courseId, req.params.attemptId, req.body.grades, req.user.id);
+    if (result.error) return res.status(result.status).json({ success: false, msg: result.error });
+
+    res.json({
+      success: true,
+      msg: result.released ? "Grades released to the learner" : "Grades saved",
+      released: result.released,
+      attempt: result.attempt,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @route   POST /api/v1/courses/:courseId/grading/quiz-attempts/:attemptId
+exports.gradeQuizAttempt = gradeWith(grading.gradeQuizAttempt);
+
+// @route   POST /api/v1/courses/:courseId/grading/exam-attempts/:attemptId
+exports.gradeExamAttempt = gradeWith(grading.gradeExamAttempt);
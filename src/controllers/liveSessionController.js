@@ -1,9 +1,10 @@
 const LiveSession = require("../models/liveSessionModel");
 const asyncHandler = require("express-async-handler");
+const permissions = require("../services/permissionService");
 
 // @desc    Create a new live session
 // @route   POST /api/v1/live-sessions
-// @access  Public (for now)
+// @access  Private (live-session:create)
 const createLiveSession = asyncHandler(async (req, res) => {
   const {
     title,
@@ -46,11 +47,13 @@ const createLiveSession = asyncHandler(async (req, res) => {
     throw new Error("End time must be after start time");
   }
 
-  // Create live session (NO authentication checks)
+  // Only users who may manage any session can schedule one for someone else
+  const canAssign = await permissions.can(req.user, "live-session:update:any");
+
   const liveSession = await LiveSession.create({
     title,
     description,
-    instructor: instructor || "default-instructor-id", // Accept whatever is sent
+    instructor: canAssign && instructor ? instructor : req.user.id,
     category,
     subCategory: subCategory || "",
     type: type || "live",
@@ -229,7 +232,7 @@ const getLiveSessionById = asyncHandler(async (req, res) => {
 
 // @desc    Update live session
 // @route   PUT /api/v1/live-sessions/:id
-// @access  Public (for now)
+// @access  Private (live-session:update, own sessions)
 const updateLiveSession = asyncHandler(async (req, res) => {
   let liveSession = await LiveSession.findById(req.params.id);
 
@@ -267,7 +270,7 @@ const updateLiveSession = asyncHandler(async (req, res) => {
 
 // @desc    Delete live session
 // @route   DELETE /api/v1/live-sessions/:id
-// @access  Public (for now)
+// @access  Private (live-session:delete, own sessions)
 const deleteLiveSession = asyncHandler(async (req, res) => {
   const liveSession = await LiveSession.findById(req.params.id);
 
@@ -288,7 +291,7 @@ const deleteLiveSession = asyncHandler(async (req, res) => {
 
 // @desc    Start a live session
 // @route   POST /api/v1/live-sessions/:id/start
-// @access  Public (for now)
+// @access  Private (live-session:host, own sessions)
 const startLiveSession = asyncHandler(async (req, res) => {
   const liveSession = await LiveSession.findById(req.params.id);
 
@@ -321,7 +324,7 @@ const startLiveSession = asyncHandler(async (req, res) => {
 
 // @desc    End a live session
 // @route   POST /api/v1/live-sessions/:id/end
-// @access  Public (for now)
+// @access  Private (live-session:host, own sessions)
 const endLiveSession = asyncHandler(async (req, res) => {
   const liveSession = await LiveSession.findById(req.params.id);
 
@@ -0,0 +1,143 @@
+const User = require('../models/User');
+const OidcState = require('../models/OidcState');
+const oidc = require('../services/oidcService');
+const { completeLogin } = require('../services/loginService');
+const { linkByEmail } = require('../services/enrollmentService');
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+const findByEmail = (email) => User.findOne({ email }).collation({ locale: 'en', strength: 2 });
+
+const identityOwner = (provider, subject) =>
+  User.findOne({ identities: { $elemMatch: { provider, subject } } });
+
+const startAuthorization = async (req, res, linkUser) => {
+  const provider = oidc.getProvider(req.params.provider);
+  if(!provider) return res.status(404).json({ msg: 'Unknown login provider' });
+
+  const request = oidc.createAuthRequest();
+  await OidcState.create({
+    state: request.state,
+    provider: provider.name,
+    codeVerifier: request.codeVerifier,
+    nonce: request.nonce,
+    linkUser,
+    expiresAt: new Date(Date.now() + STATE_TTL_MS)
+  });
+  const authorizationUrl = await oidc.authorizationUrl(provider, request);
+  res.json({ authorizationUrl, state: request.state });
+};
+
+exports.listProviders = async (req,res) => {
+  const names = (process.env.OIDC_PROVIDERS || '').split(',').map((p) => p.trim().toLowerCase()).filter(Boolean);
+  res.json({ providers: names.filter((name) => oidc.getProvider(name)) });
+};
+
+// Starts a social login; the frontend navigates to `authorizationUrl`
+exports.authorize = async (req,res,next) => {
+  try {
+    await startAuthorization(req, res);
+  } catch(err){ next(err); }
+};
+
+// Starts linking another identity to the logged-in account
+exports.link = async (req,res,next) => {
+  try {
+    await startAuthorization(req, res, req.user.id);
+  } catch(err){ next(err); }
+};
+
+// The provider redirects to the frontend, which posts `code` and `state` here
+exports.callback = async (req,res,next) => {
+  try {
+    const provider = oidc.getProvider(req.params.provider);
+    if(!provider) return res.status(404).json({ msg: 'Unknown login provider' });
+    const { code, state } = req.body;
+    if(!code || !state) return res.status(400).json({ msg: 'code and state are required' });
+
+    // Single use: the pending request is deleted as it is read
+    const pending = await OidcState.findOneAndDelete({ state, provider: provider.name, expiresAt: { $gt: new Date() } });
+    if(!pending) return res.status(400).json({ msg: 'Invalid or expired login request' });
+
+    let identity;
+    try {
+      identity = await oidc.exchangeCode(provider, { code, codeVerifier: pending.codeVerifier, nonce: pending.nonce });
+    } catch(providerError){
+      console.error('OIDC exchange error:', providerError.message);
+      return res.status(401).json({ msg: 'Could not verify the login with the provider' });
+    }
+
+    const link = { provider: provider.name, subject: identity.subject, email: identity.email };
+    const owner = await identityOwner(link.provider, link.subject);
+
+    // Linking flow: attach the identity to the account that started it
+    if(pending.linkUser){
+      if(owner && !owner._id.equals(pending.linkUser)){
+        return res.status(409).json({ msg: 'This account is already linked to another user' });
+      }
+      const user = owner || await User.findByIdAndUpdate(pending.linkUser, { $push: { identities: link } }, { new: true });
+      if(!user) return res.status(404).json({ msg: 'User not found' });
+      return res.json({ msg: 'Account linked', identities: user.identities });
+    }
+
+    let user = owner;
+    if(!user){
+      if(!identity.email) return res.status(400).json({ msg: 'The provider did not share an email address' });
+      const existing = await findByEmail(identity.email);
+      // Only a provider-verified email may take over an existing account or
+      // claim the address for a new one
+      if(!identity.emailVerified){
+        return existing
+          ? res.status(409).json({ msg: 'Log in with your password and link this account from your profile' })
+          : res.status(403).json({ msg: 'The provider has not verified this email address; sign up with a password instead' });
+      }
+      if(existing){
+        existing.identities.push(link);
+        if(!existing.emailVerified){
+          existing.emailVerified = true;
+          existing.emailVerifiedAt = new Date();
+        }
+        user = await existing.save();
+      } else {
+        user = await User.create({
+          name: identity.name || identity.email.split('@')[0],
+          email: identity.email,
+          role: 'student',
+          avatarUrl: identity.picture,
+          emailVerified: true,
+          emailVerifiedAt: new Date(),
+          identities: [link]
+        });
+      }
+      // Guest purchases made with this (now proven) address
+      await linkByEmail(user);
+    }
+
+    res.json(await completeLogin(req, user));
+  } catch(err){ next(err); }
+};
+
+exports.listIdentities = async (req,res,next) => {
+  try {
+    const user = await User.findById(req.user.id).select('identities');
+    if(!user) return res.status(404).json({ msg: 'User not found' });
+    res.json({ identities: user.identities });
+  } catch(err){ next(err); }
+};
+
+exports.unlink = async (req,res,next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if(!user) return res.status(404).json({ msg: 'User not found' });
+    const { provider, subject } = req.params;
+    const identity = user.identities.find((i) => i.provider === provider && i.subject === subject);
+    if(!identity) return res.status(404).json({ msg: 'Identity not linked' });
+    // Never leave an account without a way to sign in
+    if(!user.passwordHash && user.identities.length === 1){
+      return res.status(400).json({ msg: 'Set a password before unlinking your only login method' });
+    }
+    identity.deleteOne();
+    await user.save();
+    res.json({ msg: 'Identity unlinked', identities: user.identities });
+  } catch(err){ next(err); }
+};
@@ -1,6 +1,9 @@
 const PaymentRecord = require('../models/PaymentRecord');
 const Course = require('../models/Course');
+const User = require('../models/User');
 const Enrollment = require('../models/Enrollment');
+const { enrollFromPayment } = require('../services/enrollmentService');
+const { accessExpiry, canEnroll } = require('../services/courseAccessService');
 const bkash = require('../services/bkashService');
 
 // Create payment (bkash) - returns a payment token/checkout info
@@ -9,6 +12,13 @@ exports.createBkashPayment = async (req,res,next) => {
   const course = await Course.findById(courseId);
   if(!course) return res.status(404).json({ msg: 'Course not found' });
   if(course.price <= 0) return res.status(400).json({ msg: 'Course is free' });
+  // Existing learners may only pay again to renew time-limited access
+  const enrolled = await Enrollment.exists({ user: req.user.id, course: course._id });
+  if(enrolled && !accessExpiry(course)) return res.status(409).json({ msg: 'Already enrolled in this course' });
+  if(!enrolled){
+    const open = canEnroll(course);
+    if(!open.allowed) return res.status(400).json({ msg: open.reason });
+  }
 
   // create a pending PaymentRecord
   const payment = await PaymentRecord.create({
@@ -34,7 +44,7 @@ exports.createBkashPayment = async (req,res,next) => {
 exports.executeBkashPayment = async (req,res,next) => {
   const { bkashPaymentID, localPaymentId } = req.body;
   const payment = await PaymentRecord.findById(localPaymentId);
-  if(!payment) return res.status(404).json({ msg:'Payment not found' });
+  if(!payment || String(payment.user) !== String(req.user.id)) return res.status(404).json({ msg:'Payment not found' });
 
   const execResp = await bkash.executePayment({ paymentID: bkashPaymentID });
 
@@ -43,12 +53,13 @@ exports.executeBkashPayment = async (req,res,next) => {
   payment.providerPaymentId = bkashPaymentID;
   await payment.save();
 
+  let enrollment;
   if(payment.status === 'completed'){
-    // create enrollment
-    await Enrollment.create({ course: payment.course, student: payment.user, paymentId: payment._id });
+    const [user, course] = await Promise.all([User.findById(payment.user), Course.findById(payment.course)]);
+    if(user && course) enrollment = await enrollFromPayment({ user, course, payment, transactionId: execResp.trxID });
   }
 
-  res.json({ ok: true, payment });
+  res.json({ ok: true, payment, enrollment });
 };
 
 // Webhook endpoint (public)
@@ -0,0 +1,209 @@
+const mongoose = require("mongoose");
+const Course = require("../models/Course");
+const Quiz = require("../models/Quiz");
+const QuestionBank = require("../models/QuestionBank");
+const questionTypes = require("../services/questionTypes");
+
+const pick = (body = {}, fields) =>
+  fields.reduce((out, field) => {
+    if (body[field] !== undefined) out[field] = body[field];
+    return out;
+  }, {});
+
+const BANK_FIELDS = ["title", "description", "questions"];
+const QUESTION_FIELDS = [
+  "question",
+  "type",
+  "options",
+  "correctAnswer",
+  "points",
+  "explanation",
+  "rubric",
+  "pairs",
+  "items",
+  "tolerance",
+  "blanks",
+  "partialCredit",
+  "topic",
+  "difficulty",
+];
+
+const findBank = (req) => {
+  const { courseId, bankId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(courseId) || !mongoose.Types.ObjectId.isValid(bankId)) return null;
+  return QuestionBank.findOne({ _id: bankId, courseId });
+};
+
+const notFound = (res, what = "Question bank") => res.status(404).json({ success: false, msg: `${what} not found` });
+
+const validationFailed = (res, err) =>
+  res.status(400).json({
+    success: false,
+    msg: "Invalid question bank",
+    errors: Object.values(err.errors).map((e) => e.message),
+  });
+
+// Structured questions (matching, ordering, …) checked before saving
+const invalidQuestions = (res, questions) => {
+  const errors = questionTypes.listProblems(questions);
+  if (!errors.length) return false;
+  res.status(400).json({ success: false, msg: "Invalid question bank", errors });
+  return true;
+};
+
+// Question counts per topic and difficulty, for building pools
+const summary = (bank) => {
+  const topics = {};
+  const difficulties = {};
+  bank.questions.forEach((q) => {
+    const topic = q.topic || "";
+    topics[topic] = (topics[topic] || 0) + 1;
+    difficulties[q.difficulty] = (difficulties[q.difficulty] || 0) + 1;
+  });
+  return { questionCount: bank.questions.length, topics, difficulties };
+};
+
+// @desc    Question banks of a course (without their questions)
+// @route   GET /api/v1/courses/:courseId/question-banks
+exports.list = async (req, res, next) => {
+  try {
+    const { courseId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(courseId)) return res.status(400).json({ success: false, msg: "Invalid course ID" });
+
+    const banks = await QuestionBank.find({ courseId }).sort({ title: 1 });
+    res.json({
+      success: true,
+      count: banks.length,
+      banks: banks.map((bank) => ({ ...bank.toObject(), questions: undefined, ...summary(bank) })),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Create a question bank
+// @route   POST /api/v1/courses/:courseId/question-banks
+exports.create = async (req, res, next) => {
+  try {
+    const { courseId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(courseId) || !(await Course.exists({ _id: courseId }))) {
+      return res.status(404).json({ success: false, msg: "Course not found" });
+    }
+
+    if (invalidQuestions(res, req.body.questions)) return;
+
+    const bank = new QuestionBank({ ...pick(req.body, BANK_FIELDS), courseId, createdBy: req.user.id });
+    await bank.save();
+    res.status(201).json({ success: true, bank, ...summary(bank) });
+  } catch (err) {
+    if (err.name === "ValidationError") return validationFailed(res, err);
+    next(err);
+  }
+};
+
+// @desc    One question bank with its questions
+// @route   GET /api/v1/courses/:courseId/question-banks/:bankId
+exports.get = async (req, res, next) => {
+  try {
+    const bank = await findBank(req);
+    if (!bank) return notFound(res);
+    res.json({ success: true, bank, ...summary(bank) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Update a question bank; running and past attempts keep the
+//          questions they were given
+// @route   PUT /api/v1/courses/:courseId/question-banks/:bankId
+exports.update = async (req, res, next) => {
+  try {
+    const bank = await findBank(req);
+    if (!bank) return notFound(res);
+    if (invalidQuestions(res, req.body.questions)) return;
+    bank.set(pick(req.body, BANK_FIELDS));
+    await bank.save();
+    res.json({ success: true, bank, ...summary(bank) });
+  } catch (err) {
+    if (err.name === "ValidationError") return validationFailed(res, err);
+    next(err);
+  }
+};
+
+// @desc    Delete a question bank no quiz draws from
+// @route   DELETE /api/v1/courses/:courseId/question-banks/:bankId
+exports.remove = async (req, res, next) => {
+  try {
+    const bank = await findBank(req);
+    if (!bank) return notFound(res);
+
+    const quizzes = await Quiz.find({ "pools.bankId": bank._id }).select("title").lean();
+    if (quizzes.length) {
+      return res.status(409).json({
+        success: false,
+        msg: "Quizzes still draw questions from this bank",
+        quizzes,
+      });
+    }
+
+    await bank.deleteOne();
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Add questions (one object or an array) to a bank
+// @route   POST /api/v1/courses/:courseId/question-banks/:bankId/questions
+exports.addQuestions = async (req, res, next) => {
+  try {
+    const bank = await findBank(req);
+    if (!bank) return notFound(res);
+
+    const incoming = Array.isArray(req.body.questions) ? req.body.questions : [req.body];
+    if (invalidQuestions(res, incoming)) return;
+    const added = incoming.map((q) => bank.questions.create(pick(q, QUESTION_FIELDS)));
+    bank.questions.push(...added);
+    await bank.save();
+    res.status(201).json({ success: true, questions: added, ...summary(bank) });
+  } catch (err) {
+    if (err.name === "ValidationError") return validationFailed(res, err);
+    next(err);
+  }
+};
+
+// @desc    Edit one question of a bank
+// @route   PUT /api/v1/courses/:courseId/question-banks/:bankId/questions/:questionId
+exports.updateQuestion = async (req, res, next) => {
+  try {
+    const bank = await findBank(req);
+    if (!bank) return notFound(res);
+    const question = mongoose.Types.ObjectId.isValid(req.params.questionId) && bank.questions.id(req.params.questionId);
+    if (!question) return notFound(res, "Question");
+
+    question.set(pick(req.body, QUESTION_FIELDS));
+    if (invalidQuestions(res, [question])) return;
+    await bank.save();
+    res.json({ success: true, question });
+  } catch (err) {
+    if (err.name === "ValidationError") return validationFailed(res, err);
+    next(err);
+  }
+};
+
+// @desc    Remove one question from a bank
+// @route   DELETE /api/v1/courses/:courseId/question-banks/:bankId/questions/:questionId
+exports.removeQuestion = async (req, res, next) => {
+  try {
+    const bank = await findBank(req);
+    if (!bank) return notFound(res);
+    const question = mongoose.Types.ObjectId.isValid(req.params.questionId) && bank.questions.id(req.params.questionId);
+    if (!question) return notFound(res, "Question");
+
+    question.deleteOne();
+    await bank.save();
+    res.json({ success: true, ...summary(bank) });
+  } catch (err) {
+    next(err);
+  }
+};
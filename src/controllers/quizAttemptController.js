@@ -1,15 +1,37 @@
+const mongoose = require("mongoose");
 const QuizAttempt = require("../models/QuizAttempt");
 const Quiz = require("../models/Quiz");
+const Course = require("../models/Course");
+const quizAttempts = require("../services/quizAttemptService");
+const { getAccess } = require("../services/courseAccessService");
+const permissions = require("../services/permissionService");
+
+// Deadline fields returned with running attempts
+const timing = (attempt, quiz) => ({
+  expiresAt: quizAttempts.deadlineOf(attempt, quiz),
+  remainingSeconds: quizAttempts.remainingSeconds(attempt, quiz),
+  graceSeconds: quizAttempts.GRACE_SECONDS,
+  serverTime: new Date(),
+});
+
+// Whether the user may see other learners' attempts in the course: its
+// instructor with "quiz:analytics", or anyone with "quiz:analytics:any"
+const reviewsCourse = async (user, courseId) => {
+  if (await permissions.can(user, "quiz:analytics:any")) return true;
+  if (!(await permissions.can(user, "quiz:analytics"))) return false;
+  const course = await Course.findById(courseId).select("instructor").lean();
+  return Boolean(course && String(course.instructor) === String(user.id));
+};
 
 // @desc    Start a quiz attempt
 // @route   POST /api/v1/quizzes/:id/attempt
-// @access  Public
+// @access  Private (quiz:attempt, enrolled in the quiz's course)
 exports.startQuizAttempt = async (req, res) => {
   try {
     const { id: quizId } = req.params;
-    const { userId } = req.body; // Get userId from request body instead of token
+    const userId = req.user.id;
 
-    const quiz = await Quiz.findById(quizId);
+    const quiz = mongoose.Types.ObjectId.isValid(quizId) ? await Quiz.findById(quizId) : null;
 
     if (!quiz) {
       return res.status(404).json({
@@ -26,57 +48,99 @@ exports.startQuizAttempt = async (req, res) => {
       });
     }
 
-    // Check if user has reached max attempts
-    const previousAttempts = await QuizAttempt.find({
-      quizId,
-      userId,
-    });
-
-    if (previousAttempts.length >= quiz.maxAttempts) {
-      return res.status(400).json({
+    // Only learners with access to the course (enrolled, its instructor or admins)
+    const course = await Course.findById(quiz.courseId);
+    const access = course ? await getAccess(req.user, course) : { level: "none", reason: "course-not-found" };
+    if (access.level !== "full") {
+      return res.status(403).json({
         success: false,
-        message: `Maximum attempts (${quiz.maxAttempts}) reached for this quiz`,
+        message: "Enroll in this course to take its quizzes",
+        reason: access.reason,
       });
     }
 
-    // Check for in-progress attempts
+    // Resume the running attempt, unless its time is up
     const inProgressAttempt = await QuizAttempt.findOne({
       quizId,
       userId,
       status: "in-progress",
     });
 
-    if (inProgressAttempt) {
-      return res.json({
-        success: true,
-        data: inProgressAttempt,
-        message: "Resuming existing attempt",
-      });
+    const resume = (attempt) => res.json({
+      success: true,
+      data: quizAttempts.learnerView(attempt),
+      message: "Resuming existing attempt",
+      timing: timing(attempt, quiz),
+    });
+
+    if (inProgressAttempt && !(await quizAttempts.closeIfOverdue(inProgressAttempt, quiz))) {
+      return resume(inProgressAttempt);
     }
 
-    // Create new attempt
-    const attemptNumber = previousAttempts.length + 1;
-    
-    const attempt = await QuizAttempt.create({
+    // Check if user has reached max attempts
+    const previousAttempts = await QuizAttempt.countDocuments({
       quizId,
       userId,
-      courseId: quiz.courseId,
-      attemptNumber,
-      status: "in-progress",
-      ipAddress: req.ip,
-      userAgent: req.headers["user-agent"],
     });
 
+    if (previousAttempts >= quiz.maxAttempts) {
+      return res.status(400).json({
+        success: false,
+        message: `Maximum attempts (${quiz.maxAttempts}) reached for this quiz`,
+      });
+    }
+
+    if (quiz.availableUntil && new Date() > quiz.availableUntil) {
+      return res.status(400).json({
+        success: false,
+        message: "Quiz has expired",
+      });
+    }
+
+    // Create new attempt with its own draw and order of the questions
+    const attemptNumber = previousAttempts + 1;
+    const timeStarted = new Date();
+    
+    let attempt;
+    try {
+      attempt = await QuizAttempt.create({
+        quizId,
+        userId,
+        courseId: quiz.courseId,
+        questions: await quizAttempts.drawQuestions(quiz),
+        scoring: { policy: quiz.scoring.policy, penalty: quiz.scoring.penalty },
+        attemptNumber,
+        status: "in-progress",
+        timeStarted,
+        expiresAt: quizAttempts.expiresAtFor(quiz, timeStarted),
+        ipAddress: req.ip,
+        userAgent: req.headers["user-agent"],
+      });
+    } catch (err) {
+      // A parallel start won the unique in-progress index: resume its attempt
+      if (err.code !== 11000) throw err;
+      const running = await QuizAttempt.findOne({ quizId, userId, status: "in-progress" });
+      if (!running) {
+        return res.status(409).json({
+          success: false,
+          message: "Another attempt was just started, please try again",
+        });
+      }
+      return resume(running);
+    }
+
     res.status(201).json({
       success: true,
-      data: attempt,
+      data: quizAttempts.learnerView(attempt),
       message: "Quiz attempt started",
       quizInfo: {
         title: quiz.title,
         duration: quiz.duration,
-        totalQuestions: quiz.questions.length,
+        totalQuestions: attempt.questions.length,
         passingScore: quiz.passingScore,
+        scoring: attempt.scoring,
       },
+      timing: timing(attempt, quiz),
     });
   } catch (error) {
     console.error("Start attempt error:", error);
@@ -88,20 +152,76 @@ exports.startQuizAttempt = async (req, res) => {
   }
 };
 
+// @desc    Save answers of the running attempt (autosave, not graded)
+// @route   PUT /api/v1/quizzes/:id/attempt
+// @access  Private (quiz:attempt)
+exports.saveQuizAnswers = async (req, res) => {
+  try {
+    const { id: quizId } = req.params;
+    const { answers } = req.body;
+    const userId = req.user.id;
+    if (!mongoose.Types.ObjectId.isValid(quizId)) {
+      return res.status(404).json({
+        success: false,
+        message: "No active quiz attempt found",
+      });
+    }
+
+    const [attempt, quiz] = await Promise.all([
+      QuizAttempt.findOne({ quizId, userId, status: "in-progress" }),
+      Quiz.findById(quizId),
+    ]);
+
+    if (!attempt || !quiz) {
+      return res.status(404).json({
+        success: false,
+        message: "No active quiz attempt found",
+      });
+    }
+
+    if (await quizAttempts.closeIfOverdue(attempt, quiz)) {
+      return res.status(410).json({
+        success: false,
+        message: "Time is up; the attempt was submitted with the saved answers",
+      });
+    }
+
+    const saved = await quizAttempts.saveAnswers(attempt, quiz, answers);
+    if (!saved) {
+      return res.status(409).json({
+        success: false,
+        message: "The attempt has already been submitted",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Answers saved",
+      savedAnswers: saved.answers.length,
+      timing: timing(saved, quiz),
+    });
+  } catch (error) {
+    console.error("Save answers error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
 // @desc    Submit quiz answers
 // @route   POST /api/v1/quizzes/:id/submit
-// @access  Public
+// @access  Private (quiz:attempt)
 exports.submitQuizAttempt = async (req, res) => {
   try {
     const { id: quizId } = req.params;
-    const { answers, userId } = req.body;
+    const { answers } = req.body;
 
-    // Find in-progress attempt
-    const attempt = await QuizAttempt.findOne({
-      quizId,
-      userId,
-      status: "in-progress",
-    });
+    // Find the user's in-progress attempt
+    const attempt = mongoose.Types.ObjectId.isValid(quizId)
+      ? await QuizAttempt.findOne({ quizId, userId: req.user.id, status: "in-progress" })
+      : null;
 
     if (!attempt) {
       return res.status(404).json({
@@ -119,66 +239,31 @@ exports.submitQuizAttempt = async (req, res) => {
       });
     }
 
-    // Process answers
-    const processedAnswers = [];
-    let totalScore = 0;
-
-    for (const answer of answers) {
-      const question = quiz.questions.id(answer.questionId);
-      if (!question) continue;
-
-      let isCorrect = false;
-      let pointsEarned = 0;
-
-      if (question.type === "multiple-choice" || question.type === "single-choice") {
-        const selectedOptions = answer.selectedOptions || [];
-        const correctOptions = question.options.filter(opt => opt.isCorrect).map(opt => opt.text);
-        isCorrect = selectedOptions.length === correctOptions.length &&
-          selectedOptions.every(opt => correctOptions.includes(opt));
-        pointsEarned = isCorrect ? question.points : 0;
-      } else if (question.type === "true-false" || question.type === "short-answer") {
-        isCorrect = answer.shortAnswer?.toLowerCase().trim() === question.correctAnswer.toLowerCase().trim();
-        pointsEarned = isCorrect ? question.points : 0;
-      }
-
-      totalScore += pointsEarned;
-
-      processedAnswers.push({
-        questionId: answer.questionId,
-        selectedOptions: answer.selectedOptions,
-        shortAnswer: answer.shortAnswer,
-        isCorrect,
-        pointsEarned,
-        timeTaken: answer.timeTaken || 0,
-      });
-    }
-
-    // Update attempt
-    attempt.answers = processedAnswers;
-    attempt.status = "completed";
-    attempt.timeCompleted = new Date();
-    attempt.score = totalScore;
-    
-    // Calculate total possible points
-    const totalPoints = quiz.questions.reduce((sum, q) => sum + q.points, 0);
-    
-    attempt.percentage = totalPoints > 0 ? (totalScore / totalPoints) * 100 : 0;
-    attempt.isPassed = attempt.percentage >= quiz.passingScore;
-
-    await attempt.save();
+    // Past the deadline (and grace) only the answers saved in time count
+    const late = quizAttempts.isOverdue(attempt, quiz);
+    const finished = late
+      ? await quizAttempts.closeIfOverdue(attempt, quiz)
+      : await quizAttempts.finishAttempt(attempt, quiz, { answers });
 
+    const gradedAnswers = finished.answers || [];
     res.json({
       success: true,
-      data: attempt,
-      message: "Quiz submitted successfully",
+      data: quizAttempts.learnerView(finished),
+      late,
+      message: late
+        ? "Time limit exceeded; the answers saved before the deadline were graded"
+        : finished.status === "pending-review"
+          ? "Quiz submitted; some answers await grading"
+          : "Quiz submitted successfully",
       summary: {
-        score: attempt.score,
-        totalPoints: totalPoints,
-        percentage: Math.round(attempt.percentage),
-        isPassed: attempt.isPassed,
+        score: finished.score,
+        totalPoints: finished.totalPoints,
+        percentage: Math.round(finished.percentage),
+        isPassed: finished.isPassed,
+        pendingReview: gradedAnswers.filter(a => a.needsGrading).length,
         passingScore: quiz.passingScore,
-        correctAnswers: processedAnswers.filter(a => a.isCorrect).length,
-        totalQuestions: processedAnswers.length,
+        correctAnswers: gradedAnswers.filter(a => a.isCorrect).length,
+        totalQuestions: (finished.questions.length ? finished.questions : quiz.questions).length,
       },
     });
   } catch (error) {
@@ -191,22 +276,22 @@ exports.submitQuizAttempt = async (req, res) => {
   }
 };
 
-// @desc    Get user's quiz attempts
-// @route   GET /api/v1/quizzes/my-attempts
-// @access  Public
+// @desc    Get the current user's quiz attempts
+// @route   GET /api/v1/quizzes/attempts/my-attempts
+// @access  Private
 exports.getUserQuizAttempts = async (req, res) => {
   try {
-    const { userId, quizId, courseId, page = 1, limit = 10 } = req.query;
+    const { quizId, courseId, page = 1, limit = 10 } = req.query;
 
-    const filter = {};
+    const filter = { userId: req.user.id };
     
-    if (userId) filter.userId = userId;
-    if (quizId) filter.quizId = quizId;
-    if (courseId) filter.courseId = courseId;
+    if (quizId && mongoose.Types.ObjectId.isValid(quizId)) filter.quizId = quizId;
+    if (courseId && mongoose.Types.ObjectId.isValid(courseId)) filter.courseId = courseId;
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const attempts = await QuizAttempt.find(filter)
+      .select("-questions")
       .populate("quizId", "title")
       .populate("courseId", "title")
       .sort({ createdAt: -1 })
@@ -234,19 +319,23 @@ exports.getUserQuizAttempts = async (req, res) => {
   }
 };
 
-// @desc    Get single attempt details
+// @desc    Get single attempt details (its learner, or the course's reviewers)
 // @route   GET /api/v1/quizzes/attempts/:id
-// @access  Public
+// @access  Private
 exports.getQuizAttempt = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const attempt = await QuizAttempt.findById(id)
-      .populate("quizId", "title")
-      .populate("courseId", "title")
-      .lean();
+    const attempt = mongoose.Types.ObjectId.isValid(id)
+      ? await QuizAttempt.findById(id)
+        .populate("quizId", "title")
+        .populate("courseId", "title")
+        .lean()
+      : null;
 
-    if (!attempt) {
+    // Other users' attempts look missing unless the user reviews the course
+    const own = attempt && String(attempt.userId) === String(req.user.id);
+    if (!attempt || (!own && !(await reviewsCourse(req.user, attempt.courseId && (attempt.courseId._id || attempt.courseId))))) {
       return res.status(404).json({
         success: false,
         message: "Attempt not found",
@@ -255,7 +344,7 @@ exports.getQuizAttempt = async (req, res) => {
 
     res.json({
       success: true,
-      data: attempt,
+      data: own ? quizAttempts.learnerView(attempt) : attempt,
     });
   } catch (error) {
     console.error("Get attempt error:", error);
@@ -264,4 +353,52 @@ exports.getQuizAttempt = async (req, res) => {
       message: "Server error",
     });
   }
+};
+
+// @desc    Attempts of one quiz, for the instructors of its course
+// @route   GET /api/v1/quizzes/:id/attempts
+// @access  Private (quiz:analytics)
+exports.getQuizAttempts = async (req, res) => {
+  try {
+    const { id: quizId } = req.params;
+    const { status, page = 1, limit = 20 } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(quizId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Quiz not found",
+      });
+    }
+
+    const filter = { quizId };
+    if (status) filter.status = String(status);
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const attempts = await QuizAttempt.find(filter)
+      .select("-questions")
+      .populate("userId", "name email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await QuizAttempt.countDocuments(filter);
+
+    res.json({
+      success: true,
+      count: attempts.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: attempts,
+    });
+  } catch (error) {
+    console.error("Get quiz attempts error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
 };
\ No newline at end of file
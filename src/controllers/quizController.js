@@ -1,10 +1,32 @@
+const mongoose = require("mongoose");
 const Quiz = require("../models/Quiz");
 const QuizAttempt = require("../models/QuizAttempt");
 const Course = require("../models/Course");
+const quizAttempts = require("../services/quizAttemptService");
+const questionTypes = require("../services/questionTypes");
+const quizAnalytics = require("../services/quizAnalyticsService");
+const quizFormats = require("../services/quizFormatService");
+const permissions = require("../services/permissionService");
+
+const courseIdOf = (quiz) => String(quiz.courseId && (quiz.courseId._id || quiz.courseId));
+
+// Quizzes (lean) as the caller may see them: the answer keys only for those
+// who manage the quiz (quiz:update on their own course, or quiz:update:any)
+const withoutAnswerKeys = async (req, quizzes) => {
+  if (req.user && (await permissions.can(req.user, "quiz:update:any"))) return quizzes;
+  let taught = new Set();
+  if (req.user && quizzes.length && (await permissions.can(req.user, "quiz:update"))) {
+    const courses = await Course.find({ _id: { $in: quizzes.map(courseIdOf) }, instructor: req.user.id })
+      .select("_id")
+      .lean();
+    taught = new Set(courses.map((c) => String(c._id)));
+  }
+  return quizzes.map((quiz) => (taught.has(courseIdOf(quiz)) ? quiz : quizAttempts.publicQuiz(quiz)));
+};
 
 // @desc    Create a new quiz (course & module based)
 // @route   POST /api/v1/quizzes
-// @access  Public
+// @access  Private (quiz:create)
 exports.createQuiz = async (req, res) => {
   try {
     const {
@@ -22,6 +44,10 @@ exports.createQuiz = async (req, res) => {
       availableUntil,
       scheduleType,
       questions,
+      pools,
+      shuffleQuestions,
+      shuffleOptions,
+      scoring,
     } = req.body;
 
     // Validate course exists
@@ -51,14 +77,34 @@ exports.createQuiz = async (req, res) => {
       });
     }
 
-    // Validate maximum 30 questions
-    if (questions && questions.length > 30) {
+    // Validate maximum 30 questions (fixed plus drawn from pools)
+    if (quizAttempts.questionCount({ questions, pools }) > 30) {
       return res.status(400).json({
         success: false,
         message: "Maximum 30 questions allowed per quiz",
       });
     }
 
+    // Matching, ordering, numeric and fill-in-the-blank questions need their answers
+    const questionErrors = questionTypes.listProblems(questions);
+    if (questionErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Some questions are incomplete or invalid",
+        errors: questionErrors,
+      });
+    }
+
+    // Pools must draw from question banks of this course
+    const poolErrors = await quizAttempts.poolProblems({ courseId, pools }, { counts: false });
+    if (poolErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid question pools",
+        errors: poolErrors,
+      });
+    }
+
     // If moduleId is provided, validate it exists in the course
     let finalModuleTitle = moduleTitle;
     if (moduleId) {
@@ -94,6 +140,10 @@ exports.createQuiz = async (req, res) => {
       availableUntil: endDate,
       scheduleType: scheduleType || "immediate",
       questions: questions || [],
+      pools: pools || [],
+      shuffleQuestions: Boolean(shuffleQuestions),
+      shuffleOptions: Boolean(shuffleOptions),
+      scoring,
       isPublished: false,
     });
 
@@ -114,7 +164,7 @@ exports.createQuiz = async (req, res) => {
 
 // @desc    Get all quizzes with filters (course/module/date)
 // @route   GET /api/v1/quizzes
-// @access  Public
+// @access  Public (answer keys only for those who manage the quiz)
 exports.getQuizzes = async (req, res) => {
   try {
     console.log("=== GET QUIZZES REQUEST ===");
@@ -200,12 +250,13 @@ exports.getQuizzes = async (req, res) => {
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Execute query
-    const quizzes = await Quiz.find(filter)
+    const found = await Quiz.find(filter)
       .populate("courseId", "title code modules")
       .sort({ availableFrom: -1, createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit))
       .lean();
+    const quizzes = await withoutAnswerKeys(req, found);
 
     console.log("Found quizzes:", quizzes.length);
 
@@ -214,7 +265,7 @@ exports.getQuizzes = async (req, res) => {
     // Add virtual fields
     const quizzesWithVirtuals = quizzes.map((quiz) => ({
       ...quiz,
-      questionCount: quiz.questions.length,
+      questionCount: quizAttempts.questionCount(quiz),
       status: getQuizStatus(quiz),
       daysRemaining: getDaysRemaining(quiz.availableUntil),
     }));
@@ -266,7 +317,7 @@ const getDaysRemaining = (endDate) => {
 
 // @desc    Get single quiz by ID
 // @route   GET /api/v1/quizzes/:id
-// @access  Public
+// @access  Public (answer keys only for those who manage the quiz)
 exports.getQuiz = async (req, res) => {
   try {
     const { id } = req.params;
@@ -306,9 +357,10 @@ exports.getQuiz = async (req, res) => {
     }
 
     // Add virtual fields
+    const [visible] = await withoutAnswerKeys(req, [quiz]);
     const quizWithVirtuals = {
-      ...quiz,
-      questionCount: quiz.questions.length,
+      ...visible,
+      questionCount: quizAttempts.questionCount(quiz),
       status: getQuizStatus(quiz),
       daysRemaining: getDaysRemaining(quiz.availableUntil),
     };
@@ -329,7 +381,7 @@ exports.getQuiz = async (req, res) => {
 
 // @desc    Get quizzes by course with module filter
 // @route   GET /api/v1/quizzes/course/:courseId
-// @access  Public
+// @access  Public (answer keys only for those who manage the quiz)
 exports.getCourseQuizzes = async (req, res) => {
   try {
     const { courseId } = req.params;
@@ -361,11 +413,12 @@ exports.getCourseQuizzes = async (req, res) => {
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const quizzes = await Quiz.find(filter)
+    const found = await Quiz.find(filter)
       .sort({ availableFrom: 1 }) // Sort by upcoming first
       .skip(skip)
       .limit(parseInt(limit))
       .lean();
+    const quizzes = await withoutAnswerKeys(req, found);
 
     const total = await Quiz.countDocuments(filter);
 
@@ -404,7 +457,7 @@ exports.getCourseQuizzes = async (req, res) => {
 
 // @desc    Get quizzes by module
 // @route   GET /api/v1/quizzes/module/:moduleId
-// @access  Public
+// @access  Public (answer keys only for those who manage the quiz)
 exports.getModuleQuizzes = async (req, res) => {
   try {
     const { moduleId } = req.params;
@@ -418,12 +471,13 @@ exports.getModuleQuizzes = async (req, res) => {
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const quizzes = await Quiz.find(filter)
+    const found = await Quiz.find(filter)
       .populate("courseId", "title code")
       .sort({ availableFrom: 1 })
       .skip(skip)
       .limit(parseInt(limit))
       .lean();
+    const quizzes = await withoutAnswerKeys(req, found);
 
     const total = await Quiz.countDocuments(filter);
 
@@ -447,7 +501,7 @@ exports.getModuleQuizzes = async (req, res) => {
 
 // @desc    Get upcoming quizzes (date-wise)
 // @route   GET /api/v1/quizzes/upcoming
-// @access  Public
+// @access  Public (answer keys only for those who manage the quiz)
 exports.getUpcomingQuizzes = async (req, res) => {
   try {
     const { days = 7, page = 1, limit = 10 } = req.query;
@@ -467,12 +521,13 @@ exports.getUpcomingQuizzes = async (req, res) => {
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const quizzes = await Quiz.find(filter)
+    const found = await Quiz.find(filter)
       .populate("courseId", "title code")
       .sort({ availableFrom: 1 })
       .skip(skip)
       .limit(parseInt(limit))
       .lean();
+    const quizzes = await withoutAnswerKeys(req, found);
 
     const total = await Quiz.countDocuments(filter);
 
@@ -501,7 +556,7 @@ exports.getUpcomingQuizzes = async (req, res) => {
 
 // @desc    Get quiz calendar (all quizzes for a month)
 // @route   GET /api/v1/quizzes/calendar/:year/:month
-// @access  Public
+// @access  Public (answer keys only for those who manage the quiz)
 exports.getQuizCalendar = async (req, res) => {
   try {
     const { year, month } = req.params;
@@ -520,10 +575,11 @@ exports.getQuizCalendar = async (req, res) => {
       ],
     };
 
-    const quizzes = await Quiz.find(filter)
+    const found = await Quiz.find(filter)
       .populate("courseId", "title code")
       .sort({ availableFrom: 1 })
       .lean();
+    const quizzes = await withoutAnswerKeys(req, found);
 
     // Group by date
     const calendar = {};
@@ -558,7 +614,7 @@ exports.getQuizCalendar = async (req, res) => {
 
 // @desc    Update a quiz
 // @route   PUT /api/v1/quizzes/:id
-// @access  Public
+// @access  Private (quiz:update)
 exports.updateQuiz = async (req, res) => {
   try {
     const { id } = req.params;
@@ -617,14 +673,40 @@ exports.updateQuiz = async (req, res) => {
       }
     }
 
-    // Validate questions limit if updating questions
-    if (updateData.questions && updateData.questions.length > 30) {
+    // Validate questions limit if updating questions or pools
+    const updated = {
+      courseId: quiz.courseId,
+      questions: updateData.questions || quiz.questions,
+      pools: updateData.pools || quiz.pools,
+    };
+    if (quizAttempts.questionCount(updated) > 30) {
       return res.status(400).json({
         success: false,
         message: "Maximum 30 questions allowed per quiz",
       });
     }
 
+    const questionErrors = questionTypes.listProblems(updateData.questions);
+    if (questionErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Some questions are incomplete or invalid",
+        errors: questionErrors,
+      });
+    }
+
+    // A published quiz's pools must stay drawable
+    if (updateData.pools) {
+      const poolErrors = await quizAttempts.poolProblems(updated, { counts: quiz.isPublished });
+      if (poolErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid question pools",
+          errors: poolErrors,
+        });
+      }
+    }
+
     // Update quiz
     const updatedQuiz = await Quiz.findByIdAndUpdate(id, updateData, {
       new: true,
@@ -648,7 +730,7 @@ exports.updateQuiz = async (req, res) => {
 
 // @desc    Delete a quiz
 // @route   DELETE /api/v1/quizzes/:id
-// @access  Public
+// @access  Private (quiz:delete)
 exports.deleteQuiz = async (req, res) => {
   try {
     const { id } = req.params;
@@ -691,7 +773,7 @@ exports.deleteQuiz = async (req, res) => {
 
 // @desc    Publish a quiz
 // @route   PATCH /api/v1/quizzes/:id/publish
-// @access  Public
+// @access  Private (quiz:publish)
 exports.publishQuiz = async (req, res) => {
   try {
     const { id } = req.params;
@@ -705,8 +787,8 @@ exports.publishQuiz = async (req, res) => {
       });
     }
 
-    // Validate quiz has questions
-    if (!quiz.questions || quiz.questions.length === 0) {
+    // Validate quiz has questions (its own or drawn from pools)
+    if (quizAttempts.questionCount(quiz) === 0) {
       return res.status(400).json({
         success: false,
         message: "Cannot publish quiz without questions",
@@ -724,6 +806,9 @@ exports.publishQuiz = async (req, res) => {
       if (q.type === "short-answer") {
         return !q.correctAnswer || q.correctAnswer.trim() === "";
       }
+      if (questionTypes.isStructured(q.type)) {
+        return questionTypes.problems(q).length > 0;
+      }
       return false;
     });
 
@@ -739,6 +824,16 @@ exports.publishQuiz = async (req, res) => {
       });
     }
 
+    // Every pool must find enough questions in its bank
+    const poolErrors = await quizAttempts.poolProblems(quiz);
+    if (poolErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Some question pools cannot be drawn",
+        errors: poolErrors,
+      });
+    }
+
     // Publish quiz
     quiz.isPublished = true;
     quiz.publishedAt = new Date();
@@ -766,7 +861,7 @@ exports.publishQuiz = async (req, res) => {
 
 // @desc    Add a question to a quiz
 // @route   POST /api/v1/quizzes/:id/questions
-// @access  Public
+// @access  Private (quiz:update)
 exports.addQuestion = async (req, res) => {
   try {
     const { id } = req.params;
@@ -842,6 +937,19 @@ exports.addQuestion = async (req, res) => {
           });
         }
         break;
+      case "matching":
+      case "ordering":
+      case "numeric":
+      case "fill-in-the-blank": {
+        const problems = questionTypes.problems(questionData);
+        if (problems.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid ${questionData.type} question: ${problems.join("; ")}`,
+          });
+        }
+        break;
+      }
       default:
         return res.status(400).json({
           success: false,
@@ -850,7 +958,7 @@ exports.addQuestion = async (req, res) => {
     }
 
     // Check maximum questions limit
-    if (quiz.questions.length >= 30) {
+    if (quizAttempts.questionCount(quiz) >= 30) {
       return res.status(400).json({
         success: false,
         message: "Maximum 30 questions allowed per quiz",
@@ -877,15 +985,16 @@ exports.addQuestion = async (req, res) => {
   }
 };
 
-// @desc    Get quiz analytics
-// @route   GET /api/v1/quizzes/:id/analytics
-// @access  Public
-exports.getQuizAnalytics = async (req, res) => {
+// @desc    Import questions from GIFT, Aiken or QTI 2.1
+//          (body: format, content, encoding=utf8|base64, mode=append|replace, dryRun)
+// @route   POST /api/v1/quizzes/:id/import
+// @access  Private (quiz:update)
+exports.importQuestions = async (req, res) => {
   try {
     const { id } = req.params;
+    const { format, content, encoding, mode = "append", dryRun } = req.body;
 
-    // Find the quiz
-    const quiz = await Quiz.findById(id).lean();
+    const quiz = mongoose.Types.ObjectId.isValid(id) ? await Quiz.findById(id) : null;
     if (!quiz) {
       return res.status(404).json({
         success: false,
@@ -893,119 +1002,164 @@ exports.getQuizAnalytics = async (req, res) => {
       });
     }
 
-    // Get all attempts for this quiz
-    const attempts = await QuizAttempt.find({ quizId: id })
-      .sort({ completedAt: -1 })
-      .lean();
+    if (!["append", "replace"].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: "mode must be append or replace",
+      });
+    }
 
-    // Calculate analytics
-    const totalAttempts = attempts.length;
-    const completedAttempts = attempts.filter(
-      (a) => a.status === "completed"
-    ).length;
-    const inProgressAttempts = attempts.filter(
-      (a) => a.status === "in-progress"
-    ).length;
-    const expiredAttempts = attempts.filter(
-      (a) => a.status === "expired"
-    ).length;
-
-    // Calculate scores
-    const scores = attempts
-      .filter((a) => a.score !== undefined)
-      .map((a) => a.score);
-
-    const averageScore =
-      scores.length > 0
-        ? scores.reduce((sum, score) => sum + score, 0) / scores.length
-        : 0;
-
-    const passingAttempts = attempts.filter(
-      (a) => a.score !== undefined && a.score >= quiz.passingScore
-    ).length;
-
-    const passingRate =
-      completedAttempts > 0 ? (passingAttempts / completedAttempts) * 100 : 0;
-
-    // Question-wise analysis
-    const questionStats = [];
-    if (quiz.questions && attempts.length > 0) {
-      quiz.questions.forEach((question, index) => {
-        const questionAttempts = attempts.filter((attempt) =>
-          attempt.answers.some((ans) => ans.questionIndex === index)
-        );
+    const parsed = quizFormats.read(format, content, { encoding: encoding || undefined });
+    if (parsed.error) {
+      return res.status(parsed.status).json({
+        success: false,
+        message: parsed.error,
+      });
+    }
 
-        const correctAttempts = questionAttempts.filter((attempt) => {
-          const answer = attempt.answers.find(
-            (ans) => ans.questionIndex === index
-          );
-          return answer?.isCorrect;
-        }).length;
-
-        const accuracy =
-          questionAttempts.length > 0
-            ? (correctAttempts / questionAttempts.length) * 100
-            : 0;
-
-        questionStats.push({
-          questionIndex: index,
-          question: question.question.substring(0, 50) + "...",
-          type: question.type,
-          totalAttempts: questionAttempts.length,
-          correctAttempts,
-          accuracy: parseFloat(accuracy.toFixed(2)),
-        });
+    // Only the fields of a quiz question (drops `item` and GIFT categories)
+    const questions = parsed.questions.map(({ item, topic, ...question }) => question);
+    const kept = mode === "replace" ? [] : quiz.questions;
+    const totalQuestions = quizAttempts.questionCount({ questions: [...kept, ...questions], pools: quiz.pools });
+
+    // Same limits as adding questions by hand
+    const blockers = [];
+    if (!questions.length) blockers.push("No importable questions found");
+    if (totalQuestions > 30) blockers.push("Maximum 30 questions allowed per quiz");
+    if (quiz.isPublished && (await QuizAttempt.countDocuments({ quizId: id })) > 0) {
+      blockers.push("Cannot change the questions of a published quiz that has attempts");
+    }
+
+    if (dryRun === true || dryRun === "true") {
+      return res.json({
+        success: true,
+        dryRun: true,
+        data: {
+          questions: parsed.questions,
+          unsupported: parsed.unsupported,
+          mode,
+          totalQuestions,
+          blockers,
+        },
+      });
+    }
+
+    if (blockers.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: blockers[0],
+        unsupported: parsed.unsupported,
+      });
+    }
+
+    quiz.questions = [...kept, ...questions];
+    await quiz.save();
+
+    res.json({
+      success: true,
+      data: {
+        imported: questions.length,
+        unsupported: parsed.unsupported,
+        totalQuestions: quizAttempts.questionCount(quiz),
+      },
+      message: `${questions.length} question(s) imported`,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Some questions are incomplete or invalid",
+        errors: Object.values(error.errors).map((e) => e.message),
+      });
+    }
+    console.error("Import questions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Export a quiz's questions as GIFT, Aiken or a QTI 2.1 package
+//          (?format=gift|aiken|qti&strict=true for plain Aiken); questions
+//          the format can't hold are listed in X-Skipped-Questions
+// @route   GET /api/v1/quizzes/:id/export
+// @access  Private (quiz:update)
+exports.exportQuiz = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format, strict } = req.query;
+
+    const quiz = mongoose.Types.ObjectId.isValid(id) ? await Quiz.findById(id).lean() : null;
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: "Quiz not found",
+      });
+    }
+
+    const file = quizFormats.write(format, quiz.questions, { identifier: String(quiz._id), strict: strict === "true" });
+    if (file.error) {
+      return res.status(file.status).json({
+        success: false,
+        message: file.error,
       });
     }
 
-    // Time analysis
-    const completionTimes = attempts
-      .filter((a) => a.timeTaken && a.timeTaken > 0)
-      .map((a) => a.timeTaken);
+    const name = quiz.title.replace(/[^\w-]+/g, "-").replace(/^-+|-+$/g, "").toLowerCase() || "quiz";
+    res.set({
+      "Content-Type": file.contentType,
+      "Content-Disposition": `attachment; filename="${name}.${file.extension}"`,
+      "X-Skipped-Questions": file.skipped.map((s) => s.index + 1).join(","),
+    });
+    res.send(file.body);
+  } catch (error) {
+    console.error("Export quiz error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
 
-    const averageTime =
-      completionTimes.length > 0
-        ? completionTimes.reduce((sum, time) => sum + time, 0) /
-          completionTimes.length
-        : 0;
+// @desc    Get quiz analytics: scores, distribution, trends and item analysis
+//          (?from=&to=&cohort=YYYY-MM&interval=day|week|month)
+// @route   GET /api/v1/quizzes/:id/analytics
+// @access  Private (quiz:analytics)
+exports.getQuizAnalytics = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to, cohort, interval } = req.query;
+
+    // Find the quiz
+    const quiz = mongoose.Types.ObjectId.isValid(id) ? await Quiz.findById(id).lean() : null;
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: "Quiz not found",
+      });
+    }
+
+    const report = await quizAnalytics.report(quiz, { from, to, cohort, interval: interval || undefined });
+    if (report.error) {
+      return res.status(report.status).json({
+        success: false,
+        message: report.error,
+      });
+    }
 
     const analytics = {
       quizInfo: {
         title: quiz.title,
-        totalQuestions: quiz.questions.length,
+        totalQuestions: quizAttempts.questionCount(quiz),
         passingScore: quiz.passingScore,
         duration: quiz.duration,
         maxAttempts: quiz.maxAttempts,
+        scoring: quiz.scoring,
       },
-      overview: {
-        totalAttempts,
-        completedAttempts,
-        inProgressAttempts,
-        expiredAttempts,
-        completionRate:
-          totalAttempts > 0 ? (completedAttempts / totalAttempts) * 100 : 0,
-      },
-      scores: {
-        averageScore: parseFloat(averageScore.toFixed(2)),
-        highestScore: scores.length > 0 ? Math.max(...scores) : 0,
-        lowestScore: scores.length > 0 ? Math.min(...scores) : 0,
-        passingRate: parseFloat(passingRate.toFixed(2)),
-        passingAttempts,
-        failingAttempts: completedAttempts - passingAttempts,
-      },
-      timing: {
-        averageTime: parseFloat(averageTime.toFixed(2)),
-        fastestTime:
-          completionTimes.length > 0 ? Math.min(...completionTimes) : 0,
-        slowestTime:
-          completionTimes.length > 0 ? Math.max(...completionTimes) : 0,
-      },
-      questionStats,
-      attemptsTimeline: attempts.map((attempt) => ({
-        date: attempt.completedAt || attempt.startedAt,
-        score: attempt.score,
-        status: attempt.status,
-      })),
+      ...report,
     };
 
     res.json({
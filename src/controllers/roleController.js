@@ -0,0 +1,65 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const permissions = require('../services/permissionService');
+const { PERMISSIONS, BUILT_IN_ROLES } = require('../config/permissions');
+
+const invalidGrants = (list) => (list || []).filter((p) => !permissions.isValidGrant(p));
+
+exports.listPermissions = async (req,res) => {
+  res.json({ permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })) });
+};
+
+exports.listRoles = async (req,res,next) => {
+  try {
+    const custom = await Role.find().sort({ name: 1 }).lean();
+    const builtIn = Object.entries(BUILT_IN_ROLES).map(([name, role]) => ({ name, builtIn: true, ...role }));
+    res.json({ roles: [...builtIn, ...custom.map((r) => ({ ...r, builtIn: false }))] });
+  } catch(err){ next(err); }
+};
+
+exports.createRole = async (req,res,next) => {
+  try {
+    const { name, description, permissions: grants = [] } = req.body;
+    if(!name) return res.status(400).json({ msg: 'Role name is required' });
+    if(permissions.isBuiltIn(String(name).toLowerCase())) return res.status(400).json({ msg: 'Built-in roles cannot be redefined' });
+    const invalid = invalidGrants(grants);
+    if(invalid.length) return res.status(400).json({ msg: 'Unknown permissions', invalid });
+
+    const role = await Role.create({ name, description, permissions: grants, createdBy: req.user.id });
+    permissions.invalidate(role.name);
+    res.status(201).json({ role });
+  } catch(err){
+    if(err.code === 11000) return res.status(400).json({ msg: 'Role already exists' });
+    if(err.name === 'ValidationError') return res.status(400).json({ msg: err.message });
+    next(err);
+  }
+};
+
+exports.updateRole = async (req,res,next) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+    if(!role) return res.status(404).json({ msg: 'Role not found' });
+    const { description, permissions: grants } = req.body;
+    if(grants !== undefined){
+      const invalid = invalidGrants(grants);
+      if(invalid.length) return res.status(400).json({ msg: 'Unknown permissions', invalid });
+      role.permissions = grants;
+    }
+    if(description !== undefined) role.description = description;
+    await role.save();
+    permissions.invalidate(role.name);
+    res.json({ role });
+  } catch(err){ next(err); }
+};
+
+exports.deleteRole = async (req,res,next) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+    if(!role) return res.status(404).json({ msg: 'Role not found' });
+    const assigned = await User.countDocuments({ role: role.name });
+    if(assigned > 0) return res.status(400).json({ msg: `Role is still assigned to ${assigned} user(s)` });
+    await role.deleteOne();
+    permissions.invalidate(role.name);
+    res.json({ ok: true });
+  } catch(err){ next(err); }
+};
@@ -0,0 +1,133 @@
+const bcrypt = require('bcryptjs');
+const twoFactor = require('../services/twoFactorService');
+const tokens = require('../services/tokenService');
+const loginGuard = require('../services/loginGuard');
+
+// Setup/enable accept either a logged-in user or a login challenge token
+// (admins without 2FA have to enrol before they can get a JWT at all)
+const loadSubject = async (req) => {
+  if(req.body.challengeToken) return twoFactor.resolveChallenge(req.body.challengeToken);
+  return twoFactor.findWithSecrets(req.user.id);
+};
+
+// Counts a wrong second factor like a wrong password
+const rejectCode = async (req, res, user) => {
+  await loginGuard.recordFailure(user.email, req.ip);
+  await loginGuard.audit(req, { email: user.email, user, success: false, reason: 'bad-password' });
+  return res.status(401).json({ msg: 'Invalid authentication code' });
+};
+
+const gateFor = async (req, res, user) => {
+  const gate = await loginGuard.check(user.email, req.ip);
+  if(gate.allowed) return true;
+  res.set('Retry-After', String(Math.ceil(gate.retryAfterMs / 1000)));
+  res.status(429).json({ msg: 'Too many failed attempts. Please wait before trying again.' });
+  return false;
+};
+
+exports.status = async (req,res,next) => {
+  try {
+    const user = await twoFactor.findWithSecrets(req.user.id);
+    if(!user) return res.status(404).json({ msg: 'User not found' });
+    res.json({
+      enabled: !!user.twoFactor.enabled,
+      required: twoFactor.isRequiredFor(user.role),
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: (user.twoFactor.recoveryCodes || []).length
+    });
+  } catch(err){ next(err); }
+};
+
+// Step 1 of enrolment: returns a new secret and otpauth:// URI for the authenticator app
+exports.setup = async (req,res,next) => {
+  try {
+    const user = await loadSubject(req);
+    if(!user) return res.status(401).json({ msg: 'Invalid or expired challenge' });
+    if(user.twoFactor.enabled) return res.status(400).json({ msg: 'Two-factor authentication is already enabled' });
+    const { secret, otpauthUrl } = twoFactor.beginSetup(user);
+    await user.save();
+    res.json({ secret, otpauthUrl });
+  } catch(err){ next(err); }
+};
+
+// Step 2 of enrolment: confirms the first code and returns recovery codes (shown once)
+exports.enable = async (req,res,next) => {
+  try {
+    const user = await loadSubject(req);
+    if(!user) return res.status(401).json({ msg: 'Invalid or expired challenge' });
+    if(user.twoFactor.enabled) return res.status(400).json({ msg: 'Two-factor authentication is already enabled' });
+    if(!(await gateFor(req, res, user))) return;
+
+    const recoveryCodes = twoFactor.completeSetup(user, req.body.code);
+    if(!recoveryCodes) return rejectCode(req, res, user);
+
+    const viaChallenge = !!req.body.challengeToken;
+    if(viaChallenge) user.twoFactor.challengeId = undefined;
+    await user.save();
+
+    const body = { msg: 'Two-factor authentication enabled', recoveryCodes };
+    if(viaChallenge){
+      await loginGuard.recordSuccess(user.email);
+      await loginGuard.audit(req, { email: user.email, user, success: true, reason: 'ok' });
+      Object.assign(body, await tokens.issueTokenPair(user, req), { user: user.toPublic() });
+    }
+    res.json(body);
+  } catch(err){ next(err); }
+};
+
+// Second step of login: exchanges the challenge token + code for the JWT pair
+exports.verify = async (req,res,next) => {
+  try {
+    const user = await twoFactor.resolveChallenge(req.body.challengeToken);
+    if(!user || !user.twoFactor.enabled) return res.status(401).json({ msg: 'Invalid or expired challenge' });
+    if(!(await gateFor(req, res, user))) return;
+
+    const method = twoFactor.checkSecondFactor(user, req.body);
+    if(!method) return rejectCode(req, res, user);
+
+    user.twoFactor.challengeId = undefined;
+    await user.save();
+    await loginGuard.recordSuccess(user.email);
+    await loginGuard.audit(req, { email: user.email, user, success: true, reason: 'ok' });
+
+    const pair = await tokens.issueTokenPair(user, req);
+    res.json({
+      ...pair,
+      user: user.toPublic(),
+      recoveryCodesRemaining: method === 'recovery' ? user.twoFactor.recoveryCodes.length : undefined
+    });
+  } catch(err){ next(err); }
+};
+
+exports.disable = async (req,res,next) => {
+  try {
+    const user = await twoFactor.findWithSecrets(req.user.id);
+    if(!user) return res.status(404).json({ msg: 'User not found' });
+    if(!user.twoFactor.enabled) return res.status(400).json({ msg: 'Two-factor authentication is not enabled' });
+    if(twoFactor.isRequiredFor(user.role)){
+      return res.status(403).json({ msg: `Two-factor authentication is mandatory for ${user.role} accounts` });
+    }
+    if(!(await gateFor(req, res, user))) return;
+    // Social-only accounts have no password; the code alone is required there
+    const passwordOk = user.passwordHash ? await bcrypt.compare(req.body.password || '', user.passwordHash) : true;
+    if(!passwordOk || !twoFactor.checkSecondFactor(user, req.body)) return rejectCode(req, res, user);
+
+    twoFactor.disable(user);
+    await user.save();
+    res.json({ msg: 'Two-factor authentication disabled' });
+  } catch(err){ next(err); }
+};
+
+exports.regenerateRecoveryCodes = async (req,res,next) => {
+  try {
+    const user = await twoFactor.findWithSecrets(req.user.id);
+    if(!user) return res.status(404).json({ msg: 'User not found' });
+    if(!user.twoFactor.enabled) return res.status(400).json({ msg: 'Two-factor authentication is not enabled' });
+    if(!(await gateFor(req, res, user))) return;
+    if(twoFactor.checkSecondFactor(user, { code: req.body.code }) !== 'totp') return rejectCode(req, res, user);
+
+    const recoveryCodes = twoFactor.regenerateRecoveryCodes(user);
+    await user.save();
+    res.json({ recoveryCodes });
+  } catch(err){ next(err); }
+};
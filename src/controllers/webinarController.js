@@ -1,22 +1,9 @@
 // controllers/webinarController.js
 const Webinar = require('../models/Webinar');
 const Registration = require('../models/Registration');
-const nodemailer = require('nodemailer');
+const { createTransporter } = require('../services/mailService');
 const { v4: uuidv4 } = require('uuid');
 
-// Create email transporter
-const createTransporter = () => {
-  return nodemailer.createTransport({
-    host: process.env.SMTP_HOST,
-    port: process.env.SMTP_PORT,
-    secure: process.env.SMTP_SECURE === 'true',
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS,
-    },
-  });
-};
-
 // 1. Create new webinar (Admin only)
 exports.createWebinar = async (req, res) => {
   try {
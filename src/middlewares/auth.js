@@ -1,27 +1,43 @@
 const jwt = require("jsonwebtoken");
+const { markAuthGuard } = require("../utils/routeAudit");
+const sessions = require("../services/sessionService");
+const User = require("../models/User");
 
-// Auth middleware - checks JWT and sets req.user
-exports.auth = (req, res, next) => {
+// Auth middleware - checks JWT and its session, sets req.user
+exports.auth = markAuthGuard(async (req, res, next) => {
+  let payload;
   try {
     const h = req.headers.authorization;
     if (!h) return res.status(401).json({ msg: "No token" });
 
     const token = h.split(" ")[1];
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-
-    req.user = { id: payload.id, role: payload.role };
-    next();
+    payload = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
     return res.status(401).json({ msg: "Invalid token" });
   }
-};
 
-// Permit middleware - role-based authorization
-exports.permit = (...roles) => {
-  return (req, res, next) => {
-    if (!req.user || !roles.includes(req.user.role)) {
-      return res.status(403).json({ msg: "Forbidden: Access denied" });
+  try {
+    if (payload.sid) {
+      if (!(await sessions.isActive(payload.sid, payload.id))) {
+        return res.status(401).json({ msg: "Session has been revoked" });
+      }
+    } else {
+      // Tokens issued before sessions existed can't be revoked with their
+      // session; a password change still ends them
+      const user = await User.findById(payload.id).select("passwordChangedAt").lean();
+      if (!user || (user.passwordChangedAt && payload.iat * 1000 < user.passwordChangedAt.getTime())) {
+        return res.status(401).json({ msg: "Token is no longer valid, please log in again" });
+      }
     }
-    next();
-  };
-};
+  } catch (err) {
+    return next(err);
+  }
+
+  req.user = { id: payload.id, role: payload.role, sid: payload.sid };
+  next();
+});
+
+// Like `auth` when an Authorization header is sent; anonymous requests pass
+// through without req.user (public pages that show more to logged-in users)
+exports.optionalAuth = (req, res, next) =>
+  req.headers.authorization ? exports.auth(req, res, next) : next();
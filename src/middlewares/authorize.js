@@ -0,0 +1,36 @@
+const { auth } = require("./auth");
+const permissions = require("../services/permissionService");
+const { markAuthGuard } = require("../utils/routeAudit");
+
+/**
+ * Authorize middleware - authenticates (if `auth` has not run yet) and checks
+ * a catalog permission, e.g. `authorize("course:publish")`.
+ *
+ * With `{ owner: policy }` the permission only covers resources the user owns;
+ * holders of "<permission>:any" skip the ownership check. Policies resolve
+ * to null for a missing resource, answered here with a 404.
+ */
+exports.authorize = (permission, { owner } = {}) => {
+  const check = async (req, res, next) => {
+    try {
+      const granted = await permissions.permissionsForRole(req.user.role);
+
+      if (owner && permissions.grants(granted, `${permission}:any`)) return next();
+      if (!permissions.grants(granted, permission)) {
+        return res.status(403).json({ msg: "Forbidden: Access denied", permission });
+      }
+      if (owner) {
+        const owns = await owner(req);
+        if (owns === null) return res.status(404).json({ msg: "Resource not found" });
+        if (!owns) {
+          return res.status(403).json({ msg: "Forbidden: you do not own this resource", permission });
+        }
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  return [markAuthGuard((req, res, next) => (req.user ? next() : auth(req, res, next))), check];
+};
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+const Course = require("../models/Course");
+const { getAccess } = require("../services/courseAccessService");
+
+/**
+ * Course access middleware - must run after `auth`.
+ * Loads the course named by the request param into `req.course`, the access
+ * decision into `req.courseAccess`, and rejects users without full access
+ * (see services/courseAccessService.js).
+ */
+exports.requireCourseAccess = (param = "courseId") => async (req, res, next) => {
+  try {
+    const id = req.params[param];
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, msg: "Invalid course ID" });
+    }
+
+    const course = await Course.findById(id);
+    if (!course) return res.status(404).json({ success: false, msg: "Course not found" });
+
+    const access = await getAccess(req.user, course);
+    if (access.level !== "full") {
+      return res.status(403).json({
+        success: false,
+        msg: "Enroll in this course to access its content",
+        reason: access.reason,
+      });
+    }
+
+    req.course = course;
+    req.courseAccess = access;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
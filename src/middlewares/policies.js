@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+const Course = require("../models/Course");
+const Lesson = require("../models/Lesson");
+const Quiz = require("../models/Quiz");
+const LiveSession = require("../models/liveSessionModel");
+const Announcement = require("../models/Announcement");
+const Answer = require("../models/Answer");
+const Question = require("../models/Question");
+const User = require("../models/User");
+
+// Ownership policies for `authorize(permission, { owner })`.
+// Each takes the request param name (or a `req => id` function) holding the id
+// and resolves to true when the current user owns the resource, false when
+// ownership can't be established (e.g. a quiz without a course) and null when
+// the resource does not exist, which `authorize` answers with a 404.
+
+const idFrom = (source) => (req) =>
+  typeof source === "function" ? source(req) : req.params[source];
+
+const sameUser = (value, req) => value && String(value) === String(req.user.id);
+
+const findById = (Model, id, fields) =>
+  mongoose.Types.ObjectId.isValid(id) ? Model.findById(id).select(fields).lean() : null;
+
+// Parent course ownership: a missing or deleted course is owned by nobody
+const isCourseInstructor = async (courseId, req) => {
+  const course = await findById(Course, courseId, "instructor");
+  return Boolean(course && sameUser(course.instructor, req));
+};
+
+exports.ownsCourse = (source = "id") => async (req) => {
+  const course = await findById(Course, idFrom(source)(req), "instructor");
+  return course ? Boolean(sameUser(course.instructor, req)) : null;
+};
+
+exports.ownsLesson = (source = "id") => async (req) => {
+  const lesson = await findById(Lesson, idFrom(source)(req), "course");
+  return lesson ? isCourseInstructor(lesson.course, req) : null;
+};
+
+exports.ownsQuiz = (source = "id") => async (req) => {
+  const quiz = await findById(Quiz, idFrom(source)(req), "courseId");
+  return quiz ? isCourseInstructor(quiz.courseId, req) : null;
+};
+
+exports.ownsLiveSession = (source = "id") => async (req) => {
+  const session = await findById(LiveSession, idFrom(source)(req), "instructor");
+  return session ? Boolean(sameUser(session.instructor, req)) : null;
+};
+
+exports.ownsAnnouncement = (source = "id") => async (req) => {
+  const announcement = await findById(Announcement, idFrom(source)(req), "instructorId");
+  return announcement ? Boolean(sameUser(announcement.instructorId, req)) : null;
+};
+
+// Community questions have no account, only the asker's email: the user owns
+// the question when their verified email is that address
+exports.asksQuestionOfAnswer = (source = "id") => async (req) => {
+  const answer = await findById(Answer, idFrom(source)(req), "questionId");
+  if (!answer) return null;
+  const [question, user] = await Promise.all([
+    findById(Question, answer.questionId, "email"),
+    User.findById(req.user.id).select("email emailVerified").lean(),
+  ]);
+  if (!question) return false;
+  return Boolean(user && user.emailVerified && String(user.email).toLowerCase() === question.email);
+};
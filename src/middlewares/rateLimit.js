@@ -0,0 +1,31 @@
+const { rateLimit } = require('express-rate-limit');
+
+// Coarse per-IP limiter for the auth endpoints. It is in-memory (per instance);
+// the Mongo-backed login guard is what enforces lockouts across instances.
+exports.authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: Number(process.env.AUTH_RATE_LIMIT) || 100,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { msg: 'Too many requests, please try again later.' },
+});
+
+// Public certificate verification: keeps code guessing impractical
+exports.verifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: Number(process.env.CERTIFICATE_VERIFY_RATE_LIMIT) || 60,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { msg: 'Too many verification requests, please try again later.' },
+});
+
+// Video heartbeats, per user (mounted after auth): players send one every few
+// seconds, so anything faster is a script
+exports.heartbeatLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: Number(process.env.VIDEO_HEARTBEAT_RATE_LIMIT) || 30,
+  keyGenerator: (req) => String(req.user.id),
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { msg: 'Too many heartbeats, please slow down.' },
+});
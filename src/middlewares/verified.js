@@ -0,0 +1,30 @@
+const User = require('../models/User');
+
+// Actions unverified accounts may not perform, e.g. EMAIL_VERIFICATION_REQUIRED_FOR=enroll,post
+// ("enroll" guards paid and free enrollment, "post" community questions/answers
+// and announcements; see requireVerified(...) in the routes).
+// Set it to "none" to disable the restriction entirely.
+const restrictedActions = () => {
+  const raw = process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+  if (raw === undefined || raw === '') return ['enroll', 'post'];
+  return raw.split(',').map((a) => a.trim()).filter((a) => a && a !== 'none');
+};
+
+// Verified-email middleware - must run after `auth`
+exports.requireVerified = (action) => async (req, res, next) => {
+  try {
+    if (!restrictedActions().includes(action)) return next();
+    if (!req.user) return res.status(401).json({ msg: 'Not authenticated' });
+
+    const user = await User.findById(req.user.id).select('emailVerified');
+    if (!user) return res.status(401).json({ msg: 'Invalid token' });
+    if (!user.emailVerified) {
+      return res.status(403).json({ msg: 'Please verify your email address first', code: 'EMAIL_NOT_VERIFIED' });
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.restrictedActions = restrictedActions;
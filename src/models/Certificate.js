@@ -1,3 +1,4 @@
+const crypto = require("crypto");
 const mongoose = require("mongoose");
 
 const certificateSchema = new mongoose.Schema(
@@ -81,29 +82,90 @@ const certificateSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Revocations and reinstatements, oldest first
+    history: [
+      {
+        _id: false,
+        action: { type: String, enum: ["revoke", "reinstate"], required: true },
+        reason: { type: String, trim: true },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        at: { type: Date, default: Date.now },
+      },
+    ],
   },
   {
     timestamps: true,
   }
 );
 
-// Generate certificate ID before save
-certificateSchema.pre('save', function(next) {
+// Unambiguous characters (no 0/O, 1/I); 32 symbols so every byte maps evenly
+const CODE_ALPHABET = "23456789ABCDEFGHJKLMNPQRSTUVWXYZ";
+
+const randomCode = (length) =>
+  Array.from(crypto.randomBytes(length), (byte) => CODE_ALPHABET[byte % 32]).join("");
+
+// Verification codes as typed by people: "ABCD-EFGH-JKMN-PQRS" (80 random bits)
+const generateVerificationCode = () => randomCode(16).match(/.{4}/g).join("-");
+
+// Certificate IDs double as the public PDF link, so they carry 80 random bits too
+const generateCertificateId = () => `CERT-${new Date().getFullYear()}-${randomCode(16)}`;
+
+// Generate certificate ID and verification code before validation (both required)
+certificateSchema.pre('validate', function(next) {
   if (!this.certificateId) {
-    const timestamp = Date.now().toString().slice(-6);
-    const random = Math.random().toString(36).substr(2, 4).toUpperCase();
-    this.certificateId = `CERT-${timestamp}-${random}`;
+    this.certificateId = generateCertificateId();
   }
   
   if (!this.verificationCode) {
-    this.verificationCode = Math.random().toString(36).substr(2, 8).toUpperCase();
+    this.verificationCode = generateVerificationCode();
+  }
+
+  // Rendered on first download (services/certificatePdfService.js)
+  if (!this.pdfUrl) {
+    this.pdfUrl = `/api/v1/certificates/${encodeURIComponent(this.certificateId)}/pdf`;
   }
   
   next();
 });
 
-// Index for faster queries
-certificateSchema.index({ userId: 1, courseId: 1 });
+// "valid", "revoked" or "expired"
+certificateSchema.methods.statusAt = function(now = new Date()) {
+  if (this.isRevoked) return "revoked";
+  if (this.expiryDate && now > this.expiryDate) return "expired";
+  return "valid";
+};
+
+// What the public verification page may show
+certificateSchema.methods.toVerification = function(now = new Date()) {
+  const status = this.statusAt(now);
+  return {
+    certificateId: this.certificateId,
+    holder: this.studentName,
+    course: { id: this.courseId, name: this.courseName },
+    instructor: this.instructorName,
+    issueDate: this.issueDate,
+    completionDate: this.completionDate,
+    expiryDate: this.expiryDate || null,
+    grade: this.grade,
+    status,
+    valid: status === "valid",
+    revokedAt: status === "revoked" ? this.revokedAt : undefined,
+    revokeReason: status === "revoked" ? this.revokeReason : undefined,
+  };
+};
+
+certificateSchema.statics.generateVerificationCode = generateVerificationCode;
+certificateSchema.statics.generateCertificateId = generateCertificateId;
+
+// One certificate per learner and course (issuance relies on it)
+certificateSchema.index({ userId: 1, courseId: 1 }, { unique: true });
 certificateSchema.index({ certificateId: 1 });
 certificateSchema.index({ verificationCode: 1 });
 
@@ -10,6 +10,12 @@ const resourceSchema = new mongoose.Schema({
   description: { type: String }
 }, { timestamps: true });
 
+// Drip release: unlock `afterDays` days after enrolling, or on a fixed `date`
+const dripSchema = new mongoose.Schema({
+  afterDays: { type: Number, min: 0 },
+  date: { type: Date }
+}, { _id: false });
+
 // Lesson Schema - SIMPLIFIED to connect with your existing Quiz
 const lessonSchema = new mongoose.Schema({
   title: { type: String, required: true },
@@ -34,6 +40,8 @@ const lessonSchema = new mongoose.Schema({
   },
   order: { type: Number, required: true },
   isPreview: { type: Boolean, default: false },
+  drip: dripSchema,
+  // Legacy shared flag; the per-learner status is computed (services/unlockService.js)
   status: { type: String, enum: ['locked', 'unlocked', 'completed'], default: 'locked' }
 }, { timestamps: true });
 
@@ -45,6 +53,8 @@ const moduleSchema = new mongoose.Schema({
   lessons: [lessonSchema],
   totalLessons: { type: Number, default: 0 },
   totalDuration: { type: Number, default: 0 },
+  drip: dripSchema, // applies to every lesson of the module
+  // Legacy shared flag; the per-learner status is computed (services/unlockService.js)
   status: { type: String, enum: ['locked', 'unlocked', 'completed'], default: 'locked' }
 }, { timestamps: true });
 
@@ -93,6 +103,13 @@ const courseSchema = new mongoose.Schema(
     totalDuration: { type: Number, default: 0 }, // in minutes
     
     enrollmentDeadline: { type: Date },
+
+    // Unlock rules for learners
+    progression: {
+      sequential: { type: Boolean, default: false }, // previous lesson must be completed
+      quizGated: { type: Boolean, default: false }, // earlier quiz lessons must be passed
+      videoCompletionPercent: { type: Number, min: 1, max: 100 } // default VIDEO_COMPLETION_PERCENT
+    },
     published: { type: Boolean, default: false },
     
     // Analytics
@@ -115,7 +132,19 @@ const courseSchema = new mongoose.Schema(
     language: { type: String, default: "English" },
     subtitles: [{ type: String }],
     certificateIncluded: { type: Boolean, default: false },
+    certificateValidityDays: { type: Number, min: 1 }, // unset = certificates never expire
+    // When a learner earns the certificate (services/certificateService.js)
+    completionRules: {
+      minProgress: { type: Number, min: 0, max: 100, default: 100 },
+      requireQuizzesPassed: { type: Boolean, default: false },
+      minQuizAverage: { type: Number, min: 0, max: 100 },
+      requireExamsPassed: { type: Boolean, default: false },
+      minExamScore: { type: Number, min: 0, max: 100 },
+      examWeight: { type: Number, min: 0, max: 100, default: 60 } // share of exams in the certificate score
+    },
     accessType: { type: String, enum: ['lifetime', 'subscription', 'timed'], default: 'lifetime' },
+    // Access window of timed courses / billing period of subscriptions
+    accessDurationDays: { type: Number, min: 1 },
     prerequisites: [{ type: String }],
     whatYoullLearn: [{ type: String }],
     
@@ -1,10 +1,18 @@
 const mongoose = require('mongoose');
 
 const enrollmentSchema = new mongoose.Schema({
-  courseId: {
-    type: String,
+  // Learner account; unset only for guest checkouts whose email has no
+  // verified account yet (linked later, see services/enrollmentService.js)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
     required: true
   },
+  // Title and price as they were at purchase time
   courseTitle: {
     type: String,
     required: true
@@ -13,6 +21,7 @@ const enrollmentSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Contact details given at checkout
   studentInfo: {
     fullname: {
       type: String,
@@ -20,25 +29,25 @@ const enrollmentSchema = new mongoose.Schema({
     },
     email: {
       type: String,
-      required: true
+      required: true,
+      lowercase: true,
+      trim: true
     },
-    phone: {
-      type: String,
-      required: true
-    }
+    phone: String
   },
   paymentInfo: {
     method: {
       type: String,
       default: 'bKash'
     },
+    // Free enrollments have no payment to reference
     paymentId: {
       type: String,
-      required: true
+      required: function() { return this.paymentInfo.method !== 'free'; }
     },
     transactionId: {
       type: String,
-      required: true
+      required: function() { return this.paymentInfo.method !== 'free'; }
     },
     amount: {
       type: Number,
@@ -63,6 +72,8 @@ const enrollmentSchema = new mongoose.Schema({
     enum: ['active', 'completed', 'cancelled'],
     default: 'active'
   },
+  // End of access for timed/subscription courses (see services/courseAccessService.js)
+  accessExpiresAt: Date,
   certificateIssued: {
     type: Boolean,
     default: false
@@ -85,7 +96,12 @@ const enrollmentSchema = new mongoose.Schema({
 // Create index for faster queries
 enrollmentSchema.index({ 'studentInfo.email': 1 });
 enrollmentSchema.index({ 'studentInfo.phone': 1 });
-enrollmentSchema.index({ courseId: 1 });
+enrollmentSchema.index({ course: 1 });
+// One enrollment per learner and course
+enrollmentSchema.index(
+  { user: 1, course: 1 },
+  { unique: true, partialFilterExpression: { user: { $type: 'objectId' } } }
+);
 enrollmentSchema.index({ 'paymentInfo.paymentId': 1 });
 
 const Enrollment = mongoose.model('Enrollment', enrollmentSchema);
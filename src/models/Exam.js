@@ -8,7 +8,17 @@ const examQuestionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ["single-choice", "multiple-choice", "true-false", "short-answer", "essay"],
+    enum: [
+      "single-choice",
+      "multiple-choice",
+      "true-false",
+      "short-answer",
+      "essay",
+      "matching",
+      "ordering",
+      "numeric",
+      "fill-in-the-blank",
+    ],
     required: [true, "Question type is required"],
   },
   options: [
@@ -27,10 +37,12 @@ const examQuestionSchema = new mongoose.Schema({
       },
     },
   ],
+  // true-false: boolean; short-answer: accepted answer(s); numeric: the number;
+  // choice questions mark options with isCorrect instead; essays are graded by hand
   correctAnswer: {
     type: mongoose.Schema.Types.Mixed,
     required: function () {
-      return this.type !== "multiple-choice";
+      return ["true-false", "short-answer", "numeric"].includes(this.type);
     },
   },
   points: {
@@ -42,6 +54,42 @@ const examQuestionSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  // Structured types (services/questionTypes.js)
+  // matching: the correct pairs
+  pairs: [
+    {
+      _id: false,
+      left: { type: String, trim: true },
+      right: { type: String, trim: true },
+    },
+  ],
+  // ordering: the items in their correct order
+  items: [{ type: String, trim: true }],
+  // numeric: accepted distance from correctAnswer
+  tolerance: {
+    type: Number,
+    default: 0,
+    min: [0, "Tolerance cannot be negative"],
+  },
+  // fill-in-the-blank: accepted answers of each {{n}} marker in the text
+  blanks: [
+    {
+      _id: false,
+      accepted: [{ type: String, trim: true }],
+    },
+  ],
+  // matching, ordering, fill-in-the-blank: points in proportion to the correct parts
+  partialCredit: {
+    type: Boolean,
+    default: false,
+  },
+  // Criteria for manual grading; awarded points are the sum of the criterion scores
+  rubric: [
+    {
+      criterion: { type: String, required: true, trim: true },
+      maxPoints: { type: Number, required: true, min: 0 },
+    },
+  ],
 });
 
 const examSchema = new mongoose.Schema(
@@ -131,4 +179,6 @@ examSchema.pre('save', function(next) {
   next();
 });
 
+examSchema.index({ courseId: 1, isPublished: 1 });
+
 module.exports = mongoose.model("Exam", examSchema);
\ No newline at end of file
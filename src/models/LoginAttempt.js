@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Audit trail of login attempts (kept for 90 days)
+const loginAttemptSchema = new mongoose.Schema({
+  email: { type: String, lowercase: true, trim: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  ipAddress: String,
+  userAgent: String,
+  success: { type: Boolean, default: false },
+  reason: { type: String, enum: ['ok', 'unknown-user', 'bad-password', 'account-locked', 'ip-locked', 'throttled'] }
+}, { timestamps: true });
+
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+loginAttemptSchema.index({ ipAddress: 1, createdAt: -1 });
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
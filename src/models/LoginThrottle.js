@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Failed-login counters shared by every app instance.
+// `key` is either "account:<email>" or "ip:<address>".
+const loginThrottleSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  scope: { type: String, enum: ['account', 'ip'], required: true },
+  failures: { type: Number, default: 0 },
+  firstFailureAt: Date,
+  lastFailureAt: Date,
+  lockedUntil: Date
+}, { timestamps: true });
+
+// Idle counters are dropped after a day
+loginThrottleSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
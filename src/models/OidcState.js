@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Pending OIDC authorization requests (state -> PKCE verifier + nonce).
+// Consumed once by the callback; expired ones are purged by Mongo.
+const oidcStateSchema = new mongoose.Schema({
+  state: { type: String, required: true, unique: true },
+  provider: { type: String, required: true },
+  codeVerifier: { type: String, required: true },
+  nonce: { type: String, required: true },
+  // Set when an already logged-in user is linking another identity
+  linkUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcState', oidcStateSchema);
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+const Quiz = require("./Quiz");
+
+const DIFFICULTIES = ["easy", "medium", "hard"];
+
+// Bank questions are quiz questions tagged for drawing into quiz pools
+const bankQuestionSchema = Quiz.schema.path("questions").schema.clone();
+bankQuestionSchema.add({
+  topic: {
+    type: String,
+    trim: true,
+  },
+  difficulty: {
+    type: String,
+    enum: DIFFICULTIES,
+    default: "medium",
+  },
+});
+
+const questionBankSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Bank title is required"],
+      trim: true,
+      maxlength: [200, "Title cannot exceed 200 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Description cannot exceed 1000 characters"],
+    },
+    courseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: [true, "Course ID is required"],
+    },
+    questions: [bankQuestionSchema],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+questionBankSchema.index({ courseId: 1, title: 1 });
+
+questionBankSchema.statics.DIFFICULTIES = DIFFICULTIES;
+
+module.exports = mongoose.model("QuestionBank", questionBankSchema);
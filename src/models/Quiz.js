@@ -8,7 +8,16 @@ const questionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ["single-choice", "multiple-choice", "true-false", "short-answer"],
+    enum: [
+      "single-choice",
+      "multiple-choice",
+      "true-false",
+      "short-answer",
+      "matching",
+      "ordering",
+      "numeric",
+      "fill-in-the-blank",
+    ],
     required: [true, "Question type is required"],
   },
   options: [
@@ -30,7 +39,8 @@ const questionSchema = new mongoose.Schema({
   correctAnswer: {
     type: mongoose.Schema.Types.Mixed,
     required: function () {
-      return this.type !== "multiple-choice"; // For multiple-choice, correct answers are in options
+      // Multiple-choice marks options; matching, ordering and blanks have their own fields
+      return !["multiple-choice", "matching", "ordering", "fill-in-the-blank"].includes(this.type);
     },
   },
   points: {
@@ -42,6 +52,42 @@ const questionSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  // Structured types (services/questionTypes.js)
+  // matching: the correct pairs
+  pairs: [
+    {
+      _id: false,
+      left: { type: String, trim: true },
+      right: { type: String, trim: true },
+    },
+  ],
+  // ordering: the items in their correct order
+  items: [{ type: String, trim: true }],
+  // numeric: accepted distance from correctAnswer
+  tolerance: {
+    type: Number,
+    default: 0,
+    min: [0, "Tolerance cannot be negative"],
+  },
+  // fill-in-the-blank: accepted answers of each {{n}} marker in the text
+  blanks: [
+    {
+      _id: false,
+      accepted: [{ type: String, trim: true }],
+    },
+  ],
+  // matching, ordering, fill-in-the-blank: points in proportion to the correct parts
+  partialCredit: {
+    type: Boolean,
+    default: false,
+  },
+  // Criteria for manual grading; awarded points are the sum of the criterion scores
+  rubric: [
+    {
+      criterion: { type: String, required: true, trim: true },
+      maxPoints: { type: Number, required: true, min: 0 },
+    },
+  ],
 });
 
 const quizSchema = new mongoose.Schema(
@@ -110,6 +156,55 @@ const quizSchema = new mongoose.Schema(
       default: "immediate",
     },
     questions: [questionSchema],
+    // Each attempt also draws `count` random questions per pool from the
+    // course's question banks (optionally only one topic / difficulty)
+    pools: [
+      {
+        bankId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "QuestionBank",
+          required: [true, "Pool bank is required"],
+        },
+        topic: {
+          type: String,
+          trim: true,
+        },
+        difficulty: {
+          type: String,
+          enum: ["easy", "medium", "hard"],
+        },
+        count: {
+          type: Number,
+          required: [true, "Pool question count is required"],
+          min: [1, "A pool must draw at least 1 question"],
+        },
+      },
+    ],
+    // How choice questions are scored; copied onto each attempt when it starts
+    // (gradeChoice in services/quizAttemptService.js)
+    scoring: {
+      policy: {
+        type: String,
+        enum: ["all-or-nothing", "partial-credit", "right-minus-wrong", "negative-marking"],
+        default: "all-or-nothing",
+      },
+      // negative-marking: share of the question's points lost for a wrong single-choice answer
+      penalty: {
+        type: Number,
+        default: 0.25,
+        min: [0, "Penalty cannot be negative"],
+        max: [1, "Penalty cannot exceed the question's points"],
+      },
+    },
+    // Per-attempt order, persisted on the attempt (services/quizAttemptService.js)
+    shuffleQuestions: {
+      type: Boolean,
+      default: false,
+    },
+    shuffleOptions: {
+      type: Boolean,
+      default: false,
+    },
     isPublished: {
       type: Boolean,
       default: false,
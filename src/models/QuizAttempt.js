@@ -1,5 +1,19 @@
 // models/QuizAttempt.js
 const mongoose = require("mongoose");
+const Quiz = require("./Quiz");
+
+// The questions as this attempt saw them: drawn from pools, shuffled, and
+// kept as they were so later edits of the quiz or bank don't change grading.
+// `_id` stays the id of the source question.
+const attemptQuestionSchema = Quiz.schema.path("questions").schema.clone();
+attemptQuestionSchema.add({
+  bankId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "QuestionBank",
+  },
+  topic: String,
+  difficulty: String,
+});
 
 const attemptAnswerSchema = new mongoose.Schema({
   questionId: {
@@ -8,6 +22,8 @@ const attemptAnswerSchema = new mongoose.Schema({
   },
   selectedOptions: [String],
   shortAnswer: String,
+  // matching: [{ left, right }]; ordering / fill-in-the-blank: [String]
+  response: mongoose.Schema.Types.Mixed,
   isCorrect: Boolean,
   pointsEarned: {
     type: Number,
@@ -17,6 +33,26 @@ const attemptAnswerSchema = new mongoose.Schema({
     type: Number, // in seconds
     default: 0,
   },
+  // Manual grading (services/gradingService.js)
+  needsGrading: {
+    type: Boolean,
+    default: false,
+  },
+  rubricScores: [{
+    _id: false,
+    criterionId: mongoose.Schema.Types.ObjectId,
+    criterion: String,
+    points: Number,
+  }],
+  feedback: {
+    type: String,
+    trim: true,
+  },
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  gradedAt: Date,
 }, { _id: false });
 
 const quizAttemptSchema = new mongoose.Schema({
@@ -35,6 +71,19 @@ const quizAttemptSchema = new mongoose.Schema({
     ref: "Course",
     required: true,
   },
+  questions: [attemptQuestionSchema],
+  // The quiz's scoring policy when the attempt started, so its score can be
+  // recomputed later; attempts from before policies existed were all-or-nothing
+  scoring: {
+    policy: {
+      type: String,
+      default: "all-or-nothing",
+    },
+    penalty: {
+      type: Number,
+      default: 0,
+    },
+  },
   answers: [attemptAnswerSchema],
   score: {
     type: Number,
@@ -59,6 +108,15 @@ const quizAttemptSchema = new mongoose.Schema({
   timeCompleted: {
     type: Date,
   },
+  // Submissions after this (plus a short grace) are not accepted
+  expiresAt: {
+    type: Date,
+  },
+  // Closed by the server when time ran out
+  autoSubmitted: {
+    type: Boolean,
+    default: false,
+  },
   timeSpent: {
     type: Number, // in seconds
     default: 0,
@@ -69,7 +127,8 @@ const quizAttemptSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ["in-progress", "completed", "abandoned"],
+    // expired: time ran out without any saved answer (services/quizAttemptService.js)
+    enum: ["in-progress", "pending-review", "completed", "expired", "abandoned"],
     default: "in-progress",
   },
   ipAddress: String,
@@ -78,26 +137,14 @@ const quizAttemptSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  // When manual grades were released to the learner
+  gradesReleasedAt: Date,
 }, {
   timestamps: true,
 });
 
-// Calculate scores before saving
+// Score, totalPoints and percentage are set when grading (services/gradingService.js)
 quizAttemptSchema.pre("save", function(next) {
-  if (this.answers.length > 0) {
-    this.totalPoints = this.answers.reduce((total, answer) => total + answer.pointsEarned, 0);
-    
-    // Get quiz total points from answers
-    const totalPossiblePoints = this.answers.reduce((total, answer) => {
-      const question = this.answers.find(a => a.questionId.equals(answer.questionId));
-      return total + (question ? question.pointsEarned : 0);
-    }, 0);
-    
-    if (totalPossiblePoints > 0) {
-      this.percentage = Math.round((this.totalPoints / totalPossiblePoints) * 100);
-    }
-  }
-  
   if (this.timeStarted && this.timeCompleted) {
     this.timeSpent = Math.floor((this.timeCompleted - this.timeStarted) / 1000);
   }
@@ -109,6 +156,14 @@ quizAttemptSchema.pre("save", function(next) {
 quizAttemptSchema.index({ quizId: 1, userId: 1 });
 quizAttemptSchema.index({ userId: 1, courseId: 1 });
 quizAttemptSchema.index({ createdAt: -1 });
+quizAttemptSchema.index({ courseId: 1, status: 1 });
+quizAttemptSchema.index({ status: 1, expiresAt: 1 });
+// At most one running attempt per learner and quiz; startQuizAttempt resumes
+// the winner when parallel starts race
+quizAttemptSchema.index(
+  { quizId: 1, userId: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: "in-progress" } }
+);
 
 const QuizAttempt = mongoose.model("QuizAttempt", quizAttemptSchema);
 
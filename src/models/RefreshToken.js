@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Opaque refresh tokens are never stored in clear text, only their SHA-256 hash.
+// Every token issued by a rotation chain shares the same `family` so a replayed
+// (already rotated) token can revoke the whole chain at once.
+const refreshTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  family: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date,
+  revokedReason: { type: String, enum: ['rotated', 'logout', 'logout-all', 'reuse-detected', 'revoked', 'admin'] },
+  replacedBy: String,
+  createdByIp: String,
+  userAgent: String
+}, { timestamps: true });
+
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Let Mongo purge expired tokens on its own
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
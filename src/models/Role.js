@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Custom roles created by admins. Built-in roles live in config/permissions.js.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]{1,39}$/, 'Role name may only contain letters, digits, "-" and "_"']
+  },
+  description: { type: String, trim: true },
+  permissions: [{ type: String, trim: true }],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Role', roleSchema);
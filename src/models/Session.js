@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One login on one device. The session id is the `sid` claim of access tokens
+// and `family` links it to its refresh-token rotation chain (RefreshToken.family).
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  family: { type: String, required: true, unique: true },
+  device: String,
+  userAgent: String,
+  ipAddress: String,
+  lastSeenAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date,
+  revokedReason: { type: String, enum: ['logout', 'logout-all', 'reuse-detected', 'revoked', 'admin'] }
+}, { timestamps: true });
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Sessions end with their last refresh token
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.toPublic = function(currentSid){
+  return {
+    id: this._id,
+    device: this.device,
+    userAgent: this.userAgent,
+    ipAddress: this.ipAddress,
+    createdAt: this.createdAt,
+    lastSeenAt: this.lastSeenAt,
+    expiresAt: this.expiresAt,
+    current: currentSid ? String(this._id) === String(currentSid) : false
+  };
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -3,10 +3,46 @@ const mongoose = require('mongoose');
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
-  passwordHash: { type: String, required: true },
-  role: { type: String, enum: ['student','instructor','admin'], default: 'student' },
+  passwordHash: String, // absent for accounts created through social login
+  role: { type: String, default: 'student', trim: true }, // built-in or custom role (see config/permissions.js)
   avatarUrl: String,
-  bio: String
+  bio: String,
+  // Email verification / password reset
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: Date,
+  // Session-less access tokens issued before this are rejected (middlewares/auth.js)
+  passwordChangedAt: Date,
+  // Id of the only action token currently accepted for each purpose (single use)
+  verificationTokenId: { type: String, select: false },
+  passwordResetTokenId: { type: String, select: false },
+  // TOTP two-factor authentication
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: Date,
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false }, // sha256 hashes
+    lastUsedStep: { type: Number, select: false },
+    challengeId: { type: String, select: false }
+  },
+  // Linked external identities (OIDC), e.g. { provider: 'google', subject: '1098...' }
+  identities: [{
+    provider: { type: String, required: true },
+    subject: { type: String, required: true },
+    email: String,
+    linkedAt: { type: Date, default: Date.now }
+  }]
 }, { timestamps: true });
 
+// One external account can belong to a single user
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
+// Shape returned to clients by the auth endpoints
+userSchema.methods.toPublic = function() {
+  return { id: this._id, name: this.name, email: this.email, role: this.role, emailVerified: this.emailVerified };
+};
+
 module.exports = mongoose.model('User', userSchema);
@@ -43,6 +43,40 @@ const userProgressSchema = new mongoose.Schema(
       },
     ],
     
+    // Per-lesson activity, completed or not: time, resume position, notes, bookmark
+    lessonActivity: [
+      {
+        lessonId: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        moduleId: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        timeSpent: {
+          type: Number, // in seconds
+          default: 0,
+        },
+        position: {
+          type: Number, // playback position in seconds
+          default: 0,
+        },
+        notes: {
+          type: String,
+          trim: true,
+        },
+        bookmarked: {
+          type: Boolean,
+          default: false,
+        },
+        lastAccessedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    
     // Quiz Attempts
     quizAttempts: [
       {
@@ -93,6 +127,7 @@ const userProgressSchema = new mongoose.Schema(
     ],
     
     // Exam Attempts
+    // (services/examService.js; entries without a status predate it and are final)
     examAttempts: [
       {
         examId: {
@@ -100,13 +135,52 @@ const userProgressSchema = new mongoose.Schema(
           ref: "Exam",
           required: true,
         },
+        attemptNumber: {
+          type: Number,
+        },
+        status: {
+          type: String,
+          enum: ["in-progress", "pending-review", "completed"],
+        },
+        expiresAt: {
+          type: Date, // submissions are refused after this (plus a short grace)
+        },
+        autoSubmitted: {
+          type: Boolean, // closed by the server when time ran out
+          default: false,
+        },
+        answers: [
+          {
+            _id: false,
+            questionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+            selectedOptions: [String], // option ids
+            answer: { type: mongoose.Schema.Types.Mixed }, // true-false, short-answer, essay, structured types (services/questionTypes.js)
+            isCorrect: { type: Boolean },
+            pointsEarned: { type: Number, default: 0 },
+            needsGrading: { type: Boolean, default: false },
+            rubricScores: [
+              {
+                _id: false,
+                criterionId: { type: mongoose.Schema.Types.ObjectId },
+                criterion: { type: String },
+                points: { type: Number },
+              },
+            ],
+            feedback: { type: String, trim: true },
+            gradedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+            gradedAt: { type: Date },
+          },
+        ],
+        gradesReleasedAt: {
+          type: Date, // when manual grades were released to the learner
+        },
         score: {
           type: Number,
-          required: true,
+          default: 0,
         },
         totalScore: {
           type: Number,
-          required: true,
+          default: 0,
         },
         percentage: {
           type: Number,
@@ -138,6 +212,10 @@ const userProgressSchema = new mongoose.Schema(
       moduleId: {
         type: mongoose.Schema.Types.ObjectId,
       },
+      position: {
+        type: Number, // playback position in seconds
+        default: 0,
+      },
       startedAt: {
         type: Date,
       },
@@ -202,29 +280,60 @@ userProgressSchema.index({ userId: 1, courseId: 1 }, { unique: true });
 userProgressSchema.index({ userId: 1 });
 userProgressSchema.index({ courseId: 1 });
 userProgressSchema.index({ "completedLessons.lessonId": 1 });
+userProgressSchema.index({ "examAttempts.examId": 1 });
+userProgressSchema.index({ courseId: 1, "examAttempts.status": 1 });
 
 // Update progress percentage
+// Counted against the lessons currently in the course's embedded modules, so
+// lessons removed from the course no longer count either way
 userProgressSchema.methods.updateProgress = async function(course) {
-  const completedCount = this.completedLessons.length;
-  const totalLessons = course.totalLessons || 0;
+  const lessonIds = new Set();
+  (course.modules || []).forEach((module) =>
+    (module.lessons || []).forEach((lesson) => lessonIds.add(String(lesson._id))));
+
+  const completedCount = this.completedLessons.filter(
+    cl => lessonIds.has(cl.lessonId.toString())
+  ).length;
+  const totalLessons = lessonIds.size;
   
   this.progressPercentage = totalLessons > 0 
     ? Math.round((completedCount / totalLessons) * 100)
     : 0;
   
   // Update status based on progress
+  // The certificate itself is issued by services/certificateService.js
   if (this.progressPercentage === 100) {
+    if (this.status !== "completed") this.completedAt = new Date();
     this.status = "completed";
-    this.completedAt = new Date();
-    this.certificateEarned = true;
-  } else if (this.progressPercentage > 0) {
+  } else if (this.progressPercentage > 0 || this.totalTimeSpent > 0) {
     this.status = "in_progress";
+    this.completedAt = undefined;
   }
   
   await this.save();
   return this;
 };
 
+// Activity entry of a lesson, created on first access
+userProgressSchema.methods.lessonEntry = function(lessonId, moduleId) {
+  let entry = this.lessonActivity.find(
+    la => la.lessonId.toString() === lessonId.toString()
+  );
+  if (!entry) {
+    this.lessonActivity.push({ lessonId, moduleId });
+    entry = this.lessonActivity[this.lessonActivity.length - 1];
+  }
+  return entry;
+};
+
+// Marks a lesson as not completed again
+userProgressSchema.methods.removeCompletedLesson = function(lessonId) {
+  this.completedLessons = this.completedLessons.filter(
+    cl => cl.lessonId.toString() !== lessonId.toString()
+  );
+  return this;
+};
+
 // Add completed lesson
 userProgressSchema.methods.addCompletedLesson = async function(lessonId, moduleId, timeSpent = 0, notes = "") {
   const existingIndex = this.completedLessons.findIndex(
@@ -252,7 +361,7 @@ userProgressSchema.methods.addCompletedLesson = async function(lessonId, moduleI
 };
 
 // Bookmark lesson
-userProgressSchema.methods.toggleBookmark = function(lessonId, bookmarked) {
+userProgressSchema.methods.toggleBookmark = function(lessonId, bookmarked, moduleId) {
   const lesson = this.completedLessons.find(
     cl => cl.lessonId.toString() === lessonId.toString()
   );
@@ -260,6 +369,9 @@ userProgressSchema.methods.toggleBookmark = function(lessonId, bookmarked) {
   if (lesson) {
     lesson.bookmarked = bookmarked;
   }
+  if (moduleId) {
+    this.lessonEntry(lessonId, moduleId).bookmarked = bookmarked;
+  }
   return this;
 };
 
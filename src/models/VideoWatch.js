@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// What one learner has watched of one lesson video. `ranges` are merged,
+// non-overlapping [start, end] intervals in seconds of the video.
+const videoWatchSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+  moduleId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  lessonId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  duration: { type: Number, default: 0 }, // video length in seconds
+  ranges: [{
+    _id: false,
+    start: { type: Number, required: true },
+    end: { type: Number, required: true }
+  }],
+  watchedSeconds: { type: Number, default: 0 },
+  watchedPercentage: { type: Number, default: 0, min: 0, max: 100 },
+  position: { type: Number, default: 0 },
+  heartbeats: { type: Number, default: 0 },
+  lastHeartbeatAt: Date,
+  completedAt: Date
+}, { timestamps: true });
+
+videoWatchSchema.index({ userId: 1, lessonId: 1 }, { unique: true });
+videoWatchSchema.index({ courseId: 1, lessonId: 1 });
+
+module.exports = mongoose.model('VideoWatch', videoWatchSchema);
@@ -1,10 +1,22 @@
 const express = require('express');
 const router = express.Router();
-const { auth } = require('../middlewares/auth');
-const { permit } = require('../middlewares/permit');
+const { authorize } = require('../middlewares/authorize');
 const ctrl = require('../controllers/adminController');
+const roleCtrl = require('../controllers/roleController');
 
-router.get('/users', auth, permit('admin'), ctrl.listUsers);
-router.get('/courses', auth, permit('admin'), ctrl.listCourses);
+router.get('/users', authorize('user:read'), ctrl.listUsers);
+router.get('/courses', authorize('course:read:any'), ctrl.listCourses);
+router.post('/users/:id/unlock', authorize('user:unlock'), ctrl.unlockUser);
+router.get('/users/:id/sessions', authorize('session:manage'), ctrl.listUserSessions);
+router.post('/users/:id/logout', authorize('session:manage'), ctrl.forceLogout);
+router.get('/login-attempts', authorize('audit:read'), ctrl.listLoginAttempts);
+router.get('/route-audit', authorize('audit:read'), ctrl.routeAudit);
+
+// Permission model
+router.get('/permissions', authorize('role:manage'), roleCtrl.listPermissions);
+router.get('/roles', authorize('role:manage'), roleCtrl.listRoles);
+router.post('/roles', authorize('role:manage'), roleCtrl.createRole);
+router.put('/roles/:name', authorize('role:manage'), roleCtrl.updateRole);
+router.delete('/roles/:name', authorize('role:manage'), roleCtrl.deleteRole);
 
 module.exports = router;
@@ -2,6 +2,9 @@ const express = require("express");
 const router = express.Router();
 const announcementController = require("../controllers/announcementController");
 const upload = require("../middlewares/upload");
+const { authorize } = require("../middlewares/authorize");
+const { ownsAnnouncement } = require("../middlewares/policies");
+const { requireVerified } = require("../middlewares/verified");
 
 // Public routes - No authentication required
 router.get("/", announcementController.getAnnouncements);
@@ -11,32 +14,41 @@ router.get("/general", announcementController.getGeneralAnnouncements);
 router.get("/instructor/:instructorId", announcementController.getInstructorAnnouncements);
 router.get("/dashboard/recent", announcementController.getRecentAnnouncements);
 
-// Create and update routes - No authentication required
+// Create and update routes - instructors manage their own announcements,
+// admins (announcement:*:any) everyone's
 router.post(
   "/",
+  authorize("announcement:create"),
+  requireVerified("post"),
   upload.array("attachments", 5),
   announcementController.createAnnouncement
 );
 
 router.put(
   "/:id",
+  authorize("announcement:update", { owner: ownsAnnouncement("id") }),
+  requireVerified("post"),
   upload.array("attachments", 5),
   announcementController.updateAnnouncement
 );
 
-// Delete and other routes - No authentication required
+// Delete and publish routes
 router.delete(
   "/:id",
+  authorize("announcement:delete", { owner: ownsAnnouncement("id") }),
   announcementController.deleteAnnouncement
 );
 
 router.patch(
   "/:id/publish",
+  authorize("announcement:publish", { owner: ownsAnnouncement("id") }),
+  requireVerified("post"),
   announcementController.publishAnnouncement
 );
 
 router.delete(
   "/:id/attachments/:attachmentId",
+  authorize("announcement:update", { owner: ownsAnnouncement("id") }),
   announcementController.removeAttachment
 );
 
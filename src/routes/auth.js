@@ -2,18 +2,56 @@ const express = require('express');
 const { body } = require('express-validator');
 const router = express.Router();
 const ctrl = require('../controllers/authController');
+const twoFactorCtrl = require('../controllers/twoFactorController');
+const oidcCtrl = require('../controllers/oidcController');
+const { auth } = require('../middlewares/auth');
+const { authLimiter } = require('../middlewares/rateLimit');
+const { markAuthGuard } = require('../utils/routeAudit');
 
-router.post('/signup', [
+router.post('/signup', authLimiter, [
   body('name').notEmpty(),
   body('email').isEmail(),
   body('password').isLength({ min: 6 })
 ], ctrl.signup);
 
-router.post('/login', [
+router.post('/login', authLimiter, [
   body('email').isEmail(),
   body('password').notEmpty()
 ], ctrl.login);
 
-router.post('/refresh', ctrl.refreshToken);
+router.post('/refresh', authLimiter, ctrl.refreshToken);
+router.post('/logout', ctrl.logout);
+router.post('/logout-all', auth, ctrl.logoutAll);
+
+// Email verification & password reset
+router.post('/verify-email', [body('token').notEmpty()], ctrl.verifyEmail);
+router.post('/resend-verification', auth, ctrl.resendVerification);
+router.post('/forgot-password', authLimiter, [body('email').isEmail()], ctrl.forgotPassword);
+router.post('/reset-password', authLimiter, [
+  body('token').notEmpty(),
+  body('password').isLength({ min: 6 })
+], ctrl.resetPassword);
+
+// Two-factor authentication (TOTP)
+// Setup/enable also work with a login challenge token for accounts forced to enrol
+const authOrChallenge = markAuthGuard((req, res, next) => (req.body && req.body.challengeToken ? next() : auth(req, res, next)));
+
+router.get('/2fa', auth, twoFactorCtrl.status);
+router.post('/2fa/setup', authOrChallenge, twoFactorCtrl.setup);
+router.post('/2fa/enable', authLimiter, authOrChallenge, [body('code').notEmpty()], twoFactorCtrl.enable);
+router.post('/2fa/verify', authLimiter, [body('challengeToken').notEmpty()], twoFactorCtrl.verify);
+router.post('/2fa/disable', auth, twoFactorCtrl.disable);
+router.post('/2fa/recovery-codes', auth, twoFactorCtrl.regenerateRecoveryCodes);
+
+// Social login (OpenID Connect, authorization code + PKCE)
+router.get('/oidc/providers', oidcCtrl.listProviders);
+router.get('/oidc/identities', auth, oidcCtrl.listIdentities);
+router.delete('/oidc/identities/:provider/:subject', auth, oidcCtrl.unlink);
+router.get('/oidc/:provider/authorize', oidcCtrl.authorize);
+router.post('/oidc/:provider/link', auth, oidcCtrl.link);
+router.post('/oidc/:provider/callback', authLimiter, [
+  body('code').notEmpty(),
+  body('state').notEmpty()
+], oidcCtrl.callback);
 
 module.exports = router;
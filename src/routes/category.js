@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const { auth, permit } = require("../middlewares/auth");
+const { authorize } = require("../middlewares/authorize");
 const ctrl = require("../controllers/categoryController");
 
 // Public
@@ -8,10 +8,9 @@ router.get("/", ctrl.list);
 router.get("/:id", ctrl.get);
 router.get("/:id/courses", ctrl.getCoursesByCategory); // NEW: get all courses under this category
 
-// Admin only
-router.post("/", auth, permit("admin", "instructor"), ctrl.create);
-router.delete("/:id", auth, permit("admin", "instructor"), ctrl.remove);
-// Update category (Admin or Instructor)
-router.put("/:id", auth, permit("admin", "instructor"), ctrl.update);
+// Admin or Instructor
+router.post("/", authorize("category:create"), ctrl.create);
+router.delete("/:id", authorize("category:delete"), ctrl.remove);
+router.put("/:id", authorize("category:update"), ctrl.update);
 
 module.exports = router;
@@ -0,0 +1,15 @@
+const express = require("express");
+const router = express.Router();
+const certificateCtrl = require("../controllers/certificateController");
+const { authorize } = require("../middlewares/authorize");
+const { verifyLimiter } = require("../middlewares/rateLimit");
+
+// Public: verification by code, and the PDF for anyone holding the certificate ID
+router.get("/verify/:code", verifyLimiter, certificateCtrl.verify);
+router.get("/:certificateId/pdf", certificateCtrl.downloadPdf);
+
+// Administration
+router.post("/:certificateId/revoke", authorize("certificate:manage"), certificateCtrl.revoke);
+router.post("/:certificateId/reinstate", authorize("certificate:manage"), certificateCtrl.reinstate);
+
+module.exports = router;
@@ -1,21 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const communityController = require('../controllers/communityController');
+const { authorize } = require('../middlewares/authorize');
+const { asksQuestionOfAnswer } = require('../middlewares/policies');
+const { requireVerified } = require('../middlewares/verified');
 
-// ALL ROUTES ARE PUBLIC - NO AUTH REQUIRED
+// Reading and liking are public; posting needs an account with a verified
+// email. Only the asker (by that email) or a moderator (community:accept:any)
+// may accept an answer
 
 // Questions routes
 router.get('/questions', communityController.getAllQuestions);
 router.get('/questions/:id', communityController.getQuestionById);
-router.post('/questions', communityController.createQuestion);
+router.post('/questions', authorize('community:post'), requireVerified('post'), communityController.createQuestion);
 
 // Search questions
 router.get('/search', communityController.searchQuestions);
 
 // Answers routes
-router.post('/questions/:id/answers', communityController.createAnswer);
+router.post('/questions/:id/answers', authorize('community:post'), requireVerified('post'), communityController.createAnswer);
 router.put('/answers/:id/like', communityController.likeAnswer);
-router.put('/answers/:id/accept', communityController.acceptAnswer);
+router.put('/answers/:id/accept', authorize('community:accept', { owner: asksQuestionOfAnswer('id') }), communityController.acceptAnswer);
 
 // Community stats
 router.get('/stats', communityController.getCommunityStats);
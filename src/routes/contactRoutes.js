@@ -1,21 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const contactController = require('../controllers/contactController');
+const { authorize } = require('../middlewares/authorize');
 
 // PUBLIC ROUTES (No authentication required)
 router.post('/', contactController.submitContact);
 
-// PROTECTED ROUTES (Add authentication middleware if needed)
-// router.get('/', authMiddleware, contactController.getAllContacts);
-// router.get('/:id', authMiddleware, contactController.getContactById);
-// router.patch('/:id', authMiddleware, contactController.updateContactStatus);
-// router.get('/stats', authMiddleware, contactController.getContactStats);
+// PROTECTED ROUTES
+router.get('/', authorize('contact:read'), contactController.getAllContacts);
+router.get('/stats', authorize('contact:read'), contactController.getContactStats);
+router.get('/:id', authorize('contact:read'), contactController.getContactById);
+router.patch('/:id', authorize('contact:update'), contactController.updateContactStatus);
+router.delete('/:id', authorize('contact:delete'), contactController.deleteContact);
 
-// For now, make all routes public (adjust as needed)
-router.get('/', contactController.getAllContacts);
-router.get('/:id', contactController.getContactById);
-router.patch('/:id', contactController.updateContactStatus);
-router.get('/stats', contactController.getContactStats);
-router.delete('/:id', contactController.deleteContact);
-
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,40 +1,85 @@
 const express = require("express");
 const router = express.Router();
-const { auth, permit } = require("../middlewares/auth");
+const { auth, optionalAuth } = require("../middlewares/auth");
+const { requireVerified } = require("../middlewares/verified");
+const { requireCourseAccess } = require("../middlewares/courseAccess");
+const { authorize } = require("../middlewares/authorize");
+const { ownsCourse } = require("../middlewares/policies");
+const { heartbeatLimiter } = require("../middlewares/rateLimit");
 const coursesCtrl = require("../controllers/courseController");
+const examsCtrl = require("../controllers/examController");
+const gradingCtrl = require("../controllers/gradingController");
+const banksCtrl = require("../controllers/questionBankController");
 
 // Make sure all controller functions exist
 console.log("Available controller functions:", Object.keys(coursesCtrl));
 
 // PUBLIC ROUTES
 router.get("/", coursesCtrl.list); // List all published courses
-router.get("/:id", coursesCtrl.get); // Get single course
+router.get("/:id", optionalAuth, coursesCtrl.get); // Get single course (content only with access)
 
 // PROTECTED ROUTES
 router.post("/", 
-  auth, 
-  permit("instructor", "admin"), 
+  authorize("course:create"), 
   coursesCtrl.uploadCourseImages, // Middleware for file upload
   coursesCtrl.create
 );
 
-router.put("/:id", auth, permit("instructor", "admin"), coursesCtrl.update);
-router.delete("/:id", auth, permit("instructor", "admin"), coursesCtrl.remove);
+router.put("/:id", authorize("course:update", { owner: ownsCourse("id") }), coursesCtrl.update);
+router.delete("/:id", authorize("course:delete", { owner: ownsCourse("id") }), coursesCtrl.remove);
 
 // LEARNING ROUTES (for enrolled students)
+// Learn/syllabus answer everyone but only show preview lessons / the outline without access
+router.post("/:courseId/enroll", authorize("enrollment:create"), requireVerified("enroll"), coursesCtrl.enroll);
 router.get("/:courseId/learn", auth, coursesCtrl.getCourseForLearning);
 router.get("/:courseId/syllabus", auth, coursesCtrl.getSyllabus);
-router.put("/:courseId/lessons/:lessonId/progress", auth, coursesCtrl.updateLessonProgress);
+router.put("/:courseId/lessons/:lessonId/progress", auth, requireCourseAccess("courseId"), coursesCtrl.updateLessonProgress);
+router.get("/:courseId/progress", auth, requireCourseAccess("courseId"), coursesCtrl.getProgress);
+router.get("/:courseId/certificate", auth, requireCourseAccess("courseId"), coursesCtrl.getCertificateStatus);
+router.post("/:courseId/certificate", auth, requireCourseAccess("courseId"), coursesCtrl.claimCertificate);
+router.post("/:courseId/lessons/:lessonId/heartbeat", auth, heartbeatLimiter, requireCourseAccess("courseId"), coursesCtrl.videoHeartbeat);
+router.get(
+  "/:courseId/lessons/:lessonId/analytics/video",
+  authorize("course:analytics", { owner: ownsCourse("courseId") }),
+  coursesCtrl.videoAnalytics
+);
 
 // QUIZ & EXAM ROUTES
-router.get("/:courseId/quizzes", auth, (req, res) => {
+router.get("/:courseId/quizzes", auth, requireCourseAccess("courseId"), (req, res) => {
   // Forward to quiz controller or handle here
   res.json({ message: "Get course quizzes" });
 });
 
-router.get("/:courseId/exams", auth, (req, res) => {
-  // Forward to exam controller or handle here
-  res.json({ message: "Get course exams" });
-});
+// Exams: learners need course access; instructors manage the exams of their courses
+const examManager = (permission) => authorize(permission, { owner: ownsCourse("courseId") });
+router.get("/:courseId/exams", auth, requireCourseAccess("courseId"), examsCtrl.list);
+router.post("/:courseId/exams", examManager("exam:create"), examsCtrl.create);
+router.get("/:courseId/exams/:examId", auth, requireCourseAccess("courseId"), examsCtrl.get);
+router.put("/:courseId/exams/:examId", examManager("exam:update"), examsCtrl.update);
+router.patch("/:courseId/exams/:examId/publish", examManager("exam:publish"), examsCtrl.publish);
+router.delete("/:courseId/exams/:examId", examManager("exam:delete"), examsCtrl.remove);
+router.post("/:courseId/exams/:examId/attempts", auth, requireCourseAccess("courseId"), examsCtrl.startAttempt);
+router.get("/:courseId/exams/:examId/attempts", auth, requireCourseAccess("courseId"), examsCtrl.listAttempts);
+router.get("/:courseId/exams/:examId/attempts/current", auth, requireCourseAccess("courseId"), examsCtrl.currentAttempt);
+router.put("/:courseId/exams/:examId/attempts/current", auth, requireCourseAccess("courseId"), examsCtrl.saveAnswers);
+router.post("/:courseId/exams/:examId/attempts/current/submit", auth, requireCourseAccess("courseId"), examsCtrl.submitAttempt);
+
+// Manual grading queue (essays, unmatched short answers)
+const grader = authorize("submission:grade", { owner: ownsCourse("courseId") });
+router.get("/:courseId/grading", grader, gradingCtrl.queue);
+router.post("/:courseId/grading/quiz-attempts/:attemptId", grader, gradingCtrl.gradeQuizAttempt);
+router.post("/:courseId/grading/exam-attempts/:attemptId", grader, gradingCtrl.gradeExamAttempt);
+
+// Question banks quizzes draw random questions from; they hold the answers,
+// so only the course's instructors (or "question-bank:manage:any") see them
+const bankManager = authorize("question-bank:manage", { owner: ownsCourse("courseId") });
+router.get("/:courseId/question-banks", bankManager, banksCtrl.list);
+router.post("/:courseId/question-banks", bankManager, banksCtrl.create);
+router.get("/:courseId/question-banks/:bankId", bankManager, banksCtrl.get);
+router.put("/:courseId/question-banks/:bankId", bankManager, banksCtrl.update);
+router.delete("/:courseId/question-banks/:bankId", bankManager, banksCtrl.remove);
+router.post("/:courseId/question-banks/:bankId/questions", bankManager, banksCtrl.addQuestions);
+router.put("/:courseId/question-banks/:bankId/questions/:questionId", bankManager, banksCtrl.updateQuestion);
+router.delete("/:courseId/question-banks/:bankId/questions/:questionId", bankManager, banksCtrl.removeQuestion);
 
 module.exports = router;
\ No newline at end of file
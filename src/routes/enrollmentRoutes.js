@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const enrollmentController = require('../controllers/enrollmentController');
+const { authorize } = require('../middlewares/authorize');
 
 // @route   POST /api/v1/enrollments
 // @desc    Create new enrollment
@@ -9,22 +10,27 @@ router.post('/enrollments', enrollmentController.createEnrollment);
 
 // @route   GET /api/v1/enrollments
 // @desc    Get all enrollments with filters
-// @access  Public
-router.get('/enrollments', enrollmentController.getAllEnrollments);
+// @access  Private (enrollment:read)
+router.get('/enrollments', authorize('enrollment:read'), enrollmentController.getAllEnrollments);
 
 // @route   GET /api/v1/enrollments/:id
 // @desc    Get enrollment by ID
-// @access  Public
-router.get('/enrollments/:id', enrollmentController.getEnrollmentById);
+// @access  Private (enrollment:read)
+router.get('/enrollments/:id', authorize('enrollment:read'), enrollmentController.getEnrollmentById);
 
 // @route   GET /api/v1/enrollments/student/:email
 // @desc    Get enrollments by student email
-// @access  Public
-router.get('/enrollments/student/:email', enrollmentController.getEnrollmentsByEmail);
+// @access  Private (enrollment:read)
+router.get('/enrollments/student/:email', authorize('enrollment:read'), enrollmentController.getEnrollmentsByEmail);
+
+// @route   PATCH /api/v1/enrollments/:id/payment
+// @desc    Confirm or reject a guest checkout payment
+// @access  Private (enrollment:confirm)
+router.patch('/enrollments/:id/payment', authorize('enrollment:confirm'), enrollmentController.confirmPayment);
 
 // @route   GET /api/v1/enrollments/course/:courseId
 // @desc    Get enrollments by course ID
-// @access  Public
-router.get('/enrollments/course/:courseId', enrollmentController.getEnrollmentsByCourse);
+// @access  Private (enrollment:read)
+router.get('/enrollments/course/:courseId', authorize('enrollment:read'), enrollmentController.getEnrollmentsByCourse);
 
 module.exports = router;
\ No newline at end of file
@@ -2,8 +2,11 @@
 const express = require('express');
 const router = express.Router();
 const homePageController = require('../controllers/homePageController');
+const { authorize } = require('../middlewares/authorize');
+const HomePage = require('../models/HomePage');
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs');
 
 // Configure multer for image uploads
 const storage = multer.diskStorage({
@@ -40,26 +43,26 @@ router.get('/', homePageController.getHomePage);
 router.get('/preview', homePageController.getPreview);
 
 // Update entire homepage
-router.post('/', homePageController.updateHomePage);
-router.patch('/', homePageController.updateHomePage);
+router.post('/', authorize('homepage:edit'), homePageController.updateHomePage);
+router.patch('/', authorize('homepage:edit'), homePageController.updateHomePage);
 
 // Update specific section
-router.patch('/section/:section', homePageController.updateSection);
+router.patch('/section/:section', authorize('homepage:edit'), homePageController.updateSection);
 
 // Add to array section
-router.post('/section/:section/:arrayField', homePageController.addToArraySection);
+router.post('/section/:section/:arrayField', authorize('homepage:edit'), homePageController.addToArraySection);
 
 // Update item in array section
-router.patch('/section/:section/:arrayField/:itemId', homePageController.updateArrayItem);
+router.patch('/section/:section/:arrayField/:itemId', authorize('homepage:edit'), homePageController.updateArrayItem);
 
 // Remove from array section
-router.delete('/section/:section/:arrayField/:itemId', homePageController.removeFromArraySection);
+router.delete('/section/:section/:arrayField/:itemId', authorize('homepage:edit'), homePageController.removeFromArraySection);
 
 // Upload image (for large images)
-router.post('/upload/image', upload.single('image'), homePageController.uploadImage);
+router.post('/upload/image', authorize('homepage:edit'), upload.single('image'), homePageController.uploadImage);
 
 // Upload multiple images
-router.post('/upload/images', upload.array('images', 10), async (req, res) => {
+router.post('/upload/images', authorize('homepage:edit'), upload.array('images', 10), async (req, res) => {
   try {
     const images = req.files.map(file => ({
       filename: file.filename,
@@ -85,10 +88,10 @@ router.post('/upload/images', upload.array('images', 10), async (req, res) => {
 });
 
 // Reset homepage
-router.delete('/reset', homePageController.resetHomePage);
+router.delete('/reset', authorize('homepage:edit'), homePageController.resetHomePage);
 
 // Export data
-router.get('/export', async (req, res) => {
+router.get('/export', authorize('homepage:edit'), async (req, res) => {
   try {
     const homePage = await HomePage.getSingleton();
     
@@ -107,7 +110,7 @@ router.get('/export', async (req, res) => {
 });
 
 // Import data
-router.post('/import', async (req, res) => {
+router.post('/import', authorize('homepage:edit'), async (req, res) => {
   try {
     const importData = req.body;
     
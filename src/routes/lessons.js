@@ -1,11 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const { auth } = require('../middlewares/auth');
-const { permit } = require('../middlewares/permit');
+const { authorize } = require('../middlewares/authorize');
+const { ownsCourse, ownsLesson } = require('../middlewares/policies');
 const ctrl = require('../controllers/lessonController');
 
-router.post('/:courseId', auth, permit('instructor'), ctrl.create);
-router.put('/:id', auth, ctrl.update);
-router.delete('/:id', auth, ctrl.remove);
+router.post('/:courseId', authorize('lesson:create', { owner: ownsCourse('courseId') }), ctrl.create);
+router.put('/:id', authorize('lesson:update', { owner: ownsLesson('id') }), ctrl.update);
+router.delete('/:id', authorize('lesson:delete', { owner: ownsLesson('id') }), ctrl.remove);
 
 module.exports = router;
@@ -14,6 +14,8 @@ const {
   searchLiveSessions,
   getDashboardStats
 } = require("../controllers/liveSessionController");
+const { authorize } = require("../middlewares/authorize");
+const { ownsLiveSession } = require("../middlewares/policies");
 
 // Public routes (NO authentication)
 router.get("/", getAllLiveSessions);
@@ -24,11 +26,11 @@ router.get("/stats/overview", getDashboardStats);
 router.get("/instructor/:instructorId", getSessionsByInstructor);
 router.get("/:id", getLiveSessionById);
 
-// Create, update, delete routes (NO authentication)
-router.post("/", createLiveSession);
-router.put("/:id", updateLiveSession);
-router.delete("/:id", deleteLiveSession);
-router.post("/:id/start", startLiveSession);
-router.post("/:id/end", endLiveSession);
+// Create, update, delete routes (instructors own their sessions)
+router.post("/", authorize("live-session:create"), createLiveSession);
+router.put("/:id", authorize("live-session:update", { owner: ownsLiveSession("id") }), updateLiveSession);
+router.delete("/:id", authorize("live-session:delete", { owner: ownsLiveSession("id") }), deleteLiveSession);
+router.post("/:id/start", authorize("live-session:host", { owner: ownsLiveSession("id") }), startLiveSession);
+router.post("/:id/end", authorize("live-session:host", { owner: ownsLiveSession("id") }), endLiveSession);
 
 module.exports = router;
\ No newline at end of file
@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const mentorRoomController = require('../controllers/mentorRoomController');
 const { body, validationResult } = require('express-validator');
+const { authorize } = require('../middlewares/authorize');
 
 // Validation middleware
 const validateMentorRoom = [
@@ -21,7 +22,7 @@ const validateMentorRoom = [
 router.get('/', mentorRoomController.getMentorRoom);
 
 // Create or update mentor room (full document)
-router.post('/', validateMentorRoom, (req, res, next) => {
+router.post('/', authorize('mentor-room:edit'), validateMentorRoom, (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
@@ -33,9 +34,9 @@ router.post('/', validateMentorRoom, (req, res, next) => {
 }, mentorRoomController.createOrUpdateMentorRoom);
 
 // Update mentor room (partial update)
-router.patch('/', mentorRoomController.updateMentorRoom);
+router.patch('/', authorize('mentor-room:edit'), mentorRoomController.updateMentorRoom);
 
 // Delete mentor room
-router.delete('/', mentorRoomController.deleteMentorRoom);
+router.delete('/', authorize('mentor-room:edit'), mentorRoomController.deleteMentorRoom);
 
 module.exports = router;
\ No newline at end of file
@@ -2,10 +2,11 @@ const express = require('express');
 const router = express.Router();
 const ctrl = require('../controllers/paymentController');
 const { auth } = require('../middlewares/auth');
+const { requireVerified } = require('../middlewares/verified');
 
 // bkash flow
-router.post('/bkash/create', auth, ctrl.createBkashPayment);
-router.post('/bkash/execute', auth, ctrl.executeBkashPayment);
+router.post('/bkash/create', auth, requireVerified('enroll'), ctrl.createBkashPayment);
+router.post('/bkash/execute', auth, requireVerified('enroll'), ctrl.executeBkashPayment);
 router.post('/bkash/webhook', ctrl.bkashWebhook); // public endpoint
 
 module.exports = router;
@@ -2,29 +2,41 @@ const express = require("express");
 const router = express.Router();
 const quizController = require("../controllers/quizController");
 const quizAttemptController = require("../controllers/quizAttemptController");
+const { auth, optionalAuth } = require("../middlewares/auth");
+const { authorize } = require("../middlewares/authorize");
+const { ownsCourse, ownsQuiz } = require("../middlewares/policies");
 
-// All routes are public (no authentication required)
+// Reading quizzes is public, without the answer keys unless the (optional)
+// signed-in user manages the quiz; managing them requires a quiz permission on
+// a course the user teaches (or the ":any" variant). Attempts always belong to
+// the authenticated user.
+
+// Fixed paths first so "/:id" doesn't capture them
+router.get("/upcoming", optionalAuth, quizController.getUpcomingQuizzes);
 
 // Quiz management routes
-router.post("/", quizController.createQuiz);
-router.get("/", quizController.getQuizzes);
-router.get("/:id", quizController.getQuiz);
-router.put("/:id", quizController.updateQuiz);
-router.delete("/:id", quizController.deleteQuiz);
-router.patch("/:id/publish", quizController.publishQuiz);
-router.post("/:id/questions", quizController.addQuestion);
-router.get("/:id/analytics", quizController.getQuizAnalytics);
+router.post("/", authorize("quiz:create", { owner: ownsCourse((req) => req.body.courseId) }), quizController.createQuiz);
+router.get("/", optionalAuth, quizController.getQuizzes);
+router.get("/:id", optionalAuth, quizController.getQuiz);
+router.put("/:id", authorize("quiz:update", { owner: ownsQuiz("id") }), quizController.updateQuiz);
+router.delete("/:id", authorize("quiz:delete", { owner: ownsQuiz("id") }), quizController.deleteQuiz);
+router.patch("/:id/publish", authorize("quiz:publish", { owner: ownsQuiz("id") }), quizController.publishQuiz);
+router.post("/:id/questions", authorize("quiz:update", { owner: ownsQuiz("id") }), quizController.addQuestion);
+router.post("/:id/import", authorize("quiz:update", { owner: ownsQuiz("id") }), quizController.importQuestions);
+router.get("/:id/export", authorize("quiz:update", { owner: ownsQuiz("id") }), quizController.exportQuiz);
+router.get("/:id/analytics", authorize("quiz:analytics", { owner: ownsQuiz("id") }), quizController.getQuizAnalytics);
 
 // Course & module specific routes
-router.get("/course/:courseId", quizController.getCourseQuizzes);
-router.get("/module/:moduleId", quizController.getModuleQuizzes);
-router.get("/upcoming", quizController.getUpcomingQuizzes);
-router.get("/calendar/:year/:month", quizController.getQuizCalendar);
+router.get("/course/:courseId", optionalAuth, quizController.getCourseQuizzes);
+router.get("/module/:moduleId", optionalAuth, quizController.getModuleQuizzes);
+router.get("/calendar/:year/:month", optionalAuth, quizController.getQuizCalendar);
 
 // Quiz attempts routes
-router.post("/:id/attempt", quizAttemptController.startQuizAttempt);
-router.post("/:id/submit", quizAttemptController.submitQuizAttempt);
-router.get("/attempts/my-attempts", quizAttemptController.getUserQuizAttempts);
-router.get("/attempts/:id", quizAttemptController.getQuizAttempt);
+router.post("/:id/attempt", authorize("quiz:attempt"), quizAttemptController.startQuizAttempt);
+router.put("/:id/attempt", authorize("quiz:attempt"), quizAttemptController.saveQuizAnswers);
+router.post("/:id/submit", authorize("quiz:attempt"), quizAttemptController.submitQuizAttempt);
+router.get("/attempts/my-attempts", auth, quizAttemptController.getUserQuizAttempts);
+router.get("/attempts/:id", auth, quizAttemptController.getQuizAttempt);
+router.get("/:id/attempts", authorize("quiz:analytics", { owner: ownsQuiz("id") }), quizAttemptController.getQuizAttempts);
 
 module.exports = router;
\ No newline at end of file
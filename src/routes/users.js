@@ -1,8 +1,14 @@
 const express = require("express");
 const mongoose = require("mongoose");
 const router = express.Router();
-const { auth, permit } = require("../middlewares/auth");
+const { auth } = require("../middlewares/auth");
+const { authorize } = require("../middlewares/authorize");
+const permissions = require("../services/permissionService");
+const sessions = require("../services/sessionService");
+const tokens = require("../services/tokenService");
 const User = require("../models/User");
+const Enrollment = require("../models/Enrollment");
+const Certificate = require("../models/Certificate");
 
 // -----------------------------
 // GET /me - logged-in user info
@@ -22,10 +28,107 @@ router.get("/me", auth, async (req, res) => {
   }
 });
 
+// -----------------------------------------------------
+// GET /me/permissions - effective permissions of the user
+// -----------------------------------------------------
+router.get("/me/permissions", auth, async (req, res) => {
+  try {
+    const granted = await permissions.effectivePermissions(req.user.role);
+    res.json({ success: true, role: req.user.role, permissions: granted });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// -----------------------------------------------------
+// GET /me/enrollments - courses of the logged-in learner
+// -----------------------------------------------------
+router.get("/me/enrollments", auth, async (req, res) => {
+  try {
+    const filter = { user: req.user.id };
+    if (req.query.status && req.query.status !== "all") filter.status = req.query.status;
+
+    const enrollments = await Enrollment.find(filter)
+      .select("-studentInfo -paymentInfo.transactionId")
+      .populate(
+        "course",
+        "title shortDescription level instructor totalLessons totalDuration certificateIncluded published",
+      )
+      .sort({ lastAccessed: -1 });
+
+    res.json({ success: true, count: enrollments.length, enrollments });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// -----------------------------------------------------
+// GET /me/certificates - certificates earned by the user
+// -----------------------------------------------------
+router.get("/me/certificates", auth, async (req, res) => {
+  try {
+    const certificates = await Certificate.find({ userId: req.user.id })
+      .select("-certificateImage -history -revokedBy")
+      .sort({ issueDate: -1 });
+    const now = new Date();
+    res.json({
+      success: true,
+      count: certificates.length,
+      certificates: certificates.map((c) => ({ ...c.toObject(), status: c.statusAt(now) })),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// -----------------------------------------------------
+// GET /me/sessions - devices where the user is logged in
+// -----------------------------------------------------
+router.get("/me/sessions", auth, async (req, res) => {
+  try {
+    const active = await sessions.listActive(req.user.id);
+    res.json({
+      success: true,
+      sessions: active.map((s) => s.toPublic(req.user.sid)),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// -----------------------------------------------------
+// DELETE /me/sessions/:id - log out one device
+// -----------------------------------------------------
+router.delete("/me/sessions/:id", auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid session ID" });
+    }
+
+    const revoked = await tokens.revokeSession(req.user.id, req.params.id, "revoked");
+    if (!revoked) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Session not found" });
+    }
+
+    res.json({ success: true, message: "Session revoked" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
 // ---------------------------------------------------
 // GET / - all users (admin only) + optional role filter
 // ---------------------------------------------------
-router.get("/", auth, permit("admin"), async (req, res) => {
+router.get("/", authorize("user:read"), async (req, res) => {
   try {
     const filter = {};
     if (req.query.role) filter.role = req.query.role;
@@ -58,12 +161,19 @@ router.put("/me", auth, async (req, res) => {
 
     // Update profile fields
     if (name) user.name = name;
-    if (email) user.email = email;
+    const emailChanged = Boolean(email && email !== user.email);
+    if (emailChanged) {
+      // A changed address has to be verified again (see /auth/resend-verification)
+      user.email = email;
+      user.emailVerified = false;
+      user.emailVerifiedAt = undefined;
+    }
     if (bio) user.bio = bio;
     if (avatarUrl) user.avatarUrl = avatarUrl;
 
     // Update password if provided
-    if (newPassword) {
+    // Accounts created through social login may set a first password directly
+    if (newPassword && user.passwordHash) {
       if (!currentPassword) {
         return res
           .status(400)
@@ -77,11 +187,21 @@ router.put("/me", auth, async (req, res) => {
           .json({ success: false, message: "Current password is incorrect" });
       }
 
+      user.passwordHash = await bcrypt.hash(newPassword, 10);
+    } else if (newPassword) {
       user.passwordHash = await bcrypt.hash(newPassword, 10);
     }
 
     await user.save();
 
+    // Links already sent to the old address stop working
+    if (emailChanged) {
+      await User.updateOne(
+        { _id: user._id },
+        { $unset: { verificationTokenId: 1, passwordResetTokenId: 1 } }
+      );
+    }
+
     const updatedUser = user.toObject();
     delete updatedUser.passwordHash;
 
@@ -99,7 +219,7 @@ router.put("/me", auth, async (req, res) => {
 // ---------------------------------------------------
 // PUT /:id - update a user (admin only)
 // ---------------------------------------------------
-router.put("/:id", auth, permit("admin"), async (req, res) => {
+router.put("/:id", authorize("user:update"), async (req, res) => {
   try {
     const userId = req.params.id;
 
@@ -117,6 +237,13 @@ router.put("/:id", auth, permit("admin"), async (req, res) => {
         .json({ success: false, message: "Cannot change your own admin role" });
     }
 
+    // Built-in or custom role only
+    if (req.body.role !== undefined && !(await permissions.roleExists(req.body.role))) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Unknown role" });
+    }
+
     // Only allow certain fields to be updated
     const allowedFields = ["name", "email", "role", "status"];
     const updates = {};
@@ -149,7 +276,7 @@ router.put("/:id", auth, permit("admin"), async (req, res) => {
 // ---------------------------------------------------
 // DELETE /:id - delete a user (admin only)
 // ---------------------------------------------------
-router.delete("/:id", auth, permit("admin"), async (req, res) => {
+router.delete("/:id", authorize("user:delete"), async (req, res) => {
   try {
     const userId = req.params.id;
 
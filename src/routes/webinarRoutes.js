@@ -3,6 +3,7 @@ const express = require("express");
 const router = express.Router();
 const webinarController = require("../controllers/webinarController");
 const registrationController = require("../controllers/registrationController");
+const { authorize } = require("../middlewares/authorize");
 
 // Public routes
 router.get("/", webinarController.getAllWebinars);
@@ -14,17 +15,13 @@ router.get("/:id", webinarController.getWebinar);
 router.post("/:webinarId/register", webinarController.registerForWebinar);
 router.get(
   "/:webinarId/registrations",
+  authorize("webinar:registrations"),
   webinarController.getWebinarRegistrations,
 );
 
-// Protected admin routes (add authentication middleware as needed)
-// router.post('/', authMiddleware, adminMiddleware, webinarController.createWebinar);
-// router.put('/:id', authMiddleware, adminMiddleware, webinarController.updateWebinar);
-// router.delete('/:id', authMiddleware, adminMiddleware, webinarController.deleteWebinar);
-
-// For development, make admin routes public (remove in production)
-router.post("/", webinarController.createWebinar);
-router.put("/:id", webinarController.updateWebinar);
-router.delete("/:id", webinarController.deleteWebinar);
+// Protected admin routes
+router.post("/", authorize("webinar:create"), webinarController.createWebinar);
+router.put("/:id", authorize("webinar:update"), webinarController.updateWebinar);
+router.delete("/:id", authorize("webinar:delete"), webinarController.deleteWebinar);
 
 module.exports = router;
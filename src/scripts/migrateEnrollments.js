@@ -0,0 +1,82 @@
+/**
+ * One-off migration: links legacy enrollments to Course and User documents.
+ *
+ *   node src/scripts/migrateEnrollments.js [--dry-run] [--trust-unverified]
+ *
+ * 1. `courseId` (string) becomes the `course` ObjectId; enrollments whose
+ *    course no longer exists are reported and left untouched.
+ * 2. Indexes are synced, which creates the unique user+course index.
+ * 3. Unlinked, paid enrollments are attached to the account with the same email.
+ *    Only verified accounts are trusted unless --trust-unverified is given
+ *    (accounts created before email verification existed are unverified).
+ *    A second enrollment for a course the user already has stays unlinked.
+ *
+ * Safe to run more than once.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Enrollment = require('../models/Enrollment');
+const Course = require('../models/Course');
+const { findUserByEmail, linkByEmail } = require('../services/enrollmentService');
+
+const dryRun = process.argv.includes('--dry-run');
+const trustUnverified = process.argv.includes('--trust-unverified');
+
+async function migrateCourseIds(report){
+  const collection = Enrollment.collection;
+  const legacy = await collection.find({ course: { $exists: false }, courseId: { $exists: true } }).toArray();
+
+  for(const doc of legacy){
+    const id = mongoose.Types.ObjectId.isValid(doc.courseId) ? new mongoose.Types.ObjectId(doc.courseId) : null;
+    const exists = id && await Course.exists({ _id: id });
+    if(!exists){
+      report.orphans.push({ enrollment: String(doc._id), courseId: doc.courseId });
+      continue;
+    }
+    if(!dryRun) await collection.updateOne({ _id: doc._id }, { $set: { course: id }, $unset: { courseId: '' } });
+    report.coursesLinked += 1;
+  }
+}
+
+async function linkUsers(report){
+  const emails = await Enrollment.distinct('studentInfo.email', { user: null });
+
+  for(const email of emails){
+    const user = await findUserByEmail(email);
+    if(!user){
+      report.noAccount += 1;
+      continue;
+    }
+    if(!user.emailVerified && !trustUnverified){
+      report.unverifiedSkipped.push(email);
+      continue;
+    }
+    if(dryRun){
+      report.usersLinked += await Enrollment.countDocuments({ user: null, 'studentInfo.email': email, 'paymentInfo.status': 'Completed' });
+      continue;
+    }
+    const { linked, duplicates } = await linkByEmail(user, { requireVerified: !trustUnverified });
+    report.usersLinked += linked;
+    report.duplicates += duplicates;
+  }
+}
+
+async function run(){
+  await connectDB();
+  const report = { coursesLinked: 0, orphans: [], usersLinked: 0, duplicates: 0, noAccount: 0, unverifiedSkipped: [] };
+
+  await migrateCourseIds(report);
+  if(!dryRun) await Enrollment.syncIndexes();
+  await linkUsers(report);
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Enrollment migration finished`);
+  console.log(JSON.stringify(report, null, 2));
+}
+
+run()
+  .catch((err) => {
+    console.error('Enrollment migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -9,6 +9,9 @@ const compression = require("compression");
 
 const connectDB = require("./config/db");
 const { errorHandler } = require("./middlewares/errorHandler");
+const { runStartupAudit } = require("./utils/routeAudit");
+const publicRoutes = require("./config/publicRoutes");
+const quizAttempts = require("./services/quizAttemptService");
 
 // Routes
 const communityRoutes = require("./routes/communityRoutes");
@@ -28,9 +31,13 @@ const mentorRoomRoutes = require("./routes/mentorRoomRoutes");
 const homePageRoutes = require("./routes/homePageRoutes");
 const enrollmentRoutes = require("./routes/enrollmentRoutes");
 const liveSessionRoutes = require("./routes/liveSessionRoutes");
+const certificateRoutes = require("./routes/certificates");
 
 const app = express();
 
+// Behind Railway's proxy: use X-Forwarded-For for req.ip (rate limiting, login audit)
+app.set("trust proxy", 1);
+
 // ---------------------------
 // Compression for better performance
 // ---------------------------
@@ -277,7 +284,7 @@ app.get("/api-docs", (req, res) => {
     },
     features: {
       community_forum: {
-        description: "Community Forum System (No Authentication Required)",
+        description: "Community Forum System (Public Reads; Posting Requires a Verified Account)",
         endpoints: [
           "GET    /community/questions                 - Get all questions (with filters)",
           "POST   /community/questions                 - Create new question",
@@ -346,7 +353,7 @@ app.get("/api-docs", (req, res) => {
         ],
       },
       quiz_system: {
-        description: "Quiz Management System (No Authentication Required)",
+        description: "Quiz Management System (Public reads, permission-based management)",
         endpoints: [
           "GET    /quizzes                      - Get all quizzes with filters",
           "POST   /quizzes                      - Create a new quiz (max 30 questions)",
@@ -355,6 +362,8 @@ app.get("/api-docs", (req, res) => {
           "DELETE /quizzes/:id                  - Delete quiz",
           "PATCH  /quizzes/:id/publish          - Publish quiz",
           "POST   /quizzes/:id/questions        - Add question to quiz",
+          "POST   /quizzes/:id/import           - Import questions (GIFT, Aiken, QTI 2.1; dryRun preview)",
+          "GET    /quizzes/:id/export           - Export questions (?format=gift|aiken|qti)",
           "GET    /quizzes/:id/analytics        - Get quiz analytics",
           "GET    /quizzes/course/:courseId     - Get quizzes by course",
           "GET    /quizzes/module/:moduleId     - Get quizzes by module",
@@ -366,7 +375,7 @@ app.get("/api-docs", (req, res) => {
           "GET    /quizzes/attempts/:id         - Get single attempt details",
         ],
         notes: [
-          "No authentication tokens required",
+          "Creating, editing, publishing and analytics require quiz:* permissions on your own course",
           "Maximum 30 questions per quiz",
           "Multiple question types supported",
           "Quiz attempts tracking",
@@ -438,7 +447,7 @@ app.get("/", (req, res) => {
       payment_processing: "✅ Stripe Integration",
       file_uploads: "✅ Image/Video/Document Support",
       community_forum: "✅ Q&A with File Attachments",
-      quiz_system: "✅ Public Access (No Auth Required)",
+      quiz_system: "✅ Public Catalog (No Answer Keys), Attempts Require Login",
       announcement_system: "✅ With Scheduling & Attachments",
     },
     community_forum: {
@@ -489,6 +498,14 @@ app.use("/api/v1/mentor-room", mentorRoomRoutes);
 app.use("/api/v1/homepage", homePageRoutes);
 app.use("/api/v1", enrollmentRoutes);
 app.use("/api/v1/live-sessions", liveSessionRoutes);
+app.use("/api/v1/certificates", certificateRoutes);
+
+// ---------------------------
+// Route protection self-check
+// ---------------------------
+// Refuses to start (ROUTE_AUDIT=strict) or warns when a mutating route has
+// neither auth middleware nor an entry in config/publicRoutes.js
+app.locals.routeAudit = runStartupAudit(app, publicRoutes);
 
 // ---------------------------
 // Community Forum Demo Endpoint
@@ -503,10 +520,9 @@ app.get("/demo/community", (req, res) => {
         name: "Create a Question",
         method: "POST",
         url: "/api/v1/community/questions",
+        headers: { Authorization: "Bearer <access token of a verified account>" },
         body: "form-data",
         fields: {
-          name: "John Doe",
-          email: "john@example.com",
           title: "How to get started with Node.js?",
           question:
             "I'm new to backend development. What are the best resources to learn Node.js in 2024?",
@@ -545,10 +561,10 @@ app.get("/demo/community", (req, res) => {
       upload_path: "/uploads/community/",
     },
     notes: [
-      "All community endpoints are public (no authentication required)",
+      "Reading and liking are public; posting questions and answers needs a verified account",
       "Use form-data for POST requests with files",
       "Files are accessible at http://localhost:8080/uploads/community/{filename}",
-      "Email validation is enforced",
+      "Questions and answers are posted under the account's name and email",
       "Auto-tagging from question content",
       "Slug URLs for SEO-friendly links",
     ],
@@ -576,6 +592,7 @@ app.use((req, res) => {
       "/api/v1/announcements",
       "/api/v1/mentor-room",
       "/api/v1/enrollments",
+      "/api/v1/certificates",
     ],
     community_forum_routes: [
       "GET    /api/v1/community/questions",
@@ -691,9 +708,9 @@ const server = app.listen(PORT, "0.0.0.0", () => {
   ║                                                                      ║
   ║   📚 API Documentation: http://${host}:${PORT}/api-docs             ║
   ║   ❤️  Health Check: http://${host}:${PORT}/health                   ║
-  ║   💬 Community Forum: Public Access (No Auth Required)              ║
+  ║   💬 Community Forum: Public Reads, Verified Accounts Post          ║
   ║   📢 Announcement System: With Scheduling & Attachments             ║
-  ║   🎯 Quiz System: Public Access (No Auth Required)                  ║
+  ║   🎯 Quiz System: Public Catalog, Attempts Need Login               ║
   ║                                                                      ║
   ╚══════════════════════════════════════════════════════════════════════╝
   `);
@@ -708,8 +725,8 @@ const server = app.listen(PORT, "0.0.0.0", () => {
   console.log("├── /api/v1/uploads           - File Uploads");
   console.log("├── /api/v1/admin             - Admin Functions");
   console.log("├── /api/v1/categories        - Category Management");
-  console.log("├── /api/v1/community         - Community Forum (Public)");
-  console.log("├── /api/v1/quizzes           - Quiz System (Public)");
+  console.log("├── /api/v1/community         - Community Forum (Public Reads)");
+  console.log("├── /api/v1/quizzes           - Quiz System (Public Catalog)");
   console.log("└── /api/v1/announcements     - Announcement System");
 
   console.log("\n💬 Community Forum Features:");
@@ -723,8 +740,8 @@ const server = app.listen(PORT, "0.0.0.0", () => {
   console.log("└── Related questions");
 
   console.log("\n🎯 Key Features:");
-  console.log("├── Quiz System: No authentication required");
-  console.log("├── Community Forum: No authentication required");
+  console.log("├── Quiz System: Public catalog, attempts and management need login");
+  console.log("├── Community Forum: Public reads, posting needs a verified account");
   console.log("├── Announcements: With file attachments");
   console.log("├── File Uploads: Images, videos, documents");
   console.log("├── Payments: Stripe integration");
@@ -738,6 +755,9 @@ const server = app.listen(PORT, "0.0.0.0", () => {
   console.log(
     `\n✅ Server is ready to accept requests at http://${host}:${PORT}`,
   );
+
+  // Auto-submit quiz attempts whose time ran out
+  quizAttempts.startSweeper();
 });
 
 // ---------------------------
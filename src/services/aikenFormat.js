@@ -0,0 +1,119 @@
+/**
+ * Aiken format: single-choice questions only.
+ *
+ *   Question text
+ *   A. Option
+ *   B) Option
+ *   ANSWER: B
+ *
+ * Aiken has no points or explanations; `POINTS: 2` and `EXPLANATION: text`
+ * lines after the ANSWER line carry them (left out with `strict`, which
+ * other LMSs need).
+ */
+const OPTION = /^([A-Z])[.)]\s+(.*)$/;
+const ANSWER = /^ANSWER:\s*([A-Z])\s*$/i;
+const POINTS = /^POINTS:\s*(\d+(?:\.\d+)?)\s*$/i;
+const EXPLANATION = /^EXPLANATION:\s*(.*)$/i;
+
+/**
+ * Parses Aiken text. Resolves to `{ questions, unsupported }` where
+ * unsupported items are `{ item, reason, text }`.
+ */
+function parse(input){
+  const questions = [];
+  const unsupported = [];
+  let current = null;
+  let item = 0;
+
+  const start = (line) => {
+    item += 1;
+    current = { item, text: [line], options: [], answer: null };
+  };
+  const finish = () => {
+    if(!current) return;
+    const { text, options, answer, points, explanation } = current;
+    const question = text.join(' ').trim();
+    const correct = options.findIndex((o) => o.letter === answer);
+    let reason = null;
+    if(options.length < 2) reason = 'Needs at least two options';
+    else if(!answer) reason = 'Missing ANSWER line';
+    else if(correct < 0) reason = `ANSWER ${answer} is not one of the options`;
+    if(reason){
+      unsupported.push({ item: current.item, reason, text: question.slice(0, 100) });
+    } else {
+      questions.push({
+        item: current.item,
+        question,
+        type: 'single-choice',
+        options: options.map((o, i) => ({ text: o.text, isCorrect: i === correct })),
+        correctAnswer: options[correct].text,
+        points: points || 1,
+        explanation
+      });
+    }
+    current = null;
+  };
+
+  String(input).replace(/\r\n?/g, '\n').split('\n').forEach((raw) => {
+    const line = raw.trim();
+    if(!line){
+      if(current && current.answer) finish();
+      return;
+    }
+    if(current && current.answer){
+      const points = POINTS.exec(line);
+      const explanation = EXPLANATION.exec(line);
+      if(points){
+        current.points = Number(points[1]);
+        return;
+      }
+      if(explanation){
+        current.explanation = explanation[1].trim() || undefined;
+        return;
+      }
+      finish();
+    }
+    if(!current){
+      start(line);
+      return;
+    }
+    const answer = ANSWER.exec(line);
+    const option = OPTION.exec(line);
+    if(answer) current.answer = answer[1].toUpperCase();
+    else if(option) current.options.push({ letter: option[1], text: option[2].trim() });
+    else if(current.options.length) current.options[current.options.length - 1].text += ` ${line}`;
+    else current.text.push(line);
+  });
+  finish();
+
+  return { questions, unsupported };
+}
+
+/**
+ * Aiken text of the questions. Resolves to `{ body, skipped }`; only
+ * single-choice questions (or multiple-choice with one correct option) fit.
+ */
+function serialize(questions, { strict = false } = {}){
+  const skipped = [];
+  const oneLine = (text) => String(text === undefined || text === null ? '' : text).replace(/\s+/g, ' ').trim();
+  const parts = [];
+  questions.forEach((q, i) => {
+    const options = q.options || [];
+    const correct = options.filter((o) => o.isCorrect).length;
+    if(!['single-choice', 'multiple-choice'].includes(q.type) || correct !== 1 || options.length > 26){
+      skipped.push({ index: i, type: q.type, reason: 'Aiken only holds choice questions with one correct answer and at most 26 options' });
+      return;
+    }
+    const lines = [oneLine(q.question)];
+    options.forEach((o, j) => lines.push(`${String.fromCharCode(65 + j)}. ${oneLine(o.text)}`));
+    lines.push(`ANSWER: ${String.fromCharCode(65 + options.findIndex((o) => o.isCorrect))}`);
+    if(!strict){
+      if((q.points || 1) !== 1) lines.push(`POINTS: ${q.points}`);
+      if(q.explanation) lines.push(`EXPLANATION: ${oneLine(q.explanation)}`);
+    }
+    parts.push(lines.join('\n'));
+  });
+  return { body: parts.length ? `${parts.join('\n\n')}\n` : '', skipped };
+}
+
+module.exports = { parse, serialize };
@@ -0,0 +1,155 @@
+/**
+ * Certificate PDFs
+ * - Renders an A4 landscape PDF: the course's `certificateTemplate.templateImage`
+ *   (PNG/JPEG, base64) as background, overlaid with the student name, course,
+ *   completion date, certificate ID and a QR code linking to the public
+ *   verification page. Without a usable template a plain bordered layout is used.
+ * - Everything is rendered in-process (pdfkit + qrcode); files are cached in
+ *   CERTIFICATE_STORAGE_DIR (outside the public /uploads folder) and
+ *   re-rendered when the certificate or course changes.
+ */
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+const STORAGE_DIR = process.env.CERTIFICATE_STORAGE_DIR || path.join(process.cwd(), 'storage', 'certificates');
+const SUPPORTED_IMAGES = ['image/png', 'image/jpeg', 'image/jpg'];
+
+// A4 landscape in points
+const PAGE = { width: 841.89, height: 595.28 };
+
+const verificationUrl = (certificate) => {
+  const base = process.env.CERTIFICATE_VERIFY_URL
+    || `${(process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '')}/certificates/verify`;
+  return `${base.replace(/\/$/, '')}/${encodeURIComponent(certificate.verificationCode)}`;
+};
+
+const pdfPath = (certificate) => path.join(STORAGE_DIR, `${certificate.certificateId}.pdf`);
+
+const pdfUrl = (certificate) => `/api/v1/certificates/${encodeURIComponent(certificate.certificateId)}/pdf`;
+
+// Template image as a Buffer, or null when missing / not PNG or JPEG
+function templateImage(course){
+  const image = course && course.certificateTemplate && course.certificateTemplate.templateImage;
+  if(!image || !image.data) return null;
+
+  let { data } = image;
+  let contentType = image.contentType;
+  const dataUri = /^data:([^;]+);base64,(.*)$/s.exec(data);
+  if(dataUri){
+    contentType = contentType || dataUri[1];
+    data = dataUri[2];
+  }
+  if(contentType && !SUPPORTED_IMAGES.includes(contentType.toLowerCase())) return null;
+  return Buffer.from(data, 'base64');
+}
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+
+function drawPlainBackground(doc){
+  doc.rect(20, 20, PAGE.width - 40, PAGE.height - 40).lineWidth(3).stroke('#234A96');
+  doc.rect(30, 30, PAGE.width - 60, PAGE.height - 60).lineWidth(1).stroke('#234A96');
+  doc.font('Helvetica-Bold').fontSize(34).fillColor('#234A96')
+    .text('Certificate of Completion', 0, 90, { width: PAGE.width, align: 'center' });
+}
+
+function drawText(doc, certificate, course){
+  const center = { width: PAGE.width - 160, align: 'center' };
+  const title = (course && course.certificateTemplate && course.certificateTemplate.title) || 'This certifies that';
+
+  doc.font('Helvetica').fontSize(16).fillColor('#333333').text(title, 80, 170, center);
+  doc.font('Helvetica-Bold').fontSize(36).fillColor('#111111').text(certificate.studentName, 80, 205, center);
+  doc.font('Helvetica').fontSize(16).fillColor('#333333').text('has successfully completed', 80, 265, center);
+  doc.font('Helvetica-Bold').fontSize(24).fillColor('#234A96').text(certificate.courseName, 80, 295, center);
+
+  const details = [`Completed on ${formatDate(certificate.completionDate)}`];
+  if(certificate.grade) details.push(`Grade ${certificate.grade}`);
+  if(certificate.instructorName) details.push(`Instructor: ${certificate.instructorName}`);
+  doc.font('Helvetica').fontSize(13).fillColor('#333333').text(details.join('   |   '), 80, 355, center);
+}
+
+async function drawVerification(doc, certificate){
+  const url = verificationUrl(certificate);
+  const qr = await QRCode.toBuffer(url, { type: 'png', margin: 1, width: 240, errorCorrectionLevel: 'M' });
+  const size = 90;
+  const x = PAGE.width - size - 60;
+  const y = PAGE.height - size - 60;
+
+  doc.image(qr, x, y, { width: size, height: size });
+  doc.font('Helvetica').fontSize(9).fillColor('#333333')
+    .text(`Certificate ID: ${certificate.certificateId}`, 60, PAGE.height - 105)
+    .text(`Verification code: ${certificate.verificationCode}`, 60, PAGE.height - 92)
+    .text(`Verify at ${url}`, 60, PAGE.height - 79, { width: x - 80 });
+}
+
+// Renders the certificate and resolves to the PDF as a Buffer
+async function render(certificate, course){
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: 'landscape',
+    margin: 0,
+    info: {
+      Title: `${certificate.courseName} - ${certificate.studentName}`,
+      Subject: `Certificate ${certificate.certificateId}`,
+      Author: 'Shekhai'
+    }
+  });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const background = templateImage(course);
+  let drawn = false;
+  if(background){
+    try {
+      doc.image(background, 0, 0, { width: PAGE.width, height: PAGE.height });
+      drawn = true;
+    } catch(err){
+      console.error(`Certificate template of course ${course._id} is not a valid image:`, err.message);
+    }
+  }
+  if(!drawn) drawPlainBackground(doc);
+
+  drawText(doc, certificate, course);
+  await drawVerification(doc, certificate);
+  doc.end();
+  return done;
+}
+
+const changedAt = (doc) => (doc && doc.updatedAt ? new Date(doc.updatedAt).getTime() : 0);
+
+/**
+ * Path of the certificate's PDF, rendering (and storing) it first when there
+ * is no stored file or the certificate/course changed since it was written.
+ */
+async function getPdfPath(certificate, course){
+  const file = pdfPath(certificate);
+  const stat = await fs.promises.stat(file).catch(() => null);
+  if(stat && stat.mtimeMs >= Math.max(changedAt(certificate), changedAt(course))) return file;
+
+  const pdf = await render(certificate, course);
+  await fs.promises.mkdir(STORAGE_DIR, { recursive: true });
+  // Write then rename so concurrent readers never see a partial file
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, pdf);
+  await fs.promises.rename(tmp, file);
+
+  const url = pdfUrl(certificate);
+  if(certificate.pdfUrl !== url){
+    certificate.pdfUrl = url;
+    // Avoid bumping updatedAt, which would invalidate the file just written
+    await certificate.constructor.updateOne({ _id: certificate._id }, { $set: { pdfUrl: url } }, { timestamps: false });
+  }
+  return file;
+}
+
+// Drops the stored file (e.g. after revocation)
+async function removePdf(certificate){
+  await fs.promises.unlink(pdfPath(certificate)).catch(() => {});
+}
+
+module.exports = { verificationUrl, pdfUrl, render, getPdfPath, removePdf };
@@ -0,0 +1,238 @@
+/**
+ * Certificate issuance
+ * A learner earns a course certificate once the course's completion rules
+ * (`Course.completionRules`) are met:
+ *   minProgress            lesson progress percentage (default 100)
+ *   requireQuizzesPassed   every quiz lesson of the course passed
+ *   minQuizAverage         average of the best quiz scores
+ *   requireExamsPassed     every published exam of the course passed
+ *   minExamScore           average of the best exam scores
+ * Only courses with `certificateIncluded` issue certificates.
+ * Issuing is idempotent: one Certificate per user and course (unique index);
+ * it is linked from UserProgress and the Enrollment. With
+ * `Course.certificateValidityDays` set, certificates expire after that many days.
+ *
+ * The certificate score averages the best quiz and exam results; when both
+ * exist exams weigh `examWeight` percent (default 60).
+ */
+const Certificate = require('../models/Certificate');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const UserProgress = require('../models/UserProgress');
+const Enrollment = require('../models/Enrollment');
+const QuizAttempt = require('../models/QuizAttempt');
+const Exam = require('../models/Exam');
+
+const DEFAULT_RULES = {
+  minProgress: 100,
+  requireQuizzesPassed: false,
+  minQuizAverage: null,
+  requireExamsPassed: false,
+  minExamScore: null,
+  examWeight: 60
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_CREATE_ATTEMPTS = 3;
+
+const isUserCourseConflict = (err) => Boolean(err.keyPattern && err.keyPattern.userId && err.keyPattern.courseId);
+
+const GRADES = [[97, 'A+'], [93, 'A'], [90, 'A-'], [87, 'B+'], [83, 'B'], [80, 'B-'], [77, 'C+'], [73, 'C'], [70, 'C-'], [60, 'D']];
+
+function gradeFor(score){
+  if(score === null || score === undefined) return undefined;
+  const match = GRADES.find(([min]) => score >= min);
+  return match ? match[1] : 'F';
+}
+
+const average = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+function rulesFor(course){
+  const configured = (course.completionRules && (course.completionRules.toObject ? course.completionRules.toObject() : course.completionRules)) || {};
+  const rules = { ...DEFAULT_RULES };
+  Object.keys(DEFAULT_RULES).forEach((key) => {
+    if(configured[key] !== undefined && configured[key] !== null) rules[key] = configured[key];
+  });
+  return rules;
+}
+
+// Quiz ids referenced by the course's quiz lessons
+const courseQuizIds = (course) => {
+  const ids = new Set();
+  (course.modules || []).forEach((m) => (m.lessons || []).forEach((l) => {
+    if(l.type === 'quiz' && l.quizId) ids.add(String(l.quizId));
+  }));
+  return [...ids];
+};
+
+// Best result per quiz/exam: Map id -> { percentage, passed }
+async function bestQuizResults(userId, courseId){
+  const attempts = await QuizAttempt.find({ userId, courseId, status: 'completed' })
+    .select('quizId percentage isPassed')
+    .lean();
+  const best = new Map();
+  attempts.forEach((a) => {
+    const id = String(a.quizId);
+    const current = best.get(id);
+    if(!current || a.percentage > current.percentage) best.set(id, { percentage: a.percentage || 0, passed: current ? current.passed || a.isPassed : a.isPassed });
+    else if(a.isPassed) current.passed = true;
+  });
+  return best;
+}
+
+function bestExamResults(progress){
+  const best = new Map();
+  ((progress && progress.examAttempts) || []).forEach((a) => {
+    // Attempts still running or awaiting essay grading do not count yet
+    if(!a.completedAt || (a.status && a.status !== 'completed')) return;
+    const id = String(a.examId);
+    const current = best.get(id);
+    if(!current || a.percentage > current.percentage) best.set(id, { percentage: a.percentage || 0, passed: (current && current.passed) || a.passed });
+    else if(a.passed) current.passed = true;
+  });
+  return best;
+}
+
+/**
+ * Checks the completion rules. Resolves to
+ * `{ eligible, unmet: [..], score, grade, progress, rules }`.
+ */
+async function evaluate(userId, course){
+  const rules = rulesFor(course);
+  const [progress, quizResults, exams] = await Promise.all([
+    UserProgress.findOne({ userId, courseId: course._id }),
+    bestQuizResults(userId, course._id),
+    Exam.find({ courseId: course._id, isPublished: true }).select('_id').lean()
+  ]);
+  const examResults = bestExamResults(progress);
+  const unmet = [];
+
+  if(!course.certificateIncluded) unmet.push({ rule: 'certificateIncluded' });
+
+  const progressPercentage = progress ? progress.progressPercentage : 0;
+  if(progressPercentage < rules.minProgress){
+    unmet.push({ rule: 'minProgress', required: rules.minProgress, actual: progressPercentage });
+  }
+
+  const quizIds = courseQuizIds(course);
+  const quizScores = quizIds.map((id) => (quizResults.get(id) ? quizResults.get(id).percentage : 0));
+  if(rules.requireQuizzesPassed){
+    const missing = quizIds.filter((id) => !(quizResults.get(id) && quizResults.get(id).passed));
+    if(missing.length) unmet.push({ rule: 'requireQuizzesPassed', quizIds: missing });
+  }
+  const quizAverage = average(quizScores);
+  if(rules.minQuizAverage !== null && (quizAverage === null ? 0 : quizAverage) < rules.minQuizAverage){
+    unmet.push({ rule: 'minQuizAverage', required: rules.minQuizAverage, actual: Math.round(quizAverage || 0) });
+  }
+
+  const examIds = exams.map((e) => String(e._id));
+  const examScores = examIds.map((id) => (examResults.get(id) ? examResults.get(id).percentage : 0));
+  if(rules.requireExamsPassed){
+    const missing = examIds.filter((id) => !(examResults.get(id) && examResults.get(id).passed));
+    if(missing.length) unmet.push({ rule: 'requireExamsPassed', examIds: missing });
+  }
+  const examAverage = average(examScores);
+  if(rules.minExamScore !== null && (examAverage === null ? 0 : examAverage) < rules.minExamScore){
+    unmet.push({ rule: 'minExamScore', required: rules.minExamScore, actual: Math.round(examAverage || 0) });
+  }
+
+  let score = null;
+  if(quizAverage !== null && examAverage !== null){
+    score = (examAverage * rules.examWeight + quizAverage * (100 - rules.examWeight)) / 100;
+  } else {
+    score = examAverage !== null ? examAverage : quizAverage;
+  }
+  if(score !== null) score = Math.round(Math.min(100, Math.max(0, score)));
+
+  return { eligible: unmet.length === 0, unmet, score, grade: gradeFor(score), progress, rules };
+}
+
+async function linkCertificate(userId, course, certificate, progress){
+  if(progress && String(progress.certificateId || '') !== String(certificate._id)){
+    progress.certificateId = certificate._id;
+    progress.certificateEarned = true;
+    progress.certificateEarnedAt = certificate.issueDate;
+    await progress.save();
+  }
+  await Promise.all([
+    Enrollment.updateOne(
+      { user: userId, course: course._id },
+      { $set: { certificateIssued: true, certificateId: certificate.certificateId } }
+    ),
+    Course.updateOne({ _id: course._id }, { $addToSet: { allCertificates: certificate._id } })
+  ]);
+}
+
+/**
+ * Issues the certificate when the rules are met. Safe to call repeatedly
+ * (and concurrently): an existing certificate is returned as is.
+ * Resolves to `{ certificate, issued, evaluation }`; certificate is null
+ * while the rules are not met.
+ */
+async function issueIfEligible(userId, courseOrId){
+  const course = courseOrId && courseOrId.modules
+    ? courseOrId
+    : await Course.findById(courseOrId);
+  if(!course) return { certificate: null, issued: false, evaluation: null };
+
+  const existing = await Certificate.findOne({ userId, courseId: course._id });
+  if(existing) return { certificate: existing, issued: false, evaluation: null };
+
+  const evaluation = await evaluate(userId, course);
+  if(!evaluation.eligible) return { certificate: null, issued: false, evaluation };
+
+  const [user, instructor] = await Promise.all([
+    User.findById(userId).select('name'),
+    User.findById(course.instructor && (course.instructor._id || course.instructor)).select('name')
+  ]);
+  if(!user) return { certificate: null, issued: false, evaluation };
+
+  const issueDate = new Date();
+  const data = {
+    userId,
+    courseId: course._id,
+    studentName: user.name,
+    courseName: course.title,
+    instructorName: instructor ? instructor.name : 'Shekhai',
+    completionDate: (evaluation.progress && evaluation.progress.completedAt) || issueDate,
+    issueDate,
+    expiryDate: course.certificateValidityDays ? new Date(issueDate.getTime() + course.certificateValidityDays * DAY_MS) : undefined,
+    score: evaluation.score === null ? undefined : evaluation.score,
+    grade: evaluation.grade
+  };
+
+  let certificate;
+  let issued = true;
+  for(let attempt = 1; !certificate; attempt += 1){
+    try {
+      certificate = await Certificate.create(data);
+    } catch(err){
+      if(err.code !== 11000) throw err;
+      if(isUserCourseConflict(err)){
+        // Issued concurrently
+        certificate = await Certificate.findOne({ userId, courseId: course._id });
+        issued = false;
+        if(!certificate) throw err;
+      } else if(attempt >= MAX_CREATE_ATTEMPTS){
+        throw err;
+      }
+      // Otherwise a generated ID/code collided: retry, create() draws fresh ones
+    }
+  }
+
+  await linkCertificate(userId, course, certificate, evaluation.progress);
+  return { certificate, issued, evaluation };
+}
+
+/**
+ * Hook for places where completion may change (lesson
+ * progress, quiz and exam submissions); errors are logged, never thrown.
+ */
+function checkCompletion(userId, courseId){
+  return issueIfEligible(userId, courseId).catch((err) => {
+    console.error('Certificate issuance error:', err.message);
+    return null;
+  });
+}
+
+module.exports = { gradeFor, rulesFor, evaluate, issueIfEligible, checkCompletion };
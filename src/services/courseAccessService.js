@@ -0,0 +1,97 @@
+/**
+ * Course access
+ * Decides how much of a course a user may see:
+ * - "full": admins (course:learn:any), the course instructor and learners with
+ *   a paid, non-cancelled enrollment that has not run out.
+ * - "preview": everyone else; only lessons flagged `isPreview` are returned.
+ *
+ * `Course.accessType` controls how long an enrollment lasts:
+ * - lifetime      never expires
+ * - timed         `accessDurationDays` after enrolling
+ * - subscription  `accessDurationDays` per paid period (renewals extend it)
+ * `Course.enrollmentDeadline` only closes new enrollments; existing learners
+ * keep their access.
+ */
+const Enrollment = require('../models/Enrollment');
+const permissions = require('./permissionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACTIVE_STATUSES = ['active', 'completed'];
+
+// When an enrollment made at `from` stops granting access (null = never)
+function accessExpiry(course, from = new Date()){
+  if(!course || course.accessType === 'lifetime' || !course.accessType) return null;
+  if(!course.accessDurationDays) return null;
+  return new Date(new Date(from).getTime() + course.accessDurationDays * DAY_MS);
+}
+
+// Whether new learners may still enroll
+function canEnroll(course, now = new Date()){
+  if(!course.published) return { allowed: false, reason: 'Course is not published' };
+  if(course.enrollmentDeadline && now > course.enrollmentDeadline){
+    return { allowed: false, reason: 'Enrollment for this course has closed' };
+  }
+  return { allowed: true };
+}
+
+// Expiry stored on the enrollment, or derived for enrollments made before it existed
+const enrollmentExpiry = (enrollment, course) =>
+  enrollment.accessExpiresAt || accessExpiry(course, enrollment.enrollmentDate || enrollment.createdAt);
+
+function enrollmentGrantsAccess(enrollment, course, now = new Date()){
+  if(!enrollment) return 'not-enrolled';
+  if(!ACTIVE_STATUSES.includes(enrollment.status)) return 'enrollment-inactive';
+  if(enrollment.paymentInfo && enrollment.paymentInfo.status !== 'Completed') return 'payment-incomplete';
+  const expiresAt = enrollmentExpiry(enrollment, course);
+  if(expiresAt && now > expiresAt) return 'access-expired';
+  return null;
+}
+
+/**
+ * Resolves to `{ level, reason, enrollment, expiresAt }` where level is
+ * "full" or "preview". `user` may be null for anonymous visitors.
+ */
+async function getAccess(user, course){
+  if(!user) return { level: 'preview', reason: 'anonymous' };
+  if(await permissions.can(user, 'course:learn:any')) return { level: 'full', reason: 'admin' };
+  if(course.instructor && String(course.instructor._id || course.instructor) === String(user.id)){
+    return { level: 'full', reason: 'instructor' };
+  }
+
+  const enrollment = await Enrollment.findOne({ user: user.id, course: course._id });
+  const denied = enrollmentGrantsAccess(enrollment, course);
+  if(denied) return { level: 'preview', reason: denied, enrollment };
+  return { level: 'full', reason: 'enrolled', enrollment, expiresAt: enrollmentExpiry(enrollment, course) };
+}
+
+const LESSON_OUTLINE_FIELDS = ['_id', 'title', 'description', 'type', 'duration', 'order', 'isPreview'];
+
+const pick = (obj, fields) => fields.reduce((out, f) => {
+  if(obj[f] !== undefined) out[f] = obj[f];
+  return out;
+}, {});
+
+// A lesson without its content
+const lessonOutline = (lesson) => ({ ...pick(lesson, LESSON_OUTLINE_FIELDS), locked: true });
+
+/**
+ * Modules as the given access level may see them.
+ * - full:    everything
+ * - preview: only preview lessons (with their content)
+ * - outline: every lesson's title/duration but no content; preview lessons in full
+ */
+function visibleModules(course, level){
+  const modules = (course.modules || []).map((m) => (typeof m.toObject === 'function' ? m.toObject() : m));
+  if(level === 'full') return modules;
+
+  return modules
+    .map((module) => {
+      const lessons = (module.lessons || [])
+        .filter((lesson) => level === 'outline' || lesson.isPreview)
+        .map((lesson) => (lesson.isPreview ? lesson : lessonOutline(lesson)));
+      return { ...module, lessons };
+    })
+    .filter((module) => level === 'outline' || module.lessons.length > 0);
+}
+
+module.exports = { accessExpiry, canEnroll, enrollmentGrantsAccess, getAccess, lessonOutline, visibleModules };
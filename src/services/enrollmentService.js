@@ -0,0 +1,126 @@
+/**
+ * Enrollment service
+ * - Enrollments belong to a User and a Course; there is at most one per pair
+ *   (unique index on the model).
+ * - Guest checkouts (POST /enrollments) are matched to an account by email,
+ *   but only once their payment is confirmed. When no verified account has
+ *   that email yet they stay unlinked until one proves ownership of it
+ *   (email verification or social login).
+ */
+const Enrollment = require('../models/Enrollment');
+const User = require('../models/User');
+const { accessExpiry } = require('./courseAccessService');
+
+const isDuplicate = (err) => err && err.code === 11000;
+
+const findUserByEmail = (email) =>
+  User.findOne({ email }).collation({ locale: 'en', strength: 2 });
+
+/**
+ * Links unlinked, paid enrollments bought with `user.email` to the account.
+ * Enrollments for courses the user already has are left alone.
+ * Resolves to `{ linked, duplicates }`.
+ */
+async function linkByEmail(user, { requireVerified = true } = {}){
+  const result = { linked: 0, duplicates: 0 };
+  if(!user || !user.email || (requireVerified && !user.emailVerified)) return result;
+
+  const pending = await Enrollment.find({
+    user: null,
+    'studentInfo.email': String(user.email).toLowerCase(),
+    'paymentInfo.status': 'Completed'
+  }).select('_id');
+
+  for(const enrollment of pending){
+    try {
+      await Enrollment.updateOne({ _id: enrollment._id, user: null }, { $set: { user: user._id } });
+      result.linked += 1;
+    } catch(err){
+      if(!isDuplicate(err)) throw err;
+      result.duplicates += 1;
+    }
+  }
+  return result;
+}
+
+/**
+ * Links a just-confirmed guest enrollment to the verified account with its
+ * email, if there is one. Resolves to true when linked.
+ */
+async function linkEnrollment(enrollment){
+  if(enrollment.user || enrollment.paymentInfo.status !== 'Completed') return false;
+  const user = await findUserByEmail(enrollment.studentInfo.email);
+  if(!user || !user.emailVerified) return false;
+  try {
+    const { modifiedCount } = await Enrollment.updateOne({ _id: enrollment._id, user: null }, { $set: { user: user._id } });
+    return modifiedCount > 0;
+  } catch(err){
+    // The account already has this course; the checkout stays unlinked
+    if(isDuplicate(err)) return false;
+    throw err;
+  }
+}
+
+async function createOnce(user, course, paymentInfo){
+  try {
+    return await Enrollment.create({
+      user: user._id,
+      course: course._id,
+      courseTitle: course.title,
+      coursePrice: course.price,
+      studentInfo: { fullname: user.name, email: user.email },
+      paymentInfo,
+      accessExpiresAt: accessExpiry(course)
+    });
+  } catch(err){
+    // A concurrent request enrolled the user first
+    if(isDuplicate(err)) return Enrollment.findOne({ user: user._id, course: course._id });
+    throw err;
+  }
+}
+
+/**
+ * Creates the enrollment for a completed payment. Paying again for a course
+ * the user already has renews time-limited access (subscriptions, timed
+ * courses) and otherwise returns the existing enrollment.
+ */
+async function enrollFromPayment({ user, course, payment, transactionId }){
+  const paymentInfo = {
+    method: 'bKash',
+    paymentId: String(payment._id),
+    transactionId: transactionId || payment.providerPaymentId,
+    amount: payment.amount,
+    status: 'Completed',
+    paidAt: new Date()
+  };
+
+  const existing = await Enrollment.findOne({ user: user._id, course: course._id });
+  if(!existing) return createOnce(user, course, paymentInfo);
+
+  // An unconfirmed or failed checkout is replaced by this verified payment
+  if(existing.paymentInfo && existing.paymentInfo.status !== 'Completed'){
+    existing.paymentInfo = paymentInfo;
+    existing.status = 'active';
+    existing.accessExpiresAt = accessExpiry(course);
+    await existing.save();
+    return existing;
+  }
+
+  const currentEnd = existing.accessExpiresAt || accessExpiry(course, existing.enrollmentDate);
+  if(currentEnd){
+    // Renewal: the new period starts when the current one ends (or now, if lapsed)
+    const renewedUntil = accessExpiry(course, Math.max(Date.now(), currentEnd.getTime()));
+    existing.accessExpiresAt = renewedUntil;
+    existing.paymentInfo = paymentInfo;
+    existing.status = 'active';
+    await existing.save();
+  }
+  return existing;
+}
+
+// Enrollment in a course that costs nothing
+function enrollFree(user, course){
+  return createOnce(user, course, { method: 'free', amount: 0, status: 'Completed', paidAt: new Date() });
+}
+
+module.exports = { isDuplicate, findUserByEmail, linkByEmail, linkEnrollment, enrollFromPayment, enrollFree };
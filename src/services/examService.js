@@ -0,0 +1,403 @@
+/**
+ * Final exams
+ * - Attempts live in `UserProgress.examAttempts`. Starting one fixes its
+ *   `expiresAt` (exam duration, cut short by `availableUntil`); answers may be
+ *   saved while it runs and are graded on submit.
+ * - The time limit is enforced here, not by the client: after `expiresAt`
+ *   (plus GRACE_SECONDS for latency) new answers are refused and the attempt
+ *   is closed with what was saved. Expired attempts are closed lazily,
+ *   whenever the learner's attempts for the exam are touched.
+ * - Autosave, submit and other writes share the progress document: saves
+ *   only go through while the attempt is still running and are retried on
+ *   the fresh document when another request got there first.
+ * - Objective questions are graded automatically; essays and unmatched short
+ *   answers leave the attempt "pending-review" until an instructor grades
+ *   them (services/gradingService.js).
+ */
+const { findOrCreate } = require('./progressService');
+const { checkCompletion } = require('./certificateService');
+const UserProgress = require('../models/UserProgress');
+const questionTypes = require('./questionTypes');
+
+const GRACE_SECONDS = 30;
+const MAX_ANSWER_LENGTH = 20000;
+
+const norm = (value) => String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+
+const toBoolean = (value) => {
+  if(typeof value === 'boolean') return value;
+  const v = norm(value);
+  if(v === 'true') return true;
+  if(v === 'false') return false;
+  return null;
+};
+
+// Why the exam cannot be started now (null when it can)
+function unavailableReason(exam, now = new Date()){
+  if(!exam.isPublished || !exam.isActive) return 'Exam is not available';
+  const opensAt = [exam.availableFrom, exam.scheduledDate].filter(Boolean).map((d) => new Date(d).getTime());
+  if(opensAt.length && now.getTime() < Math.max(...opensAt)) return 'Exam has not opened yet';
+  if(exam.availableUntil && now > exam.availableUntil) return 'Exam is closed';
+  if(!exam.questions.length) return 'Exam has no questions';
+  return null;
+}
+
+// Problems that keep an exam from being published
+function publishProblems(exam){
+  const problems = [];
+  if(!exam.questions.length) problems.push('Exam has no questions');
+  exam.questions.forEach((q, i) => {
+    const label = `Question ${i + 1}`;
+    if(q.type === 'single-choice' || q.type === 'multiple-choice'){
+      const correct = q.options.filter((o) => o.isCorrect).length;
+      if(q.options.length < 2) problems.push(`${label} needs at least two options`);
+      if(!correct) problems.push(`${label} has no correct option`);
+      if(q.type === 'single-choice' && correct > 1) problems.push(`${label} is single-choice but has several correct options`);
+    }
+    if(q.type === 'true-false' && toBoolean(q.correctAnswer) === null) problems.push(`${label} needs a true/false answer`);
+    questionTypes.problems(q).forEach((problem) => problems.push(`${label} ${problem}`));
+  });
+  if(exam.availableUntil && exam.availableFrom && exam.availableUntil <= exam.availableFrom){
+    problems.push('availableUntil must be after availableFrom');
+  }
+  return problems;
+}
+
+// Learner view of the exam; `withQuestions` only while an attempt runs
+function publicExam(exam, withQuestions = false){
+  const view = {
+    _id: exam._id,
+    courseId: exam.courseId,
+    moduleId: exam.moduleId,
+    lessonId: exam.lessonId,
+    title: exam.title,
+    description: exam.description,
+    instructions: exam.instructions,
+    duration: exam.duration,
+    passingScore: exam.passingScore,
+    maxAttempts: exam.maxAttempts,
+    totalQuestions: exam.totalQuestions,
+    totalPoints: exam.totalPoints,
+    scheduledDate: exam.scheduledDate,
+    availableFrom: exam.availableFrom,
+    availableUntil: exam.availableUntil
+  };
+  if(withQuestions){
+    view.questions = exam.questions.map((q) => ({
+      _id: q._id,
+      question: q.question,
+      type: q.type,
+      points: q.points,
+      options: (q.options || []).map((o) => ({ _id: o._id, text: o.text })),
+      ...questionTypes.presentation(q)
+    }));
+  }
+  return view;
+}
+
+// Option ids matching the given ids (or option texts)
+function selectedOptionIds(question, selected){
+  const values = (Array.isArray(selected) ? selected : [selected]).filter((v) => v !== undefined && v !== null);
+  const ids = new Set();
+  values.forEach((value) => {
+    const option = question.options.find((o) => String(o._id) === String(value))
+      || question.options.find((o) => norm(o.text) === norm(value));
+    if(option) ids.add(String(option._id));
+  });
+  return [...ids];
+}
+
+// Grades one answer: `{ isCorrect, pointsEarned, needsGrading }`
+function gradeAnswer(question, answer = {}){
+  const points = question.points || 0;
+  const result = (isCorrect) => ({ isCorrect, pointsEarned: isCorrect ? points : 0, needsGrading: false });
+
+  switch(question.type){
+    case 'single-choice':
+    case 'multiple-choice': {
+      const selected = selectedOptionIds(question, answer.selectedOptions);
+      const correct = question.options.filter((o) => o.isCorrect).map((o) => String(o._id));
+      return result(selected.length === correct.length && selected.every((id) => correct.includes(id)));
+    }
+    case 'true-false': {
+      const given = toBoolean(answer.answer);
+      return result(given !== null && given === toBoolean(question.correctAnswer));
+    }
+    case 'short-answer': {
+      const accepted = (Array.isArray(question.correctAnswer) ? question.correctAnswer : [question.correctAnswer]).map(norm);
+      const given = norm(answer.answer);
+      if(given === '') return result(false);
+      // Anything else than an accepted answer goes to the grading queue
+      if(accepted.includes(given)) return result(true);
+      return { isCorrect: undefined, pointsEarned: 0, needsGrading: true };
+    }
+    case 'essay':
+      // Blank essays earn nothing and need no review
+      if(norm(answer.answer) === '') return result(false);
+      return { isCorrect: undefined, pointsEarned: 0, needsGrading: true };
+    case 'matching':
+    case 'ordering':
+    case 'numeric':
+    case 'fill-in-the-blank':
+      return questionTypes.grade(question, answer.answer);
+    default:
+      return result(false);
+  }
+}
+
+// Keeps only answers to questions of the exam, one per question, in a storable shape
+function cleanAnswers(exam, answers){
+  const byQuestion = new Map();
+  (Array.isArray(answers) ? answers : []).forEach((a) => {
+    if(!a || !a.questionId) return;
+    const question = exam.questions.id(a.questionId);
+    if(!question) return;
+    const entry = { questionId: question._id };
+    if(question.type === 'single-choice' || question.type === 'multiple-choice'){
+      entry.selectedOptions = selectedOptionIds(question, a.selectedOptions);
+    } else if(questionTypes.isStructured(question.type)){
+      const response = questionTypes.cleanResponse(question, a.answer);
+      if(response !== null) entry.answer = response;
+    } else if(typeof a.answer === 'string'){
+      entry.answer = a.answer.slice(0, MAX_ANSWER_LENGTH);
+    } else if(typeof a.answer === 'boolean' || typeof a.answer === 'number'){
+      entry.answer = a.answer;
+    }
+    byQuestion.set(String(question._id), entry);
+  });
+  return byQuestion;
+}
+
+// Merges new answers over the saved ones
+function mergeAnswers(attempt, exam, answers){
+  const merged = new Map((attempt.answers || []).map((a) => [String(a.questionId), a.toObject ? a.toObject() : a]));
+  cleanAnswers(exam, answers).forEach((entry, id) => merged.set(id, entry));
+  attempt.answers = [...merged.values()];
+}
+
+// Score, percentage, pass/fail and status from the answers (and any manual points)
+function scoreAttempt(attempt, exam){
+  const total = exam.questions.reduce((sum, q) => sum + (q.points || 0), 0);
+  const score = attempt.answers.reduce((sum, a) => sum + (a.pointsEarned || 0), 0);
+  const pending = attempt.answers.some((a) => a.needsGrading);
+
+  attempt.score = score;
+  attempt.totalScore = total;
+  attempt.percentage = total > 0 ? Math.round((score / total) * 10000) / 100 : 0;
+  attempt.status = pending ? 'pending-review' : 'completed';
+  attempt.passed = !pending && attempt.percentage >= exam.passingScore;
+}
+
+// Grades the saved answers and closes the attempt
+function gradeAttempt(attempt, exam, completedAt = new Date()){
+  attempt.answers = attempt.answers.map((a) => {
+    const entry = a.toObject ? a.toObject() : a;
+    const question = exam.questions.id(entry.questionId);
+    return question ? { ...entry, ...gradeAnswer(question, entry) } : entry;
+  });
+  scoreAttempt(attempt, exam);
+  attempt.completedAt = completedAt;
+  attempt.timeTaken = Math.max(0, Math.round((completedAt - attempt.startedAt) / 1000));
+}
+
+const isOverdue = (attempt, now) => attempt.expiresAt && now.getTime() > attempt.expiresAt.getTime() + GRACE_SECONDS * 1000;
+
+const attemptsOf = (progress, exam) =>
+  ((progress && progress.examAttempts) || []).filter((a) => String(a.examId) === String(exam._id));
+
+// Closes overdue in-progress attempts; resolves to true when any was closed
+const RACE_RETRIES = 3;
+
+// A guarded save matched nothing: finished meanwhile, or saved by another request
+const lostRace = (err) => err.name === 'DocumentNotFoundError' || err.name === 'VersionError';
+
+// Saves the progress document only while `attempt` is still running there.
+// Resolves to false when another request changed it first.
+async function saveWhileRunning(progress, attempt){
+  progress.$where = { examAttempts: { $elemMatch: { _id: attempt._id, status: 'in-progress' } } };
+  try {
+    await progress.save();
+    return true;
+  } catch(err){
+    if(!lostRace(err)) throw err;
+    return false;
+  }
+}
+
+async function closeOverdue(progress, exam, now = new Date()){
+  const overdue = attemptsOf(progress, exam).filter((a) => a.status === 'in-progress' && isOverdue(a, now));
+  if(!overdue.length) return false;
+  overdue.forEach((attempt) => {
+    gradeAttempt(attempt, exam, attempt.expiresAt);
+    attempt.autoSubmitted = true;
+  });
+  // Losing the race leaves the attempt to whoever closed it (or to the next touch)
+  if(!(await saveWhileRunning(progress, overdue[0]))) return true;
+  if(overdue.some((a) => a.passed)) await checkCompletion(progress.userId, exam.courseId);
+  return true;
+}
+
+// Attempt as shown to the learner; per-question results only once graded
+function attemptView(attempt){
+  const view = {
+    _id: attempt._id,
+    examId: attempt.examId,
+    attemptNumber: attempt.attemptNumber,
+    status: attempt.status || 'completed',
+    startedAt: attempt.startedAt,
+    expiresAt: attempt.expiresAt,
+    completedAt: attempt.completedAt,
+    timeTaken: attempt.timeTaken,
+    autoSubmitted: attempt.autoSubmitted
+  };
+  const answers = (attempt.answers || []).map((a) => ({
+    questionId: a.questionId,
+    selectedOptions: a.selectedOptions,
+    answer: a.answer
+  }));
+  if(view.status === 'in-progress'){
+    view.answers = answers;
+    return view;
+  }
+  return {
+    ...view,
+    score: attempt.score,
+    totalScore: attempt.totalScore,
+    percentage: attempt.percentage,
+    passed: attempt.passed,
+    gradesReleasedAt: attempt.gradesReleasedAt,
+    answers: answers.map((a, i) => ({
+      ...a,
+      isCorrect: attempt.answers[i].isCorrect,
+      pointsEarned: attempt.answers[i].pointsEarned,
+      needsGrading: attempt.answers[i].needsGrading,
+      rubricScores: attempt.answers[i].rubricScores,
+      feedback: attempt.answers[i].feedback
+    }))
+  };
+}
+
+// The learner's attempts at an exam (overdue ones are closed first)
+async function listAttempts(userId, exam){
+  const progress = await UserProgress.findOne({ userId, courseId: exam.courseId });
+  if(!progress) return [];
+  await closeOverdue(progress, exam);
+  return attemptsOf(progress, exam);
+}
+
+/**
+ * Starts (or resumes) an attempt. Resolves to `{ attempt, resumed }` or
+ * `{ error, status }`.
+ */
+async function startAttempt(userId, exam){
+  const now = new Date();
+  const reason = unavailableReason(exam, now);
+  if(reason) return { error: reason, status: 400 };
+
+  const progress = await findOrCreate(userId, exam.courseId);
+  await closeOverdue(progress, exam, now);
+
+  const running = attemptsOf(progress, exam).find((a) => a.status === 'in-progress');
+  if(running) return { attempt: running, resumed: true };
+
+  const used = attemptsOf(progress, exam).length;
+  if(used >= exam.maxAttempts){
+    return { error: `Maximum attempts (${exam.maxAttempts}) reached for this exam`, status: 400 };
+  }
+
+  let expiresAt = new Date(now.getTime() + exam.duration * 60 * 1000);
+  if(exam.availableUntil && exam.availableUntil < expiresAt) expiresAt = new Date(exam.availableUntil);
+
+  // Conditional push so parallel requests cannot start two attempts or exceed maxAttempts
+  const attemptsForExam = { $filter: { input: { $ifNull: ['$examAttempts', []] }, cond: { $eq: ['$$this.examId', exam._id] } } };
+  const result = await UserProgress.updateOne(
+    {
+      _id: progress._id,
+      examAttempts: { $not: { $elemMatch: { examId: exam._id, status: 'in-progress' } } },
+      $expr: { $lt: [{ $size: attemptsForExam }, exam.maxAttempts] }
+    },
+    {
+      $push: {
+        examAttempts: {
+          examId: exam._id,
+          attemptNumber: used + 1,
+          status: 'in-progress',
+          startedAt: now,
+          expiresAt,
+          answers: []
+        }
+      }
+    }
+  );
+
+  const fresh = await UserProgress.findById(progress._id);
+  const attempt = attemptsOf(fresh, exam).find((a) => a.status === 'in-progress');
+  if(!attempt) return { error: `Maximum attempts (${exam.maxAttempts}) reached for this exam`, status: 400 };
+  return { attempt, resumed: result.modifiedCount === 0 };
+}
+
+// The running attempt and its progress document, closing it if overdue
+async function runningAttempt(userId, exam, now){
+  const progress = await UserProgress.findOne({ userId, courseId: exam.courseId });
+  if(!progress) return {};
+  const attempt = attemptsOf(progress, exam).find((a) => a.status === 'in-progress');
+  if(attempt && isOverdue(attempt, now)){
+    await closeOverdue(progress, exam, now);
+    return { progress, expired: attempt };
+  }
+  return { progress, attempt };
+}
+
+/**
+ * Saves answers of the running attempt without grading. Resolves to
+ * `{ attempt }` or `{ error, status, attempt? }`.
+ */
+async function saveAnswers(userId, exam, answers, retries = RACE_RETRIES){
+  const { progress, attempt, expired } = await runningAttempt(userId, exam, new Date());
+  if(expired) return { error: 'Time is up; the attempt was submitted with the saved answers', status: 410, attempt: expired };
+  if(!attempt) return { error: 'No exam attempt in progress', status: 404 };
+
+  mergeAnswers(attempt, exam, answers);
+  if(await saveWhileRunning(progress, attempt)) return { attempt };
+  if(retries > 0) return saveAnswers(userId, exam, answers, retries - 1);
+  return { error: 'The attempt changed meanwhile, please try again', status: 409 };
+}
+
+/**
+ * Submits the running attempt with the given answers (merged over saved
+ * ones) and grades it. After the time limit the new answers are ignored.
+ * Resolves to `{ attempt, late }` or `{ error, status }`.
+ */
+async function submitAttempt(userId, exam, answers, retries = RACE_RETRIES){
+  const now = new Date();
+  const { progress, attempt, expired } = await runningAttempt(userId, exam, now);
+  if(expired) return { attempt: expired, late: true };
+  if(!attempt) return { error: 'No exam attempt in progress', status: 404 };
+
+  mergeAnswers(attempt, exam, answers);
+  gradeAttempt(attempt, exam, attempt.expiresAt && now > attempt.expiresAt ? attempt.expiresAt : now);
+  if(!(await saveWhileRunning(progress, attempt))){
+    // Submitted by another request: answer with its stored result
+    const fresh = await UserProgress.findById(progress._id);
+    const stored = fresh && attemptsOf(fresh, exam).find((a) => String(a._id) === String(attempt._id));
+    if(stored && stored.status !== 'in-progress') return { attempt: stored, late: false };
+    if(retries > 0) return submitAttempt(userId, exam, answers, retries - 1);
+    return { error: 'The attempt changed meanwhile, please try again', status: 409 };
+  }
+  if(attempt.passed) await checkCompletion(userId, exam.courseId);
+  return { attempt, late: false };
+}
+
+module.exports = {
+  GRACE_SECONDS,
+  unavailableReason,
+  publishProblems,
+  publicExam,
+  gradeAnswer,
+  scoreAttempt,
+  attemptView,
+  listAttempts,
+  startAttempt,
+  saveAnswers,
+  submitAttempt
+};
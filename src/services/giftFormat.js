@@ -0,0 +1,248 @@
+/**
+ * Moodle GIFT format
+ * - Questions are separated by blank lines; `::title::` and `[html]`-style
+ *   markers are ignored, `$CATEGORY:` sets the topic of the questions after it.
+ * - `{=a ~b}` single-choice, `{~%50%a ~%50%b ~c}` multiple-choice, `{T}` / `{F}`
+ *   true-false, `{=a =b}` short-answer, `{=a -> b =c -> d}` matching and
+ *   `{#3.1:0.05}` / `{#1..5}` numeric. A short-answer block inside the text
+ *   is a fill-in-the-blank question. `####text` is the explanation.
+ * - GIFT has no points: a `// points: 2` comment before a question sets them
+ *   (Moodle ignores comments). Essays, descriptions and ordering questions
+ *   are not supported.
+ */
+const escape = (text) => String(text === undefined || text === null ? '' : text)
+  .replace(/\\/g, '\\\\')
+  .replace(/[~=#{}:]/g, (c) => `\\${c}`)
+  .replace(/\r?\n/g, '\\n');
+
+const unescape = (text) => String(text)
+  .replace(/\\n/g, '\n')
+  .replace(/\\([~=#{}:\\])/g, '$1')
+  .trim();
+
+// Index of the first unescaped `char` at or after `from` (-1 when none)
+function indexOfUnescaped(text, char, from = 0){
+  for(let i = from; i < text.length; i += 1){
+    if(text[i] === '\\'){
+      i += 1;
+    } else if(text.startsWith(char, i)){
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Splits before every unescaped answer marker (= or ~)
+function answerTokens(block){
+  const tokens = [];
+  let current = null;
+  for(let i = 0; i < block.length; i += 1){
+    const c = block[i];
+    if(c === '\\'){
+      if(current) current.text += block.slice(i, i + 2);
+      i += 1;
+    } else if(c === '=' || c === '~'){
+      current = { mark: c, text: '' };
+      tokens.push(current);
+    } else if(current){
+      current.text += c;
+    }
+  }
+  return tokens.map(({ mark, text }) => {
+    let rest = text;
+    let weight = null;
+    const weighted = /^\s*%(-?\d+(?:\.\d+)?)%/.exec(rest);
+    if(weighted){
+      weight = Number(weighted[1]);
+      rest = rest.slice(weighted[0].length);
+    }
+    const feedbackAt = indexOfUnescaped(rest, '#');
+    if(feedbackAt >= 0) rest = rest.slice(0, feedbackAt);
+    return { mark, weight, text: rest };
+  });
+}
+
+function parseNumeric(block){
+  const body = block.replace(/^#/, '').trim();
+  const first = body.includes('=') ? answerTokens(body).find((t) => t.weight === null || t.weight === 100) : { text: body };
+  const value = first ? first.text.trim() : '';
+  const range = /^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/.exec(value);
+  if(range){
+    const [low, high] = [Number(range[1]), Number(range[2])];
+    return { correctAnswer: (low + high) / 2, tolerance: Math.abs(high - low) / 2 };
+  }
+  const [number, tolerance] = value.split(':');
+  return { correctAnswer: Number(number), tolerance: tolerance === undefined ? 0 : Number(tolerance) };
+}
+
+/**
+ * Question (or `{ unsupported }`) from one block of GIFT text; `before` and
+ * `after` are the question text around the answer block.
+ */
+function parseQuestion(before, block, after){
+  const feedbackAt = indexOfUnescaped(block, '####');
+  const explanation = feedbackAt >= 0 ? unescape(block.slice(feedbackAt + 4)) : undefined;
+  const answers = (feedbackAt >= 0 ? block.slice(0, feedbackAt) : block).trim();
+  const inText = Boolean(after.trim());
+  const text = unescape(inText ? `${before.trim()} _____ ${after.trim()}` : before);
+  const base = { question: text, explanation: explanation || undefined };
+
+  if(!answers) return { unsupported: 'Essay questions are not supported' };
+
+  const trueFalse = /^(T|TRUE|F|FALSE)\b/i.exec(answers);
+  if(trueFalse && !/[=~]/.test(answers.charAt(0))){
+    return { ...base, type: 'true-false', correctAnswer: /^t/i.test(trueFalse[1]) };
+  }
+
+  if(answers.startsWith('#')){
+    const numeric = parseNumeric(answers);
+    if(!Number.isFinite(numeric.correctAnswer) || !Number.isFinite(numeric.tolerance)){
+      return { unsupported: 'Unreadable numeric answer' };
+    }
+    return { ...base, type: 'numeric', ...numeric };
+  }
+
+  const tokens = answerTokens(answers);
+  if(!tokens.length) return { unsupported: 'No answers found' };
+
+  if(tokens.every((t) => t.mark === '=' && indexOfUnescaped(t.text, '->') >= 0)){
+    return {
+      ...base,
+      type: 'matching',
+      pairs: tokens.map((t) => {
+        const at = indexOfUnescaped(t.text, '->');
+        return { left: unescape(t.text.slice(0, at)), right: unescape(t.text.slice(at + 2)) };
+      })
+    };
+  }
+
+  if(tokens.every((t) => t.mark === '=')){
+    const accepted = tokens.filter((t) => t.weight === null || t.weight === 100).map((t) => unescape(t.text));
+    if(inText){
+      return {
+        ...base,
+        question: unescape(`${before.trim()} {{1}} ${after.trim()}`),
+        type: 'fill-in-the-blank',
+        blanks: [{ accepted }]
+      };
+    }
+    return { ...base, type: 'short-answer', correctAnswer: accepted.length === 1 ? accepted[0] : accepted };
+  }
+
+  const weighted = tokens.some((t) => t.mark === '~' && t.weight !== null);
+  const options = tokens.map((t) => ({
+    text: unescape(t.text),
+    isCorrect: weighted ? (t.weight || 0) > 0 : t.mark === '='
+  }));
+  const correct = options.filter((o) => o.isCorrect).map((o) => o.text);
+  if(!correct.length) return { unsupported: 'Choice question without a correct answer' };
+  const multiple = weighted && correct.length > 1;
+  return {
+    ...base,
+    type: multiple ? 'multiple-choice' : 'single-choice',
+    options,
+    correctAnswer: multiple ? correct : correct[0]
+  };
+}
+
+/**
+ * Parses GIFT text. Resolves to `{ questions, unsupported }` where
+ * unsupported items are `{ item, reason, text }`.
+ */
+function parse(input){
+  const questions = [];
+  const unsupported = [];
+  let topic;
+  let item = 0;
+
+  const blocks = String(input).replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+  blocks.forEach((raw) => {
+    let points;
+    const lines = [];
+    raw.split('\n').forEach((line) => {
+      const trimmed = line.trim();
+      const directive = /^\/\/\s*points:\s*(\d+(?:\.\d+)?)\s*$/i.exec(trimmed);
+      if(directive) points = Number(directive[1]);
+      else if(/^\$CATEGORY:/i.test(trimmed)) topic = trimmed.replace(/^\$CATEGORY:\s*/i, '').split('/').pop().trim() || undefined;
+      else if(!trimmed.startsWith('//')) lines.push(line);
+    });
+
+    let text = lines.join('\n').trim();
+    if(!text) return;
+    item += 1;
+
+    const title = /^::((?:\\.|[^\\])*?)::/.exec(text);
+    if(title) text = text.slice(title[0].length).trim();
+    text = text.replace(/^\[(html|moodle|plain|markdown)\]/i, '').trim();
+
+    const open = indexOfUnescaped(text, '{');
+    const close = open >= 0 ? indexOfUnescaped(text, '}', open) : -1;
+    const preview = unescape(text).slice(0, 100);
+    if(open < 0 || close < 0){
+      unsupported.push({ item, reason: 'Descriptions (items without answers) are not supported', text: preview });
+      return;
+    }
+
+    let before = text.slice(0, open);
+    if(!before.trim() && title) before = title[1];
+    const parsed = parseQuestion(before, text.slice(open + 1, close), text.slice(close + 1));
+    if(parsed.unsupported){
+      unsupported.push({ item, reason: parsed.unsupported, text: preview });
+      return;
+    }
+    questions.push({ ...parsed, item, points: points || 1, topic });
+  });
+
+  return { questions, unsupported };
+}
+
+// GIFT answer block of a question, or null when GIFT can't express it
+function answerBlock(q){
+  const list = (values) => values.map((v) => `=${escape(v)}`).join(' ');
+  switch(q.type){
+    case 'single-choice':
+      return q.options.map((o) => `${o.isCorrect ? '=' : '~'}${escape(o.text)}`).join(' ');
+    case 'multiple-choice': {
+      const correct = q.options.filter((o) => o.isCorrect).length;
+      const weight = Number((100 / correct).toFixed(5));
+      return q.options.map((o) => (o.isCorrect ? `~%${weight}%${escape(o.text)}` : `~${escape(o.text)}`)).join(' ');
+    }
+    case 'true-false':
+      return String(q.correctAnswer).toLowerCase() === 'true' ? 'TRUE' : 'FALSE';
+    case 'short-answer':
+      return list(Array.isArray(q.correctAnswer) ? q.correctAnswer : [q.correctAnswer]);
+    case 'numeric':
+      return `#${Number(q.correctAnswer)}${q.tolerance ? `:${q.tolerance}` : ''}`;
+    case 'matching':
+      return (q.pairs || []).map((p) => `=${escape(p.left)} -> ${escape(p.right)}`).join(' ');
+    case 'fill-in-the-blank':
+      return (q.blanks || []).length === 1 ? list(q.blanks[0].accepted || []) : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * GIFT text of the questions. Resolves to `{ body, skipped }`; skipped
+ * questions are listed as comments in the file too.
+ */
+function serialize(questions){
+  const skipped = [];
+  const parts = questions.map((q, i) => {
+    const block = answerBlock(q);
+    if(block === null){
+      skipped.push({ index: i, type: q.type, reason: `GIFT cannot express ${(q.blanks || []).length > 1 ? 'several blanks' : q.type} questions` });
+      return `// Skipped question ${i + 1} (${q.type}): ${String(q.question).replace(/\s+/g, ' ').slice(0, 80)}`;
+    }
+    const answers = `{${block}${q.explanation ? ` ####${escape(q.explanation)}` : ''}}`;
+    const head = `// points: ${q.points || 1}\n::Question ${i + 1}::`;
+    if(q.type === 'fill-in-the-blank'){
+      const [before, after = ''] = String(q.question).split(/\{\{\s*1\s*\}\}/);
+      return `${head} ${escape(before.trim())} ${answers} ${escape(after.trim())}`.trim();
+    }
+    return `${head} ${escape(q.question)} ${answers}`;
+  });
+  return { body: `${parts.join('\n\n')}\n`, skipped };
+}
+
+module.exports = { parse, serialize };
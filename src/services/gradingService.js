@@ -0,0 +1,248 @@
+/**
+ * Manual grading
+ * - Answers the autograder cannot decide (essays, short answers matching none
+ *   of the accepted answers) are flagged `needsGrading`; their attempt stays
+ *   "pending-review" and does not count as passed or failed yet.
+ * - Course instructors work through a per-course queue and grade each answer
+ *   with points or rubric criterion scores, plus a feedback comment.
+ * - Once nothing is pending the attempt's score and pass/fail are recomputed,
+ *   the grades are released and the learner is emailed.
+ */
+const mongoose = require('mongoose');
+const QuizAttempt = require('../models/QuizAttempt');
+const Quiz = require('../models/Quiz');
+const Exam = require('../models/Exam');
+const UserProgress = require('../models/UserProgress');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const { scoreAttempt: scoreExamAttempt } = require('./examService');
+const { checkCompletion } = require('./certificateService');
+const mail = require('./mailService');
+
+const MAX_FEEDBACK_LENGTH = 5000;
+
+const norm = (value) => String(value === undefined || value === null ? '' : value).trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Whether a short answer matches one of the accepted answers (case and spacing ignored)
+function matchesShortAnswer(question, given){
+  const accepted = (Array.isArray(question.correctAnswer) ? question.correctAnswer : [question.correctAnswer])
+    .map(norm)
+    .filter(Boolean);
+  const answer = norm(given);
+  return answer !== '' && accepted.includes(answer);
+}
+
+// Questions a quiz attempt is graded against: its own snapshot; attempts
+// started before snapshots existed use the quiz's current questions
+const questionsOf = (attempt, quiz) => (attempt.questions && attempt.questions.length ? attempt.questions : quiz.questions);
+
+// Score, percentage, status and pass/fail of a quiz attempt from its answers
+function scoreQuizAttempt(attempt, quiz){
+  const total = questionsOf(attempt, quiz).reduce((sum, q) => sum + (q.points || 0), 0);
+  const pending = attempt.answers.some((a) => a.needsGrading);
+
+  // Negative marking can't take the score below zero
+  const score = attempt.answers.reduce((sum, a) => sum + (a.pointsEarned || 0), 0);
+  attempt.score = Math.max(0, Math.round(score * 100) / 100);
+  attempt.totalPoints = total;
+  attempt.percentage = total > 0 ? Math.round((attempt.score / total) * 10000) / 100 : 0;
+  attempt.status = pending ? 'pending-review' : 'completed';
+  attempt.isPassed = !pending && attempt.percentage >= quiz.passingScore;
+}
+
+/**
+ * Applies one grade `{ points | rubricScores, feedback }` to an answer.
+ * Returns an error message, or null when applied.
+ */
+function applyGrade(answer, question, grade, graderId){
+  const max = question.points || 0;
+  const rubric = question.rubric || [];
+  let points;
+  let rubricScores = [];
+
+  if(rubric.length && Array.isArray(grade.rubricScores)){
+    for(const score of grade.rubricScores){
+      const item = rubric.find((r) => String(r._id) === String(score.criterionId) || r.criterion === score.criterion);
+      const value = Number(score.points);
+      if(!item) return 'Unknown rubric criterion';
+      if(!Number.isFinite(value) || value < 0 || value > item.maxPoints){
+        return `Rubric score for "${item.criterion}" must be between 0 and ${item.maxPoints}`;
+      }
+      rubricScores.push({ criterionId: item._id, criterion: item.criterion, points: value });
+    }
+    if(rubricScores.length !== rubric.length) return 'Score every rubric criterion';
+    points = Math.min(max, rubricScores.reduce((sum, s) => sum + s.points, 0));
+  } else {
+    points = Number(grade.points);
+    if(!Number.isFinite(points) || points < 0 || points > max) return `Points must be between 0 and ${max}`;
+    rubricScores = [];
+  }
+
+  answer.pointsEarned = points;
+  answer.isCorrect = points >= max;
+  answer.needsGrading = false;
+  answer.rubricScores = rubricScores;
+  if(grade.feedback !== undefined) answer.feedback = String(grade.feedback).slice(0, MAX_FEEDBACK_LENGTH);
+  answer.gradedBy = graderId;
+  answer.gradedAt = new Date();
+  return null;
+}
+
+// Applies `grades` ([{ questionId, ... }]) to the attempt's answers
+function applyGrades(answers, questions, grades, graderId){
+  if(!Array.isArray(grades) || !grades.length) return 'grades must be a non-empty array';
+  for(const grade of grades){
+    const answer = answers.find((a) => String(a.questionId) === String(grade && grade.questionId));
+    const question = answer && questions.id(answer.questionId);
+    if(!question) return `No answer to question ${grade && grade.questionId} in this attempt`;
+    const error = applyGrade(answer, question, grade, graderId);
+    if(error) return error;
+  }
+  return null;
+}
+
+async function notifyRelease(userId, { kind, title, courseId, attempt }){
+  const [user, course] = await Promise.all([
+    User.findById(userId).select('name email'),
+    Course.findById(courseId).select('title')
+  ]);
+  if(!user) return;
+  await mail.sendGradesReleasedEmail(user, {
+    kind,
+    title,
+    courseTitle: course ? course.title : '',
+    percentage: attempt.percentage,
+    passed: kind === 'quiz' ? attempt.isPassed : attempt.passed,
+    path: `/courses/${courseId}`
+  }).catch((err) => console.error('Grade notification error:', err.message));
+}
+
+// Questions that still need a grader, in the shape the queue shows them
+const pendingItems = (answers, questions, answerOf) => answers
+  .filter((a) => a.needsGrading)
+  .map((a) => {
+    const question = questions.id(a.questionId);
+    return {
+      questionId: a.questionId,
+      question: question ? question.question : null,
+      type: question ? question.type : null,
+      points: question ? question.points : null,
+      correctAnswer: question ? question.correctAnswer : null,
+      rubric: question ? question.rubric : [],
+      answer: answerOf(a)
+    };
+  });
+
+/**
+ * Pending-review attempts of a course, oldest submission first.
+ * `kind` limits the queue to "quiz" or "exam".
+ */
+async function queue(courseId, { kind } = {}){
+  const items = [];
+
+  if(kind !== 'exam'){
+    const attempts = await QuizAttempt.find({ courseId, status: 'pending-review' })
+      .populate('userId', 'name email')
+      .sort({ timeCompleted: 1 });
+    const quizzes = await Quiz.find({ _id: { $in: attempts.map((a) => a.quizId) } });
+    const quizById = new Map(quizzes.map((q) => [String(q._id), q]));
+    attempts.forEach((attempt) => {
+      const quiz = quizById.get(String(attempt.quizId));
+      if(!quiz) return;
+      items.push({
+        kind: 'quiz',
+        attemptId: attempt._id,
+        assessment: { _id: quiz._id, title: quiz.title },
+        learner: attempt.userId,
+        attemptNumber: attempt.attemptNumber,
+        submittedAt: attempt.timeCompleted,
+        pending: pendingItems(attempt.answers, questionsOf(attempt, quiz), (a) => a.shortAnswer)
+      });
+    });
+  }
+
+  if(kind !== 'quiz'){
+    const progresses = await UserProgress.find({ courseId, 'examAttempts.status': 'pending-review' })
+      .select('userId examAttempts')
+      .populate('userId', 'name email');
+    const examIds = new Set();
+    progresses.forEach((p) => p.examAttempts.forEach((a) => a.status === 'pending-review' && examIds.add(String(a.examId))));
+    const exams = await Exam.find({ _id: { $in: [...examIds] } });
+    const examById = new Map(exams.map((e) => [String(e._id), e]));
+    progresses.forEach((progress) => progress.examAttempts.forEach((attempt) => {
+      const exam = examById.get(String(attempt.examId));
+      if(attempt.status !== 'pending-review' || !exam) return;
+      items.push({
+        kind: 'exam',
+        attemptId: attempt._id,
+        assessment: { _id: exam._id, title: exam.title },
+        learner: progress.userId,
+        attemptNumber: attempt.attemptNumber,
+        submittedAt: attempt.completedAt,
+        pending: pendingItems(attempt.answers, exam.questions, (a) => a.answer)
+      });
+    }));
+  }
+
+  return items.sort((a, b) => new Date(a.submittedAt || 0) - new Date(b.submittedAt || 0));
+}
+
+/**
+ * Grades answers of a quiz attempt of the course. Resolves to
+ * `{ attempt, released }` or `{ error, status }`.
+ */
+async function gradeQuizAttempt(courseId, attemptId, grades, graderId){
+  if(!mongoose.Types.ObjectId.isValid(attemptId)) return { error: 'Attempt not found', status: 404 };
+  const attempt = await QuizAttempt.findOne({ _id: attemptId, courseId });
+  if(!attempt) return { error: 'Attempt not found', status: 404 };
+  if(!['pending-review', 'completed'].includes(attempt.status)) return { error: 'Attempt has not been submitted', status: 409 };
+  const quiz = await Quiz.findById(attempt.quizId);
+  if(!quiz) return { error: 'Quiz not found', status: 404 };
+
+  const error = applyGrades(attempt.answers, questionsOf(attempt, quiz), grades, graderId);
+  if(error) return { error, status: 400 };
+
+  const wasPending = attempt.status === 'pending-review';
+  scoreQuizAttempt(attempt, quiz);
+  const released = wasPending && attempt.status === 'completed';
+  if(released) attempt.gradesReleasedAt = new Date();
+  attempt.markModified('answers');
+  await attempt.save();
+
+  if(released){
+    await notifyRelease(attempt.userId, { kind: 'quiz', title: quiz.title, courseId: attempt.courseId, attempt });
+  }
+  if(attempt.status === 'completed' && attempt.isPassed) await checkCompletion(attempt.userId, attempt.courseId);
+  return { attempt, released };
+}
+
+/**
+ * Grades answers of an exam attempt of the course. Resolves to
+ * `{ attempt, released }` or `{ error, status }`.
+ */
+async function gradeExamAttempt(courseId, attemptId, grades, graderId){
+  if(!mongoose.Types.ObjectId.isValid(attemptId)) return { error: 'Attempt not found', status: 404 };
+  const progress = await UserProgress.findOne({ courseId, 'examAttempts._id': attemptId });
+  const attempt = progress && progress.examAttempts.id(attemptId);
+  if(!attempt) return { error: 'Attempt not found', status: 404 };
+  if(!['pending-review', 'completed'].includes(attempt.status)) return { error: 'Attempt has not been submitted', status: 409 };
+  const exam = await Exam.findById(attempt.examId);
+  if(!exam) return { error: 'Exam not found', status: 404 };
+
+  const error = applyGrades(attempt.answers, exam.questions, grades, graderId);
+  if(error) return { error, status: 400 };
+
+  const wasPending = attempt.status === 'pending-review';
+  scoreExamAttempt(attempt, exam);
+  const released = wasPending && attempt.status === 'completed';
+  if(released) attempt.gradesReleasedAt = new Date();
+  await progress.save();
+
+  if(released){
+    await notifyRelease(progress.userId, { kind: 'exam', title: exam.title, courseId: progress.courseId, attempt });
+  }
+  if(attempt.status === 'completed' && attempt.passed) await checkCompletion(progress.userId, progress.courseId);
+  return { attempt, released };
+}
+
+module.exports = { matchesShortAnswer, questionsOf, scoreQuizAttempt, applyGrade, queue, gradeQuizAttempt, gradeExamAttempt };
@@ -0,0 +1,115 @@
+/**
+ * Login guard
+ * - Tracks failed logins per account (email) and per client IP in Mongo so
+ *   limits hold across instances.
+ * - After a few free failures each further attempt must wait an exponentially
+ *   growing delay; past the hard limit the account/IP is locked for a while.
+ * - Every attempt is written to the LoginAttempt audit collection.
+ */
+const LoginThrottle = require('../models/LoginThrottle');
+const LoginAttempt = require('../models/LoginAttempt');
+
+const num = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const config = () => ({
+  windowMs: num('LOGIN_FAILURE_WINDOW_MINUTES', 15) * 60 * 1000,
+  lockMs: num('LOGIN_LOCK_MINUTES', 15) * 60 * 1000,
+  maxAccountFailures: num('LOGIN_MAX_ACCOUNT_FAILURES', 5),
+  maxIpFailures: num('LOGIN_MAX_IP_FAILURES', 20),
+  freeFailures: num('LOGIN_FREE_FAILURES', 2),
+  baseDelayMs: num('LOGIN_BASE_DELAY_MS', 1000),
+  maxDelayMs: num('LOGIN_MAX_DELAY_MS', 30 * 1000),
+});
+
+const accountKey = (email) => `account:${String(email || '').trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+
+// Wait required after `failures` consecutive failures
+function delayFor(failures, cfg = config()){
+  const over = failures - cfg.freeFailures;
+  if(over <= 0) return 0;
+  return Math.min(cfg.baseDelayMs * 2 ** (over - 1), cfg.maxDelayMs);
+}
+
+/**
+ * Returns `{ allowed: true }` or `{ allowed: false, reason, retryAfterMs }`
+ * where reason is one of account-locked, ip-locked or throttled.
+ */
+async function check(email, ip){
+  const cfg = config();
+  const now = Date.now();
+  const docs = await LoginThrottle.find({ key: { $in: [accountKey(email), ipKey(ip)] } });
+
+  for(const doc of docs){
+    if(doc.lockedUntil && doc.lockedUntil.getTime() > now){
+      return { allowed: false, reason: `${doc.scope}-locked`, retryAfterMs: doc.lockedUntil.getTime() - now };
+    }
+  }
+
+  const account = docs.find((d) => d.scope === 'account');
+  if(account && account.lastFailureAt && now - account.lastFailureAt.getTime() < cfg.windowMs){
+    const waitUntil = account.lastFailureAt.getTime() + delayFor(account.failures, cfg);
+    if(waitUntil > now) return { allowed: false, reason: 'throttled', retryAfterMs: waitUntil - now };
+  }
+
+  return { allowed: true };
+}
+
+async function bump(key, scope, maxFailures, cfg){
+  const now = new Date();
+  // Start a fresh window when the previous failures are old
+  await LoginThrottle.updateOne(
+    { key, lastFailureAt: { $lt: new Date(now.getTime() - cfg.windowMs) } },
+    { $set: { failures: 0, firstFailureAt: now } }
+  );
+  const doc = await LoginThrottle.findOneAndUpdate(
+    { key },
+    { $inc: { failures: 1 }, $set: { lastFailureAt: now, scope }, $setOnInsert: { firstFailureAt: now } },
+    { upsert: true, new: true }
+  );
+  if(doc.failures >= maxFailures && !(doc.lockedUntil && doc.lockedUntil > now)){
+    doc.lockedUntil = new Date(now.getTime() + cfg.lockMs);
+    await doc.save();
+  }
+  return doc;
+}
+
+async function recordFailure(email, ip){
+  const cfg = config();
+  const [account] = await Promise.all([
+    bump(accountKey(email), 'account', cfg.maxAccountFailures, cfg),
+    bump(ipKey(ip), 'ip', cfg.maxIpFailures, cfg),
+  ]);
+  return { failures: account.failures, lockedUntil: account.lockedUntil };
+}
+
+// A successful login clears the account counter; the IP counter decays on its own
+async function recordSuccess(email){
+  await LoginThrottle.deleteOne({ key: accountKey(email) });
+}
+
+async function unlockAccount(email){
+  const result = await LoginThrottle.deleteOne({ key: accountKey(email) });
+  return result.deletedCount > 0;
+}
+
+async function audit(req, { email, user, success, reason }){
+  try {
+    await LoginAttempt.create({
+      email,
+      user: user ? user._id : undefined,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      success,
+      reason,
+    });
+  } catch(err){
+    // Auditing must never break login
+    console.error('Error writing login audit:', err.message);
+  }
+}
+
+module.exports = { check, recordFailure, recordSuccess, unlockAccount, audit, delayFor };
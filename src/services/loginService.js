@@ -0,0 +1,30 @@
+/**
+ * Login completion shared by password and social (OIDC) login:
+ * once the first factor is proven, either hand out a 2FA challenge or the
+ * access/refresh token pair.
+ */
+const tokens = require('./tokenService');
+const twoFactor = require('./twoFactorService');
+const loginGuard = require('./loginGuard');
+
+// Resolves to the JSON body returned to the client
+async function completeLogin(req, user){
+  // Second factor: hand out a short-lived challenge instead of the JWT pair
+  const has2fa = user.twoFactor && user.twoFactor.enabled;
+  if(has2fa || twoFactor.isRequiredFor(user.role)){
+    const challengeToken = await twoFactor.issueChallenge(user);
+    return {
+      twoFactorRequired: !!has2fa,
+      twoFactorSetupRequired: !has2fa,
+      challengeToken,
+      user: user.toPublic()
+    };
+  }
+
+  await loginGuard.recordSuccess(user.email);
+  await loginGuard.audit(req, { email: user.email, user, success: true, reason: 'ok' });
+  const pair = await tokens.issueTokenPair(user, req);
+  return { ...pair, user: user.toPublic() };
+}
+
+module.exports = { completeLogin };
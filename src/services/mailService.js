@@ -0,0 +1,104 @@
+/**
+ * Mail service
+ * - Shared nodemailer transport (configure SMTP_* in .env).
+ * - When SMTP is not configured, messages are skipped; in development the
+ *   account links are logged so the flows can still be exercised locally.
+ */
+const nodemailer = require('nodemailer');
+
+const createTransporter = () => {
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: process.env.SMTP_PORT,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+  });
+};
+
+const isConfigured = () => Boolean(process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS);
+
+const clientUrl = (path) => `${(process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '')}${path}`;
+
+async function sendMail({ to, subject, html }){
+  if(!isConfigured()) return false;
+  await createTransporter().sendMail({
+    from: `"Shekhai" <${process.env.SMTP_USER}>`,
+    to,
+    subject,
+    html,
+  });
+  return true;
+}
+
+const DEFAULT_FOOTER = 'If you did not request this, you can safely ignore this email.';
+
+const layout = (title, body, footer = DEFAULT_FOOTER) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #234A96;">${title}</h2>
+    <div style="background: #f4f7fd; padding: 20px; border-radius: 8px;">${body}</div>
+    <p style="margin-top: 20px; font-size: 12px; color: #666;">
+      ${footer}
+    </p>
+  </div>
+`;
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+async function sendAccountLink(user, { path, token, subject, title, text, action }){
+  const link = clientUrl(`${path}?token=${encodeURIComponent(token)}`);
+  if(!isConfigured() && process.env.NODE_ENV === 'development'){
+    console.log(`[mail] ${subject} for ${user.email}: ${link}`);
+  }
+  return sendMail({
+    to: user.email,
+    subject,
+    html: layout(title, `
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>${text}</p>
+      <p><a href="${link}" style="color: #234A96;">${action}</a></p>
+    `),
+  });
+}
+
+const sendVerificationEmail = (user, token) => sendAccountLink(user, {
+  path: '/verify-email',
+  token,
+  subject: 'Verify your Shekhai email address',
+  title: 'Confirm your email',
+  text: 'Please confirm your email address to finish setting up your account.',
+  action: 'Verify email',
+});
+
+const sendPasswordResetEmail = (user, token) => sendAccountLink(user, {
+  path: '/reset-password',
+  token,
+  subject: 'Reset your Shekhai password',
+  title: 'Password reset',
+  text: 'We received a request to reset your password. The link expires soon and can be used once.',
+  action: 'Reset password',
+});
+
+// Manual grades of a quiz or exam attempt are final
+async function sendGradesReleasedEmail(user, { kind, title, courseTitle, percentage, passed, path }){
+  const link = clientUrl(path);
+  const subject = `Your ${kind} "${title}" has been graded`;
+  if(!isConfigured() && process.env.NODE_ENV === 'development'){
+    console.log(`[mail] ${subject} for ${user.email}: ${link}`);
+  }
+  return sendMail({
+    to: user.email,
+    subject,
+    html: layout('Your grades are ready', `
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>Your instructor finished grading your ${kind} <strong>${escapeHtml(title)}</strong>${courseTitle ? ` in ${escapeHtml(courseTitle)}` : ''}.</p>
+      <p>Score: <strong>${Math.round(percentage)}%</strong> (${passed ? 'passed' : 'not passed'})</p>
+      <p><a href="${link}" style="color: #234A96;">View your results and feedback</a></p>
+    `, 'You receive this email because you submitted an assessment on Shekhai.'),
+  });
+}
+
+module.exports = { createTransporter, isConfigured, sendMail, sendVerificationEmail, sendPasswordResetEmail, sendGradesReleasedEmail };
@@ -0,0 +1,139 @@
+/**
+ * OpenID Connect client (authorization code flow + PKCE)
+ * - Providers come from env: OIDC_PROVIDERS=google,... and for each one
+ *   OIDC_<NAME>_ISSUER, _CLIENT_ID, _CLIENT_SECRET, _REDIRECT_URI, _SCOPES.
+ *   Pointing the issuer at a local mock server is enough for tests.
+ * - Endpoints are read from the issuer's discovery document; ID tokens are
+ *   verified against the issuer's JWKS (kid lookup, refreshed on miss).
+ */
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_ISSUERS = { google: 'https://accounts.google.com' };
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const envKey = (name, key) => `OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_${key}`;
+
+function getProvider(name){
+  const enabled = (process.env.OIDC_PROVIDERS || '').split(',').map((p) => p.trim().toLowerCase()).filter(Boolean);
+  if(!enabled.includes(name)) return null;
+  const get = (key) => process.env[envKey(name, key)];
+  const provider = {
+    name,
+    issuer: (get('ISSUER') || DEFAULT_ISSUERS[name] || '').replace(/\/$/, ''),
+    clientId: get('CLIENT_ID'),
+    clientSecret: get('CLIENT_SECRET'),
+    redirectUri: get('REDIRECT_URI'),
+    scopes: get('SCOPES') || 'openid email profile',
+  };
+  return provider.issuer && provider.clientId && provider.redirectUri ? provider : null;
+}
+
+async function discover(provider){
+  const hit = discoveryCache.get(provider.issuer);
+  if(hit && Date.now() - hit.at < CACHE_TTL_MS) return hit.config;
+  const { data } = await axios.get(`${provider.issuer}/.well-known/openid-configuration`, { timeout: 10000 });
+  discoveryCache.set(provider.issuer, { config: data, at: Date.now() });
+  return data;
+}
+
+async function signingKey(jwksUri, kid){
+  const load = async () => {
+    const { data } = await axios.get(jwksUri, { timeout: 10000 });
+    jwksCache.set(jwksUri, { keys: data.keys || [], at: Date.now() });
+    return data.keys || [];
+  };
+  const hit = jwksCache.get(jwksUri);
+  let keys = hit && Date.now() - hit.at < CACHE_TTL_MS ? hit.keys : await load();
+  let jwk = keys.find((k) => !kid || k.kid === kid);
+  // Keys rotate: refetch once when the kid is unknown
+  if(!jwk && hit){
+    keys = await load();
+    jwk = keys.find((k) => !kid || k.kid === kid);
+  }
+  if(!jwk) throw new Error('No matching signing key for ID token');
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+const base64url = (buf) => buf.toString('base64url');
+
+// New PKCE verifier/challenge, state and nonce for one authorization request
+function createAuthRequest(){
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  return {
+    state: base64url(crypto.randomBytes(24)),
+    nonce: base64url(crypto.randomBytes(24)),
+    codeVerifier,
+    codeChallenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest()),
+  };
+}
+
+async function authorizationUrl(provider, { state, nonce, codeChallenge }){
+  const config = await discover(provider);
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  });
+  return `${config.authorization_endpoint}?${params.toString()}`;
+}
+
+/**
+ * Exchanges the authorization code and returns the verified identity:
+ * `{ subject, email, emailVerified, name, picture }`.
+ */
+async function exchangeCode(provider, { code, codeVerifier, nonce }){
+  const config = await discover(provider);
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier,
+  });
+  if(provider.clientSecret) form.set('client_secret', provider.clientSecret);
+
+  const { data } = await axios.post(config.token_endpoint, form.toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    timeout: 10000,
+  });
+  if(!data.id_token) throw new Error('Provider did not return an ID token');
+
+  const decoded = jwt.decode(data.id_token, { complete: true });
+  if(!decoded) throw new Error('Malformed ID token');
+  const key = await signingKey(config.jwks_uri, decoded.header.kid);
+  const claims = jwt.verify(data.id_token, key, {
+    algorithms: ['RS256', 'ES256'],
+    issuer: config.issuer || provider.issuer,
+    audience: provider.clientId,
+  });
+  if(claims.nonce !== nonce) throw new Error('ID token nonce mismatch');
+
+  let profile = claims;
+  if(!claims.email && config.userinfo_endpoint && data.access_token){
+    const info = await axios.get(config.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${data.access_token}` },
+      timeout: 10000,
+    });
+    if(info.data.sub !== claims.sub) throw new Error('Userinfo subject mismatch');
+    profile = { ...claims, ...info.data };
+  }
+
+  return {
+    subject: String(claims.sub),
+    email: profile.email ? String(profile.email).toLowerCase() : undefined,
+    emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+    name: profile.name || profile.given_name,
+    picture: profile.picture,
+  };
+}
+
+module.exports = { getProvider, createAuthRequest, authorizationUrl, exchangeCode };
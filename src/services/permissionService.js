@@ -0,0 +1,60 @@
+/**
+ * Permission service
+ * - Resolves the permissions of a role: built-in roles from config, custom
+ *   roles from Mongo (cached briefly so every instance picks up edits).
+ * - `can()` understands "*" / "resource:*" wildcards.
+ */
+const Role = require('../models/Role');
+const { PERMISSIONS, BUILT_IN_ROLES } = require('../config/permissions');
+
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+const isBuiltIn = (name) => Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, name);
+
+// A grant is valid when it names a catalog permission or a wildcard over one
+function isValidGrant(grant){
+  if(grant === '*') return true;
+  if(grant.endsWith(':*')){
+    const prefix = grant.slice(0, -1);
+    return Object.keys(PERMISSIONS).some((p) => p.startsWith(prefix));
+  }
+  return Object.prototype.hasOwnProperty.call(PERMISSIONS, grant);
+}
+
+function grants(granted, required){
+  return granted.some((g) => g === '*' || g === required || (g.endsWith(':*') && required.startsWith(g.slice(0, -1))));
+}
+
+async function permissionsForRole(role){
+  if(!role) return [];
+  if(isBuiltIn(role)) return BUILT_IN_ROLES[role].permissions;
+
+  const hit = cache.get(role);
+  if(hit && Date.now() - hit.at < CACHE_TTL_MS) return hit.permissions;
+
+  const doc = await Role.findOne({ name: role }).lean();
+  const permissions = doc ? doc.permissions : [];
+  cache.set(role, { permissions, at: Date.now() });
+  return permissions;
+}
+
+async function can(user, permission){
+  if(!user) return false;
+  return grants(await permissionsForRole(user.role), permission);
+}
+
+// Expands wildcards into the concrete catalog permissions a role holds
+async function effectivePermissions(role){
+  const granted = await permissionsForRole(role);
+  return Object.keys(PERMISSIONS).filter((p) => grants(granted, p));
+}
+
+async function roleExists(name){
+  if(isBuiltIn(name)) return true;
+  return !!(await Role.exists({ name }));
+}
+
+const invalidate = (role) => (role ? cache.delete(role) : cache.clear());
+
+module.exports = { isBuiltIn, isValidGrant, grants, permissionsForRole, can, effectivePermissions, roleExists, invalidate };
@@ -0,0 +1,144 @@
+/**
+ * Learner progress through a course's embedded modules/lessons (UserProgress).
+ * Lesson ids are the `_id`s of `Course.modules[].lessons[]`.
+ */
+const UserProgress = require('../models/UserProgress');
+const Enrollment = require('../models/Enrollment');
+const { checkCompletion } = require('./certificateService');
+
+// Upper bound for one `timeSpent` report; larger values are clamped
+const MAX_TIME_PER_UPDATE = 4 * 60 * 60;
+
+// Finds a lesson in the embedded modules: `{ module, lesson }` or null
+function findLesson(course, lessonId){
+  for(const module of course.modules || []){
+    const lesson = (module.lessons || []).find((l) => String(l._id) === String(lessonId));
+    if(lesson) return { module, lesson };
+  }
+  return null;
+}
+
+async function findOrCreate(userId, courseId){
+  const existing = await UserProgress.findOne({ userId, courseId });
+  if(existing) return existing;
+  try {
+    return await UserProgress.create({ userId, courseId });
+  } catch(err){
+    // Created concurrently by another request
+    if(err.code === 11000) return UserProgress.findOne({ userId, courseId });
+    throw err;
+  }
+}
+
+const seconds = (value, max) => {
+  const n = Math.floor(Number(value));
+  if(!Number.isFinite(n) || n < 0) return 0;
+  return max ? Math.min(n, max) : n;
+};
+
+// Keeps the enrollment shown on the learner dashboard in step
+async function syncEnrollment(progress){
+  const update = { progress: progress.progressPercentage, lastAccessed: new Date() };
+  if(progress.status === 'completed') update.status = 'completed';
+  await Enrollment.updateOne(
+    { user: progress.userId, course: progress.courseId, status: { $ne: 'cancelled' } },
+    { $set: update }
+  );
+}
+
+/**
+ * Applies one progress report for a lesson.
+ * `update` may contain: completed (bool), timeSpent (seconds since the last
+ * report), position (resume point in seconds), notes, bookmarked.
+ */
+async function recordLessonProgress(userId, course, lessonId, update = {}){
+  const found = findLesson(course, lessonId);
+  if(!found) return null;
+  const moduleId = found.module._id;
+
+  const progress = await findOrCreate(userId, course._id);
+  const now = new Date();
+  const entry = progress.lessonEntry(lessonId, moduleId);
+  const timeSpent = seconds(update.timeSpent, MAX_TIME_PER_UPDATE);
+
+  entry.timeSpent += timeSpent;
+  entry.lastAccessedAt = now;
+  if(update.position !== undefined) entry.position = seconds(update.position);
+  if(update.notes !== undefined) entry.notes = String(update.notes);
+  progress.totalTimeSpent += timeSpent;
+  progress.lastAccessedAt = now;
+
+  // Resume point
+  const sameLesson = progress.currentLesson && String(progress.currentLesson.lessonId) === String(lessonId);
+  progress.currentLesson = {
+    lessonId,
+    moduleId,
+    position: entry.position,
+    startedAt: sameLesson ? progress.currentLesson.startedAt : now,
+    lastAccessed: now
+  };
+
+  if(update.completed === true){
+    await progress.addCompletedLesson(lessonId, moduleId, entry.timeSpent, entry.notes);
+    // addCompletedLesson accumulates; keep the per-lesson total instead
+    const completed = progress.completedLessons.find((cl) => String(cl.lessonId) === String(lessonId));
+    completed.timeSpent = entry.timeSpent;
+  } else if(update.completed === false){
+    progress.removeCompletedLesson(lessonId);
+  }
+  if(update.bookmarked !== undefined) progress.toggleBookmark(lessonId, Boolean(update.bookmarked), moduleId);
+
+  await progress.updateProgress(course);
+  await syncEnrollment(progress);
+  if(progress.status === 'completed') await checkCompletion(userId, course);
+  return progress;
+}
+
+/**
+ * The learner's state in a course, with a per-module breakdown.
+ * Works for learners without any recorded activity yet.
+ */
+async function getCourseProgress(userId, course){
+  const progress = await UserProgress.findOne({ userId, courseId: course._id }).lean();
+  const completed = new Set(((progress && progress.completedLessons) || []).map((cl) => String(cl.lessonId)));
+
+  const modules = (course.modules || []).map((module) => {
+    const lessons = module.lessons || [];
+    const done = lessons.filter((l) => completed.has(String(l._id))).length;
+    return {
+      moduleId: module._id,
+      title: module.title,
+      completedLessons: done,
+      totalLessons: lessons.length,
+      percentage: lessons.length ? Math.round((done / lessons.length) * 100) : 0
+    };
+  });
+
+  if(!progress){
+    return {
+      courseId: course._id,
+      status: 'enrolled',
+      progressPercentage: 0,
+      totalTimeSpent: 0,
+      currentLesson: null,
+      completedLessons: [],
+      lessonActivity: [],
+      modules
+    };
+  }
+
+  return {
+    courseId: course._id,
+    status: progress.status,
+    progressPercentage: progress.progressPercentage,
+    totalTimeSpent: progress.totalTimeSpent,
+    currentLesson: progress.currentLesson && progress.currentLesson.lessonId ? progress.currentLesson : null,
+    completedLessons: progress.completedLessons,
+    lessonActivity: progress.lessonActivity || [],
+    lastAccessedAt: progress.lastAccessedAt,
+    completedAt: progress.completedAt,
+    modules
+  };
+}
+
+module.exports = { findLesson, findOrCreate, recordLessonProgress, getCourseProgress };
@@ -0,0 +1,447 @@
+/**
+ * IMS QTI 2.1
+ * - Imports a single assessmentItem XML file or a content package (zip with
+ *   imsmanifest.xml); exports a content package with one item per question.
+ * - choiceInteraction maps to single-choice / multiple-choice (true-false
+ *   when the choices are just True and False), textEntryInteraction to
+ *   short-answer or numeric (several of them: fill-in-the-blank),
+ *   matchInteraction to matching and orderInteraction to ordering.
+ * - Points are the MAXSCORE outcome, the explanation is the modal feedback
+ *   and numeric tolerance the `tolerance` of the `equal` response rule.
+ */
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const { XMLParser } = require('fast-xml-parser');
+
+const SUPPORTED = ['choiceInteraction', 'textEntryInteraction', 'matchInteraction', 'orderInteraction'];
+const MAX_FILES = 500;
+const MAX_BYTES = 20 * 1024 * 1024;
+const QTI_NS = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  preserveOrder: true,
+  trimValues: false,
+  removeNSPrefix: true,
+  parseTagValue: false,
+  parseAttributeValue: false
+});
+
+const tagOf = (node) => Object.keys(node).find((key) => key !== ':@');
+const childrenOf = (node) => node[tagOf(node)] || [];
+const attrsOf = (node) => node[':@'] || {};
+
+// Element nodes named `tag` anywhere below `nodes`, in document order
+function findAll(nodes, tag){
+  const found = [];
+  (nodes || []).forEach((node) => {
+    const name = tagOf(node);
+    if(name === tag) found.push(node);
+    if(name && name !== '#text') found.push(...findAll(node[name], tag));
+  });
+  return found;
+}
+
+const find = (nodes, tag) => findAll(nodes, tag)[0];
+
+const clean = (text) => String(text).replace(/\s+/g, ' ').trim();
+
+function textOf(nodes){
+  return clean((nodes || []).map((node) => {
+    const name = tagOf(node);
+    if(name === '#text') return node['#text'];
+    return ` ${textOf(node[name])} `;
+  }).join(''));
+}
+
+const valuesOf = (node) => (node ? findAll(childrenOf(node), 'value').map((v) => textOf(childrenOf(v))) : []);
+
+function declarationsOf(item){
+  const declarations = new Map();
+  findAll(childrenOf(item), 'responseDeclaration').forEach((node) => {
+    const attrs = attrsOf(node);
+    const mapping = find(childrenOf(node), 'mapping');
+    declarations.set(attrs.identifier, {
+      cardinality: attrs.cardinality,
+      baseType: attrs.baseType,
+      correct: valuesOf(find(childrenOf(node), 'correctResponse')),
+      mapped: mapping
+        ? findAll(childrenOf(mapping), 'mapEntry').map(attrsOf).filter((e) => Number(e.mappedValue) > 0).map((e) => e.mapKey)
+        : []
+    });
+  });
+  return declarations;
+}
+
+function pointsOf(item){
+  const outcome = findAll(childrenOf(item), 'outcomeDeclaration').find((node) => attrsOf(node).identifier === 'MAXSCORE');
+  const value = outcome ? Number(valuesOf(find(childrenOf(outcome), 'defaultValue'))[0]) : NaN;
+  return Number.isFinite(value) && value > 0 ? value : 1;
+}
+
+function explanationOf(item){
+  const feedback = findAll(childrenOf(item), 'modalFeedback');
+  const preferred = feedback.find((node) => /explan|solution|general/i.test(attrsOf(node).identifier || '')) || feedback[0];
+  return preferred ? textOf(childrenOf(preferred)) || undefined : undefined;
+}
+
+function toleranceOf(item){
+  const rule = findAll(childrenOf(item), 'equal').find((node) => attrsOf(node).tolerance !== undefined);
+  const value = rule ? Number(String(attrsOf(rule).tolerance).trim().split(/\s+/)[0]) : 0;
+  return Number.isFinite(value) && value >= 0 ? value : 0;
+}
+
+/**
+ * The item body as text, with text entries replaced by {{n}} markers, plus
+ * its interactions.
+ */
+function bodyOf(body){
+  const interactions = [];
+  const walk = (nodes) => (nodes || []).map((node) => {
+    const name = tagOf(node);
+    if(name === '#text') return node['#text'];
+    if(/Interaction$/.test(name)){
+      interactions.push(node);
+      return name === 'textEntryInteraction' ? ` {{${interactions.filter((n) => tagOf(n) === name).length}}} ` : ' ';
+    }
+    if(['feedbackInline', 'feedbackBlock', 'rubricBlock', 'templateBlock', 'templateInline'].includes(name)) return ' ';
+    return ` ${walk(node[name])} `;
+  }).join('');
+  const text = clean(walk(childrenOf(body)));
+  return { text, interactions };
+}
+
+// Question (or `{ unsupported }`) from one assessmentItem document
+function parseItem(xml){
+  let doc;
+  try {
+    doc = parser.parse(xml);
+  } catch (error) {
+    return { unsupported: `Invalid XML: ${error.message}` };
+  }
+  const item = find(doc, 'assessmentItem');
+  if(!item) return { unsupported: 'Not an assessmentItem' };
+  const body = find(childrenOf(item), 'itemBody');
+  if(!body) return { unsupported: 'Item has no itemBody' };
+
+  const { text, interactions } = bodyOf(body);
+  const kinds = [...new Set(interactions.map(tagOf))];
+  const declarations = declarationsOf(item);
+  const base = {
+    question: text,
+    points: pointsOf(item),
+    explanation: explanationOf(item),
+    title: attrsOf(item).title
+  };
+
+  if(!kinds.length) return { unsupported: 'Item has no interaction' };
+  const other = kinds.find((kind) => !SUPPORTED.includes(kind));
+  if(other) return { unsupported: `${other} is not supported` };
+  if(kinds.length > 1) return { unsupported: `Items mixing ${kinds.join(' and ')} are not supported` };
+
+  const [interaction] = interactions;
+  const kind = kinds[0];
+  const declaration = (node) => declarations.get(attrsOf(node).responseIdentifier) || { correct: [], mapped: [] };
+  const promptText = () => {
+    const prompt = find(childrenOf(interaction), 'prompt');
+    const question = clean(`${text} ${prompt ? textOf(childrenOf(prompt)) : ''}`);
+    return question || clean(base.title || '');
+  };
+
+  if(kind !== 'textEntryInteraction' && interactions.length > 1){
+    return { unsupported: `Items with several ${kind}s are not supported` };
+  }
+
+  switch(kind){
+    case 'choiceInteraction': {
+      const { correct, cardinality } = declaration(interaction);
+      const choices = findAll(childrenOf(interaction), 'simpleChoice')
+        .map((node) => ({ id: attrsOf(node).identifier, text: textOf(childrenOf(node)) }));
+      const options = choices.map((c) => ({ text: c.text, isCorrect: correct.includes(c.id) }));
+      const right = options.filter((o) => o.isCorrect).map((o) => o.text);
+      if(!right.length) return { unsupported: 'Choice item without a correct response' };
+      const texts = options.map((o) => o.text.toLowerCase()).sort();
+      if(options.length === 2 && texts[0] === 'false' && texts[1] === 'true' && right.length === 1){
+        return { ...base, question: promptText(), type: 'true-false', correctAnswer: right[0].toLowerCase() === 'true' };
+      }
+      const multiple = cardinality === 'multiple' || Number(attrsOf(interaction).maxChoices ?? 1) !== 1;
+      return {
+        ...base,
+        question: promptText(),
+        type: multiple ? 'multiple-choice' : 'single-choice',
+        options,
+        correctAnswer: multiple ? right : right[0]
+      };
+    }
+    case 'textEntryInteraction': {
+      const accepted = (node) => {
+        const { correct, mapped } = declaration(node);
+        return [...new Set([...correct, ...mapped].map(clean).filter(Boolean))];
+      };
+      const { baseType } = declaration(interaction);
+      const numeric = baseType === 'float' || baseType === 'integer';
+      // Entries inside the text are blanks; a single one after it is the answer
+      if(interactions.length > 1 || (!numeric && !/\{\{1\}\}$/.test(text))){
+        return { ...base, type: 'fill-in-the-blank', blanks: interactions.map((node) => ({ accepted: accepted(node) })) };
+      }
+      const question = clean(text.replace(/\{\{1\}\}/, '')) || clean(base.title || '');
+      if(numeric){
+        const value = Number(accepted(interaction)[0]);
+        if(!Number.isFinite(value)) return { unsupported: 'Numeric item without a numeric correct response' };
+        return { ...base, question, type: 'numeric', correctAnswer: value, tolerance: toleranceOf(item) };
+      }
+      const answers = accepted(interaction);
+      if(!answers.length) return { unsupported: 'Text entry item without a correct response' };
+      return { ...base, question, type: 'short-answer', correctAnswer: answers.length === 1 ? answers[0] : answers };
+    }
+    case 'matchInteraction': {
+      const sets = findAll(childrenOf(interaction), 'simpleMatchSet')
+        .map((set) => new Map(findAll(childrenOf(set), 'simpleAssociableChoice')
+          .map((node) => [attrsOf(node).identifier, textOf(childrenOf(node))])));
+      if(sets.length !== 2) return { unsupported: 'Match item needs two match sets' };
+      const pairs = declaration(interaction).correct
+        .map((value) => value.split(/\s+/))
+        .filter(([left, right]) => sets[0].has(left) && sets[1].has(right))
+        .map(([left, right]) => ({ left: sets[0].get(left), right: sets[1].get(right) }));
+      return { ...base, question: promptText(), type: 'matching', pairs };
+    }
+    case 'orderInteraction': {
+      const choices = new Map(findAll(childrenOf(interaction), 'simpleChoice')
+        .map((node) => [attrsOf(node).identifier, textOf(childrenOf(node))]));
+      const items = declaration(interaction).correct.filter((id) => choices.has(id)).map((id) => choices.get(id));
+      return { ...base, question: promptText(), type: 'ordering', items };
+    }
+    default:
+      return { unsupported: `${kind} is not supported` };
+  }
+}
+
+// Data of a stored or deflated entry, inflating at most `budget` bytes (the
+// sizes in the zip are the uploader's word, adm-zip only caps them when > 0)
+function entryData(entry, budget){
+  const { method, size, compressedSize, encrypted } = entry.header;
+  if(encrypted) throw new Error('Encrypted entries are not supported');
+  if(size === 0 && compressedSize > 0) throw new Error('Entry size is missing');
+  if(size > budget) throw new RangeError('Package is too large');
+  const raw = entry.getCompressedData();
+  if(method === 0){
+    if(raw.length > budget) throw new RangeError('Package is too large');
+    return raw;
+  }
+  if(method !== 8) throw new Error('Unsupported compression method');
+  try {
+    return zlib.inflateRawSync(raw, { maxOutputLength: Math.max(budget, 1) });
+  } catch (error) {
+    if(error.code === 'ERR_BUFFER_TOO_LARGE') throw new RangeError('Package is too large');
+    throw error;
+  }
+}
+
+// Item documents of a content package, in manifest order
+function packageItems(buffer){
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    return { error: 'Unreadable zip package' };
+  }
+  const entries = zip.getEntries().filter((entry) => !entry.isDirectory);
+  if(entries.length > MAX_FILES) return { error: `Packages can hold at most ${MAX_FILES} files` };
+  if(entries.reduce((sum, entry) => sum + entry.header.size, 0) > MAX_BYTES) return { error: 'Package is too large' };
+
+  // Every read counts against MAX_BYTES, so repeated manifest hrefs can't add up either
+  let remaining = MAX_BYTES;
+  const read = (name) => {
+    const entry = entries.find((e) => e.entryName === name);
+    if(!entry) return null;
+    const data = entryData(entry, remaining);
+    remaining -= data.length;
+    return data.toString('utf8');
+  };
+  try {
+    const manifest = read('imsmanifest.xml');
+    if(manifest && /<!(DOCTYPE|ENTITY)/i.test(manifest)) return { error: 'DOCTYPE and ENTITY declarations are not allowed' };
+    let names;
+    if(manifest){
+      const resources = findAll(parser.parse(manifest), 'resource').map(attrsOf)
+        .filter((r) => /^imsqti_item/.test(r.type || '') && r.href);
+      names = resources.map((r) => r.href);
+    } else {
+      names = entries.map((e) => e.entryName).filter((name) => /\.xml$/i.test(name));
+    }
+    return { documents: names.map((name) => ({ name, xml: read(name) })) };
+  } catch (error) {
+    return { error: error instanceof RangeError ? 'Package is too large' : 'Unreadable zip package' };
+  }
+}
+
+/**
+ * Parses an item XML (string or Buffer) or a zip package (Buffer).
+ * Resolves to `{ questions, unsupported }` or `{ error }`.
+ */
+function parse(input){
+  const buffer = Buffer.isBuffer(input) ? input : Buffer.from(String(input), 'utf8');
+  let documents;
+  if(buffer.slice(0, 2).toString('latin1') === 'PK'){
+    const result = packageItems(buffer);
+    if(result.error) return result;
+    documents = result.documents;
+  } else {
+    documents = [{ name: 'item', xml: buffer.toString('utf8') }];
+  }
+  if(documents.some((d) => d.xml && /<!(DOCTYPE|ENTITY)/i.test(d.xml))) return { error: 'DOCTYPE and ENTITY declarations are not allowed' };
+
+  const questions = [];
+  const unsupported = [];
+  documents.forEach(({ name, xml }, index) => {
+    const item = index + 1;
+    const parsed = xml === null ? { unsupported: `${name} is missing from the package` } : parseItem(xml);
+    if(parsed.unsupported){
+      unsupported.push({ item, reason: parsed.unsupported, text: name });
+      return;
+    }
+    const { title, ...question } = parsed;
+    questions.push({ ...question, item });
+  });
+  return { questions, unsupported };
+}
+
+const xml = (text) => String(text === undefined || text === null ? '' : text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const value = (v) => `<value>${xml(v)}</value>`;
+const correctResponse = (values) => `<correctResponse>${values.map(value).join('')}</correctResponse>`;
+const textMapping = (values) => `<mapping defaultValue="0">${values.map((v) => `<mapEntry mapKey="${xml(v)}" mappedValue="1" caseSensitive="false"/>`).join('')}</mapping>`;
+const scoreIf = (condition) => '<responseProcessing><responseCondition><responseIf>'
+  + `${condition}<setOutcomeValue identifier="SCORE"><variable identifier="MAXSCORE"/></setOutcomeValue>`
+  + '</responseIf></responseCondition>'
+  + '<setOutcomeValue identifier="FEEDBACK"><baseValue baseType="identifier">EXPLANATION</baseValue></setOutcomeValue>'
+  + '</responseProcessing>';
+const matchCorrect = (id = 'RESPONSE') => `<match><variable identifier="${id}"/><correct identifier="${id}"/></match>`;
+const accepted = (id = 'RESPONSE') => `<gt><mapResponse identifier="${id}"/><baseValue baseType="float">0</baseValue></gt>`;
+
+/**
+ * Declarations, body and response processing of a question, or null when
+ * QTI 2.1 can't hold it here.
+ */
+function itemParts(q){
+  const prompt = `<prompt>${xml(q.question)}</prompt>`;
+  switch(q.type){
+    case 'single-choice':
+    case 'multiple-choice':
+    case 'true-false': {
+      const options = q.type === 'true-false'
+        ? ['True', 'False'].map((text) => ({ text, isCorrect: String(q.correctAnswer).toLowerCase() === text.toLowerCase() }))
+        : (q.options || []);
+      const multiple = q.type === 'multiple-choice';
+      const ids = options.map((o, i) => `C${i + 1}`);
+      return {
+        declarations: `<responseDeclaration identifier="RESPONSE" cardinality="${multiple ? 'multiple' : 'single'}" baseType="identifier">`
+          + `${correctResponse(ids.filter((id, i) => options[i].isCorrect))}</responseDeclaration>`,
+        body: `<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${multiple ? 0 : 1}">${prompt}`
+          + `${options.map((o, i) => `<simpleChoice identifier="${ids[i]}">${xml(o.text)}</simpleChoice>`).join('')}</choiceInteraction>`,
+        processing: scoreIf(matchCorrect())
+      };
+    }
+    case 'short-answer': {
+      const answers = (Array.isArray(q.correctAnswer) ? q.correctAnswer : [q.correctAnswer]).map(String);
+      return {
+        declarations: `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">${correctResponse(answers.slice(0, 1))}${textMapping(answers)}</responseDeclaration>`,
+        body: `<p>${xml(q.question)}</p><p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="20"/></p>`,
+        processing: scoreIf(accepted())
+      };
+    }
+    case 'numeric': {
+      const tolerance = Number(q.tolerance) || 0;
+      return {
+        declarations: `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float">${correctResponse([Number(q.correctAnswer)])}</responseDeclaration>`,
+        body: `<p>${xml(q.question)}</p><p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="10"/></p>`,
+        processing: scoreIf(`<equal toleranceMode="absolute" tolerance="${tolerance} ${tolerance}"><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></equal>`)
+      };
+    }
+    case 'fill-in-the-blank': {
+      const blanks = q.blanks || [];
+      const id = (n) => `RESPONSE_${n}`;
+      const text = xml(q.question).replace(/\{\{\s*(\d+)\s*\}\}/g, (m, n) => `<textEntryInteraction responseIdentifier="${id(n)}" expectedLength="15"/>`);
+      const conditions = blanks.map((b, i) => accepted(id(i + 1))).join('');
+      return {
+        declarations: blanks.map((b, i) => `<responseDeclaration identifier="${id(i + 1)}" cardinality="single" baseType="string">`
+          + `${correctResponse((b.accepted || []).slice(0, 1))}${textMapping(b.accepted || [])}</responseDeclaration>`).join(''),
+        body: `<p>${text}</p>`,
+        processing: scoreIf(blanks.length > 1 ? `<and>${conditions}</and>` : conditions)
+      };
+    }
+    case 'matching': {
+      const pairs = q.pairs || [];
+      return {
+        declarations: '<responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair">'
+          + `${correctResponse(pairs.map((p, i) => `L${i + 1} R${i + 1}`))}</responseDeclaration>`,
+        body: `<matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${pairs.length}">${prompt}`
+          + `<simpleMatchSet>${pairs.map((p, i) => `<simpleAssociableChoice identifier="L${i + 1}" matchMax="1">${xml(p.left)}</simpleAssociableChoice>`).join('')}</simpleMatchSet>`
+          + `<simpleMatchSet>${pairs.map((p, i) => `<simpleAssociableChoice identifier="R${i + 1}" matchMax="1">${xml(p.right)}</simpleAssociableChoice>`).join('')}</simpleMatchSet>`
+          + '</matchInteraction>',
+        processing: scoreIf(matchCorrect())
+      };
+    }
+    case 'ordering': {
+      const items = q.items || [];
+      return {
+        declarations: '<responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier">'
+          + `${correctResponse(items.map((item, i) => `I${i + 1}`))}</responseDeclaration>`,
+        body: `<orderInteraction responseIdentifier="RESPONSE" shuffle="true">${prompt}`
+          + `${items.map((item, i) => `<simpleChoice identifier="I${i + 1}">${xml(item)}</simpleChoice>`).join('')}</orderInteraction>`,
+        processing: scoreIf(matchCorrect())
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+function itemXml(q, identifier){
+  const parts = itemParts(q);
+  if(!parts) return null;
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + `<assessmentItem xmlns="${QTI_NS}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" `
+    + `xsi:schemaLocation="${QTI_NS} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd" `
+    + `identifier="${identifier}" title="${xml(clean(q.question).slice(0, 80))}" adaptive="false" timeDependent="false">`
+    + parts.declarations
+    + '<outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>'
+    + `<outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float"><defaultValue><value>${q.points || 1}</value></defaultValue></outcomeDeclaration>`
+    + '<outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>'
+    + `<itemBody>${parts.body}</itemBody>`
+    + parts.processing
+    + (q.explanation ? `<modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${xml(q.explanation)}</modalFeedback>` : '')
+    + '</assessmentItem>\n';
+}
+
+/**
+ * Content package (zip) of the questions. Resolves to `{ body, skipped }`.
+ */
+function serialize(questions, { identifier = 'quiz' } = {}){
+  const zip = new AdmZip();
+  const skipped = [];
+  const resources = [];
+  questions.forEach((q, i) => {
+    const id = `Q${i + 1}`;
+    const item = itemXml(q, id);
+    if(!item){
+      skipped.push({ index: i, type: q.type, reason: `${q.type} questions have no QTI mapping` });
+      return;
+    }
+    const href = `items/${id}.xml`;
+    zip.addFile(href, Buffer.from(item, 'utf8'));
+    resources.push(`<resource identifier="${id}" type="imsqti_item_xmlv2p1" href="${href}"><file href="${href}"/></resource>`);
+  });
+  zip.addFile('imsmanifest.xml', Buffer.from('<?xml version="1.0" encoding="UTF-8"?>\n'
+    + `<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="MANIFEST-${xml(identifier)}">`
+    + '<metadata><schema>QTIv2.1 Package</schema><schemaversion>1.0.0</schemaversion></metadata>'
+    + `<organizations/><resources>${resources.join('')}</resources></manifest>\n`, 'utf8'));
+  return { body: zip.toBuffer(), skipped };
+}
+
+module.exports = { parse, serialize };
@@ -0,0 +1,187 @@
+/**
+ * Structured question types shared by quizzes and exams
+ * - matching: `pairs` [{ left, right }]; the answer pairs every left with a
+ *   right, as `{ [left]: right }` or `[{ left, right }]`.
+ * - ordering: `items` in their correct order; the answer lists the items in
+ *   the order the learner put them.
+ * - numeric: `correctAnswer` is a number; answers within ± `tolerance` count.
+ * - fill-in-the-blank: the question text marks blanks with {{1}}, {{2}}, …;
+ *   `blanks[i].accepted` are the accepted answers of blank i + 1 (case and
+ *   spacing ignored). The answer is an array with one entry per blank.
+ * With `partialCredit`, matching, ordering and fill-in-the-blank questions
+ * earn their points in proportion to the correct parts; otherwise all parts
+ * must be right.
+ */
+const crypto = require('crypto');
+
+const TYPES = ['matching', 'ordering', 'numeric', 'fill-in-the-blank'];
+const MAX_PARTS = 50;
+const MAX_PART_LENGTH = 1000;
+
+const isStructured = (type) => TYPES.includes(type);
+
+const norm = (value) => String(value === undefined || value === null ? '' : value).trim().replace(/\s+/g, ' ').toLowerCase();
+
+const toNumber = (value) => {
+  if(typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const text = String(value === undefined || value === null ? '' : value).trim();
+  if(text === '') return null;
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Blank numbers used in the text, e.g. [1, 2]
+const blankMarkers = (text) => [...String(text || '').matchAll(/\{\{\s*(\d+)\s*\}\}/g)].map((m) => Number(m[1]));
+
+// Problems of a structured question, as messages (empty when fine)
+function problems(question){
+  const out = [];
+  switch(question.type){
+    case 'matching': {
+      const pairs = question.pairs || [];
+      if(pairs.length < 2) out.push('needs at least two pairs');
+      if(pairs.some((p) => !p || !norm(p.left) || !norm(p.right))) out.push('has a pair without both sides');
+      if(new Set(pairs.map((p) => norm(p && p.left))).size !== pairs.length) out.push('has duplicate left items');
+      break;
+    }
+    case 'ordering': {
+      const items = question.items || [];
+      if(items.length < 2) out.push('needs at least two items');
+      if(items.some((item) => !norm(item))) out.push('has an empty item');
+      if(new Set(items.map(norm)).size !== items.length) out.push('has duplicate items');
+      break;
+    }
+    case 'numeric':
+      if(toNumber(question.correctAnswer) === null) out.push('needs a numeric correct answer');
+      if(question.tolerance !== undefined && !(toNumber(question.tolerance) >= 0)) out.push('needs a tolerance of 0 or more');
+      break;
+    case 'fill-in-the-blank': {
+      const blanks = question.blanks || [];
+      const markers = blankMarkers(question.question);
+      if(!blanks.length) out.push('needs at least one blank');
+      if(blanks.some((b) => !b || !(b.accepted || []).some((a) => norm(a)))) out.push('has a blank without an accepted answer');
+      const expected = blanks.map((b, i) => i + 1);
+      if(markers.length !== blanks.length || !expected.every((n) => markers.includes(n))){
+        out.push(`text must mark each blank once as ${expected.map((n) => `{{${n}}}`).join(', ') || '{{1}}'}`);
+      }
+      break;
+    }
+    default:
+      break;
+  }
+  return out;
+}
+
+// Problems of the structured questions in a list, labelled "Question <n> …"
+const listProblems = (questions) => (Array.isArray(questions) ? questions : []).flatMap((q, i) =>
+  (q && isStructured(q.type) ? problems(q).map((problem) => `Question ${i + 1} ${problem}`) : []));
+
+// Matching answer as a Map of left -> right (normalized)
+function matchingPairs(value){
+  const pairs = new Map();
+  if(Array.isArray(value)){
+    value.forEach((p) => p && pairs.set(norm(p.left), norm(p.right)));
+  } else if(value && typeof value === 'object'){
+    Object.entries(value).forEach(([left, right]) => pairs.set(norm(left), norm(right)));
+  }
+  return pairs;
+}
+
+const clip = (value) => String(value === undefined || value === null ? '' : value).slice(0, MAX_PART_LENGTH);
+
+// A learner's answer in a storable shape (null when unusable)
+function cleanResponse(question, value){
+  switch(question.type){
+    case 'matching':
+      if(!value || typeof value !== 'object') return null;
+      return (Array.isArray(value) ? value : Object.entries(value).map(([left, right]) => ({ left, right })))
+        .filter((p) => p && typeof p === 'object')
+        .slice(0, MAX_PARTS)
+        .map((p) => ({ left: clip(p.left), right: clip(p.right) }));
+    case 'ordering':
+    case 'fill-in-the-blank':
+      return Array.isArray(value) ? value.slice(0, MAX_PARTS).map(clip) : null;
+    case 'numeric':
+      return typeof value === 'number' || typeof value === 'string' ? clip(value) : null;
+    default:
+      return null;
+  }
+}
+
+// Correct parts out of all parts of the answer
+function parts(question, value){
+  switch(question.type){
+    case 'matching': {
+      const given = matchingPairs(value);
+      const pairs = question.pairs || [];
+      return { correct: pairs.filter((p) => given.get(norm(p.left)) === norm(p.right)).length, total: pairs.length };
+    }
+    case 'ordering': {
+      const given = Array.isArray(value) ? value.map(norm) : [];
+      const items = question.items || [];
+      return { correct: items.filter((item, i) => given[i] === norm(item)).length, total: items.length };
+    }
+    case 'fill-in-the-blank': {
+      const given = Array.isArray(value) ? value : [];
+      const blanks = question.blanks || [];
+      const correct = blanks.filter((b, i) => norm(given[i]) !== '' && (b.accepted || []).map(norm).includes(norm(given[i]))).length;
+      return { correct, total: blanks.length };
+    }
+    case 'numeric': {
+      const given = toNumber(value);
+      const expected = toNumber(question.correctAnswer);
+      const tolerance = toNumber(question.tolerance) || 0;
+      const right = given !== null && expected !== null && Math.abs(given - expected) <= tolerance + 1e-9;
+      return { correct: right ? 1 : 0, total: 1 };
+    }
+    default:
+      return { correct: 0, total: 1 };
+  }
+}
+
+// Grades an answer to a structured question: `{ isCorrect, pointsEarned, needsGrading }`
+function grade(question, value){
+  const points = question.points || 0;
+  const { correct, total } = parts(question, value);
+  const isCorrect = total > 0 && correct === total;
+  let pointsEarned = isCorrect ? points : 0;
+  if(!isCorrect && question.partialCredit && question.type !== 'numeric' && total > 0){
+    pointsEarned = Math.round((points * correct / total) * 100) / 100;
+  }
+  return { isCorrect, pointsEarned, needsGrading: false };
+}
+
+// Stable scramble of a list, never the original order (when it can differ)
+function scramble(values, seed){
+  const key = (value, i) => crypto.createHash('sha1').update(`${seed}:${i}:${value}`).digest('hex');
+  const order = values.map((value, i) => ({ value, key: key(value, i) }))
+    .sort((a, b) => (a.key < b.key ? -1 : 1))
+    .map((entry) => entry.value);
+  if(order.length > 1 && order.every((value, i) => value === values[i])) order.push(order.shift());
+  return order;
+}
+
+/**
+ * What a learner needs to answer a structured question, without giving the
+ * answer away: matching gets the left items and the right items scrambled,
+ * ordering the items scrambled, fill-in-the-blank the number of blanks.
+ */
+function presentation(question){
+  const seed = String(question._id);
+  switch(question.type){
+    case 'matching': {
+      const pairs = question.pairs || [];
+      return { prompts: pairs.map((p) => p.left), choices: scramble(pairs.map((p) => p.right), seed) };
+    }
+    case 'ordering':
+      return { items: scramble([...(question.items || [])], seed) };
+    case 'fill-in-the-blank':
+      return { blankCount: (question.blanks || []).length };
+    case 'numeric':
+      return { tolerance: question.tolerance || 0 };
+    default:
+      return {};
+  }
+}
+
+module.exports = { TYPES, isStructured, problems, listProblems, cleanResponse, parts, grade, presentation };
@@ -0,0 +1,291 @@
+/**
+ * Quiz item analysis
+ * - Only completed attempts are analysed; each is scored by its percentage.
+ * - Per question: difficulty (p-value, the share of attempts that got it
+ *   right), average credit (partial credit included), discrimination index
+ *   (p of the top 27% of attempts minus p of the bottom 27%) and, for choice
+ *   and true/false questions, how often each option was picked overall and
+ *   by the top and bottom groups (distractor analysis).
+ * - A question counts for the attempts that were given it: drawn from a pool
+ *   or not, unanswered counts as wrong.
+ * - Filters: `from` / `to` (when the attempt started, "YYYY-MM-DD" or an ISO
+ *   timestamp; a date-only `to` includes that whole day, UTC) and `cohort`
+ *   (learners who enrolled in the course in that month, "YYYY-MM").
+ */
+const QuizAttempt = require('../models/QuizAttempt');
+const Enrollment = require('../models/Enrollment');
+const { questionsOf } = require('./gradingService');
+
+const GROUP_SHARE = 0.27;
+const INTERVALS = ['day', 'week', 'month'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+function median(values){
+  if(!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function standardDeviation(values){
+  if(values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(mean(values.map((v) => (v - avg) ** 2)));
+}
+
+// Month "YYYY-MM" as a [start, end) date range, or null when malformed
+function cohortRange(cohort){
+  const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(String(cohort || ''));
+  if(!match) return null;
+  const year = Number(match[1]);
+  const month = Number(match[2]) - 1;
+  return { start: new Date(Date.UTC(year, month, 1)), end: new Date(Date.UTC(year, month + 1, 1)) };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/;
+
+// Date of a `from` / `to` filter, or null when malformed; `endOfDay` moves a
+// date-only value to the last millisecond of that day
+function filterDate(value, { endOfDay = false } = {}){
+  if(typeof value !== 'string' || !(DATE_ONLY.test(value) || TIMESTAMP.test(value))) return null;
+  const date = new Date(value);
+  if(isNaN(date.getTime())) return null;
+  return endOfDay && DATE_ONLY.test(value) ? new Date(date.getTime() + DAY_MS - 1) : date;
+}
+
+// Start of the day / ISO week (Monday) / month of a date, as YYYY-MM-DD
+function periodOf(date, interval){
+  const d = new Date(date);
+  const start = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), interval === 'month' ? 1 : d.getUTCDate()));
+  if(interval === 'week') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start.toISOString().slice(0, 10);
+}
+
+// What an answer picked, for distractor analysis (null for other types)
+function picks(question, answer){
+  if(question.type === 'single-choice' || question.type === 'multiple-choice'){
+    return [...new Set(((answer && answer.selectedOptions) || []).map(String))];
+  }
+  if(question.type === 'true-false'){
+    const given = String((answer && answer.shortAnswer) ?? '').trim().toLowerCase();
+    return given ? [given] : [];
+  }
+  return null;
+}
+
+// Options of a choice or true/false question, keyed by text
+function optionsOf(question){
+  if(question.type === 'true-false'){
+    const correct = String(question.correctAnswer).trim().toLowerCase();
+    return ['true', 'false'].map((text) => ({ text, isCorrect: text === correct }));
+  }
+  return (question.options || []).map((o) => ({ text: o.text, isCorrect: Boolean(o.isCorrect) }));
+}
+
+function flagsOf(item){
+  if(!item.responses) return ['no-responses'];
+  const flags = [];
+  if(item.responses < 5) flags.push('small-sample');
+  if(item.difficulty > 0.9) flags.push('too-easy');
+  if(item.difficulty < 0.2) flags.push('too-hard');
+  if(item.discrimination !== null){
+    if(item.discrimination < 0) flags.push('negative-discrimination');
+    else if(item.discrimination < 0.2) flags.push('poor-discrimination');
+  }
+  (item.options || []).forEach((o) => {
+    if(!o.isCorrect && item.responses >= 5 && o.picked === 0) flags.push(`unused-distractor:${o.text}`);
+  });
+  return flags;
+}
+
+/**
+ * Per-question statistics of completed attempts (plain objects, with
+ * `percentage`, `answers` and optionally `questions`).
+ */
+function itemAnalysis(quiz, attempts){
+  const items = new Map();
+  const itemFor = (question) => {
+    const id = String(question._id);
+    if(!items.has(id)) items.set(id, { question, results: [], options: new Map() });
+    const item = items.get(id);
+    optionsOf(question).forEach((o) => {
+      if(!item.options.has(o.text)) item.options.set(o.text, o);
+    });
+    return item;
+  };
+
+  quiz.questions.forEach(itemFor);
+  attempts.forEach((attempt) => {
+    const answers = new Map((attempt.answers || []).map((a) => [String(a.questionId), a]));
+    questionsOf(attempt, quiz).forEach((question) => {
+      const answer = answers.get(String(question._id));
+      const points = question.points || 0;
+      itemFor(question).results.push({
+        percentage: attempt.percentage || 0,
+        correct: Boolean(answer && answer.isCorrect),
+        credit: points > 0 && answer ? Math.min(1, (answer.pointsEarned || 0) / points) : 0,
+        picks: picks(question, answer)
+      });
+    });
+  });
+
+  return [...items.values()].map(({ question, results, options }, index) => {
+    const ranked = [...results].sort((a, b) => b.percentage - a.percentage);
+    const groupSize = ranked.length >= 2 ? Math.max(1, Math.round(ranked.length * GROUP_SHARE)) : 0;
+    const upper = ranked.slice(0, groupSize);
+    const lower = groupSize ? ranked.slice(-groupSize) : [];
+    const pOf = (group) => mean(group.map((r) => (r.correct ? 1 : 0)));
+
+    const item = {
+      questionIndex: index,
+      questionId: question._id,
+      question: question.question,
+      type: question.type,
+      points: question.points,
+      fromBank: Boolean(question.bankId),
+      topic: question.topic,
+      difficultyLevel: question.difficulty,
+      responses: results.length,
+      correctAttempts: results.filter((r) => r.correct).length,
+      partiallyCorrectAttempts: results.filter((r) => !r.correct && r.credit > 0).length,
+      difficulty: round2(pOf(results)),
+      averageCredit: round2(mean(results.map((r) => r.credit))),
+      discrimination: groupSize ? round2(pOf(upper) - pOf(lower)) : null
+    };
+
+    const withPicks = results.filter((r) => r.picks);
+    if(withPicks.length || options.size){
+      const share = (group, text) => (group.length ? round2(group.filter((r) => r.picks && r.picks.includes(text)).length / group.length) : 0);
+      // Picks matching no current option (e.g. edited since)
+      withPicks.forEach((r) => r.picks.forEach((text) => {
+        if(!options.has(text)) options.set(text, { text, isCorrect: false, retired: true });
+      }));
+      item.options = [...options.values()].map((o) => ({
+        text: o.text,
+        isCorrect: o.isCorrect,
+        ...(o.retired ? { retired: true } : {}),
+        picked: withPicks.filter((r) => r.picks.includes(o.text)).length,
+        share: share(withPicks, o.text),
+        upperShare: share(upper, o.text),
+        lowerShare: share(lower, o.text)
+      }));
+      item.omitted = withPicks.filter((r) => !r.picks.length).length;
+    }
+
+    item.flags = flagsOf(item);
+    return item;
+  });
+}
+
+// Histogram of attempt percentages in 10-point buckets (100% in the last)
+function distribution(percentages){
+  const buckets = Array.from({ length: 10 }, (_, i) => ({ from: i * 10, to: i * 10 + 10, count: 0 }));
+  percentages.forEach((p) => {
+    buckets[Math.min(9, Math.max(0, Math.floor(p / 10)))].count += 1;
+  });
+  return buckets;
+}
+
+// Attempts per period: count, average percentage and pass rate
+function trends(attempts, interval){
+  const periods = new Map();
+  attempts.forEach((attempt) => {
+    const key = periodOf(attempt.timeCompleted || attempt.timeStarted, interval);
+    if(!periods.has(key)) periods.set(key, []);
+    periods.get(key).push(attempt);
+  });
+  return [...periods.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([period, list]) => ({
+      period,
+      attempts: list.length,
+      averagePercentage: round2(mean(list.map((a) => a.percentage || 0))),
+      passRate: round2(list.filter((a) => a.isPassed).length / list.length * 100)
+    }));
+}
+
+/**
+ * The quiz's analytics report. Resolves to the report or `{ error, status }`
+ * for bad filters.
+ */
+async function report(quiz, { from, to, cohort, interval = 'week' } = {}){
+  const filter = { quizId: quiz._id };
+  const filters = { interval };
+
+  if(!INTERVALS.includes(interval)) return { error: `interval must be one of ${INTERVALS.join(', ')}`, status: 400 };
+  if(from || to){
+    const range = {};
+    if(from){
+      range.$gte = filterDate(from);
+      if(!range.$gte) return { error: 'from must be a date (YYYY-MM-DD) or an ISO timestamp', status: 400 };
+      filters.from = range.$gte;
+    }
+    if(to){
+      range.$lte = filterDate(to, { endOfDay: true });
+      if(!range.$lte) return { error: 'to must be a date (YYYY-MM-DD) or an ISO timestamp', status: 400 };
+      filters.to = range.$lte;
+    }
+    if(range.$gte && range.$lte && range.$gte > range.$lte) return { error: 'from must not be after to', status: 400 };
+    filter.timeStarted = range;
+  }
+  if(cohort){
+    const range = cohortRange(cohort);
+    if(!range) return { error: 'cohort must be a month as YYYY-MM', status: 400 };
+    const users = await Enrollment.distinct('user', {
+      course: quiz.courseId,
+      enrollmentDate: { $gte: range.start, $lt: range.end }
+    });
+    filter.userId = { $in: users.filter(Boolean) };
+    filters.cohort = cohort;
+  }
+
+  const attempts = await QuizAttempt.find(filter)
+    .select('userId status score totalPoints percentage isPassed answers questions timeStarted timeCompleted timeSpent')
+    .sort({ timeStarted: 1 })
+    .lean();
+
+  const byStatus = (status) => attempts.filter((a) => a.status === status).length;
+  const completed = attempts.filter((a) => a.status === 'completed');
+  const percentages = completed.map((a) => a.percentage || 0);
+  const passed = completed.filter((a) => a.isPassed).length;
+  const times = completed.map((a) => a.timeSpent).filter((t) => t > 0);
+
+  return {
+    filters,
+    overview: {
+      totalAttempts: attempts.length,
+      learners: new Set(attempts.map((a) => String(a.userId))).size,
+      completedAttempts: completed.length,
+      pendingReviewAttempts: byStatus('pending-review'),
+      inProgressAttempts: byStatus('in-progress'),
+      expiredAttempts: byStatus('expired'),
+      completionRate: attempts.length ? round2(completed.length / attempts.length * 100) : 0
+    },
+    scores: {
+      averagePercentage: round2(mean(percentages)),
+      medianPercentage: round2(median(percentages)),
+      standardDeviation: round2(standardDeviation(percentages)),
+      highestPercentage: percentages.length ? Math.max(...percentages) : 0,
+      lowestPercentage: percentages.length ? Math.min(...percentages) : 0,
+      averageScore: round2(mean(completed.map((a) => a.score || 0))),
+      passingScore: quiz.passingScore,
+      passRate: completed.length ? round2(passed / completed.length * 100) : 0,
+      passingAttempts: passed,
+      failingAttempts: completed.length - passed
+    },
+    timing: {
+      averageTime: round2(mean(times)),
+      fastestTime: times.length ? Math.min(...times) : 0,
+      slowestTime: times.length ? Math.max(...times) : 0
+    },
+    distribution: distribution(percentages),
+    trends: trends(completed, interval),
+    questionStats: itemAnalysis(quiz, completed)
+  };
+}
+
+module.exports = { INTERVALS, itemAnalysis, distribution, trends, report };
@@ -0,0 +1,376 @@
+/**
+ * Quiz attempt lifecycle
+ * - Starting an attempt fixes its `expiresAt`: `Quiz.duration` minutes,
+ *   cut short by `availableUntil`.
+ * - Answers may be saved while the attempt runs. A submit that arrives after
+ *   the deadline plus QUIZ_SUBMIT_GRACE_SECONDS is not accepted: the attempt
+ *   is graded with the answers saved in time (`autoSubmitted`).
+ * - A background sweeper does the same for attempts nobody submits; an
+ *   attempt without any saved answer ends as "expired".
+ * - Saving and finishing are guarded by the attempt still being
+ *   "in-progress" (and by its version): a submit racing the sweeper grades
+ *   the attempt once, and a write that loses a race is redone on the stored
+ *   attempt if it is still running.
+ * - Each attempt stores its own copy of the questions (`QuizAttempt.questions`):
+ *   the quiz's fixed questions plus `count` random ones per pool, shuffled when
+ *   the quiz asks for it. Grading uses that copy, never the current quiz.
+ * - Choice questions are scored with the quiz's scoring policy as it was when
+ *   the attempt started (`QuizAttempt.scoring`), see gradeChoice.
+ */
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const QuizAttempt = require('../models/QuizAttempt');
+const Quiz = require('../models/Quiz');
+const QuestionBank = require('../models/QuestionBank');
+const { matchesShortAnswer, questionsOf, scoreQuizAttempt } = require('./gradingService');
+const questionTypes = require('./questionTypes');
+const { checkCompletion } = require('./certificateService');
+
+const GRACE_SECONDS = Number(process.env.QUIZ_SUBMIT_GRACE_SECONDS) || 30;
+const SWEEP_INTERVAL_SECONDS = process.env.QUIZ_SWEEP_INTERVAL_SECONDS === undefined
+  ? 60
+  : Number(process.env.QUIZ_SWEEP_INTERVAL_SECONDS);
+const SWEEP_BATCH_SIZE = 100;
+
+// When the attempt must be submitted (attempts started before deadlines existed derive it)
+function deadlineOf(attempt, quiz){
+  if(attempt.expiresAt) return attempt.expiresAt;
+  let deadline = new Date(new Date(attempt.timeStarted).getTime() + quiz.duration * 60 * 1000);
+  if(quiz.availableUntil && quiz.availableUntil < deadline) deadline = new Date(quiz.availableUntil);
+  return deadline;
+}
+
+const remainingSeconds = (attempt, quiz, now = new Date()) =>
+  Math.max(0, Math.round((deadlineOf(attempt, quiz) - now) / 1000));
+
+const isOverdue = (attempt, quiz, now = new Date()) =>
+  now.getTime() > deadlineOf(attempt, quiz).getTime() + GRACE_SECONDS * 1000;
+
+// New attempt's deadline
+function expiresAtFor(quiz, startedAt = new Date()){
+  return deadlineOf({ timeStarted: startedAt }, quiz);
+}
+
+// Fisher-Yates on a copy
+function shuffle(items){
+  const out = [...items];
+  for(let i = out.length - 1; i > 0; i -= 1){
+    const j = crypto.randomInt(i + 1);
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// Questions per attempt: the fixed ones plus what the pools draw
+const questionCount = (quiz) => (quiz.questions || []).length +
+  (quiz.pools || []).reduce((sum, pool) => sum + (Number(pool.count) || 0), 0);
+
+const matchesPool = (pool, question) =>
+  (!pool.topic || (question.topic || '').toLowerCase() === pool.topic.toLowerCase()) &&
+  (!pool.difficulty || question.difficulty === pool.difficulty);
+
+// The quiz's pool banks (only banks of the quiz's course count), by id
+async function poolBanks(quiz){
+  const ids = (quiz.pools || []).map((pool) => pool && pool.bankId).filter((id) => mongoose.Types.ObjectId.isValid(id));
+  if(!ids.length) return new Map();
+  const banks = await QuestionBank.find({ _id: { $in: ids }, courseId: quiz.courseId });
+  return new Map(banks.map((bank) => [String(bank._id), bank]));
+}
+
+/**
+ * Problems with the quiz's pools: unknown banks and, with `counts`, pools
+ * whose bank has fewer matching questions than they draw.
+ */
+async function poolProblems(quiz, { counts = true } = {}){
+  const banks = await poolBanks(quiz);
+  const problems = [];
+  (quiz.pools || []).forEach((pool, index) => {
+    const bank = banks.get(String(pool.bankId));
+    if(!bank){
+      problems.push(`Pool ${index + 1}: question bank not found in this course`);
+      return;
+    }
+    const available = bank.questions.filter((q) => matchesPool(pool, q)).length;
+    if(counts && available < pool.count){
+      problems.push(`Pool ${index + 1}: "${bank.title}" has ${available} matching question(s), the pool draws ${pool.count}`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * The question set of a new attempt: fixed questions, then a random draw per
+ * pool (a question is drawn at most once), shuffled as the quiz asks.
+ */
+async function drawQuestions(quiz){
+  const plain = (q) => (q.toObject ? q.toObject() : { ...q });
+  const questions = quiz.questions.map(plain);
+  const used = new Set(questions.map((q) => String(q._id)));
+  const banks = await poolBanks(quiz);
+
+  (quiz.pools || []).forEach((pool) => {
+    const bank = banks.get(String(pool.bankId));
+    if(!bank) return;
+    const candidates = bank.questions.filter((q) => !used.has(String(q._id)) && matchesPool(pool, q));
+    shuffle(candidates).slice(0, pool.count).forEach((q) => {
+      used.add(String(q._id));
+      questions.push({ ...plain(q), bankId: bank._id });
+    });
+  });
+
+  const ordered = quiz.shuffleQuestions ? shuffle(questions) : questions;
+  if(!quiz.shuffleOptions) return ordered;
+  // True/false options keep their natural order
+  return ordered.map((q) => (q.type === 'true-false' || !q.options || q.options.length < 2
+    ? q
+    : { ...q, options: shuffle(q.options) }));
+}
+
+/**
+ * An attempt as its learner may see it: questions in the attempt's order
+ * without correct answers or rubrics (explanations once it is over).
+ * Structured questions carry what is needed to answer them instead.
+ */
+function learnerView(attempt){
+  const view = attempt.toObject ? attempt.toObject() : { ...attempt };
+  const running = view.status === 'in-progress';
+  view.questions = (view.questions || []).map((full) => questionView(full, { explanation: !running }));
+  return view;
+}
+
+// A question without its answer key (and, unless asked, its explanation)
+function questionView(full, { explanation = false } = {}){
+  const { correctAnswer, rubric, explanation: text, options, pairs, items, blanks, tolerance, ...question } = full;
+  return {
+    ...question,
+    options: (options || []).map(({ isCorrect, ...option }) => option),
+    ...questionTypes.presentation(full),
+    ...(explanation ? { explanation: text } : {})
+  };
+}
+
+// A (lean) quiz as public quiz pages may show it: no answer key
+const publicQuiz = (quiz) => ({ ...quiz, questions: (quiz.questions || []).map((q) => questionView(q)) });
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Grades a choice answer under a scoring policy. An exact match always earns
+ * the question's points; otherwise:
+ * - all-or-nothing:    0
+ * - partial-credit:    multiple-choice earns points × correct picks / the larger
+ *                      of the correct options and the options picked
+ * - right-minus-wrong: multiple-choice earns points × (correct − wrong picks) /
+ *                      correct options, never below 0
+ * - negative-marking:  a wrong single-choice answer costs `penalty` × points
+ *                      (blank answers cost nothing)
+ * Single-choice questions are all-or-nothing apart from negative marking.
+ */
+function gradeChoice(question, selectedOptions, scoring = {}){
+  const points = question.points || 0;
+  const selected = [...new Set((selectedOptions || []).map(String))];
+  const correctOptions = question.options.filter((opt) => opt.isCorrect).map((opt) => opt.text);
+  const hits = selected.filter((opt) => correctOptions.includes(opt)).length;
+  const misses = selected.length - hits;
+
+  if(selected.length && misses === 0 && hits === correctOptions.length) return { isCorrect: true, pointsEarned: points };
+
+  const policy = scoring.policy || 'all-or-nothing';
+  let pointsEarned = 0;
+  if(question.type === 'multiple-choice' && correctOptions.length){
+    if(policy === 'partial-credit') pointsEarned = points * hits / Math.max(correctOptions.length, selected.length);
+    if(policy === 'right-minus-wrong') pointsEarned = Math.max(0, points * (hits - misses) / correctOptions.length);
+  }
+  if(policy === 'negative-marking' && question.type === 'single-choice' && selected.length){
+    pointsEarned = -points * (scoring.penalty ?? 0);
+  }
+  return { isCorrect: false, pointsEarned: round2(pointsEarned) };
+}
+
+// Grades one raw answer against its question (`scoring` from the attempt)
+function gradeAnswer(question, answer, scoring){
+  let isCorrect = false;
+  let pointsEarned = 0;
+  let needsGrading = false;
+
+  if(question.type === 'multiple-choice' || question.type === 'single-choice'){
+    ({ isCorrect, pointsEarned } = gradeChoice(question, answer.selectedOptions, scoring));
+  } else if(question.type === 'true-false'){
+    isCorrect = String(answer.shortAnswer ?? '').toLowerCase().trim() === String(question.correctAnswer).toLowerCase().trim();
+    pointsEarned = isCorrect ? question.points : 0;
+  } else if(question.type === 'short-answer'){
+    isCorrect = matchesShortAnswer(question, answer.shortAnswer);
+    pointsEarned = isCorrect ? question.points : 0;
+    // Non-matching answers are decided by the instructor (grading queue)
+    needsGrading = !isCorrect && Boolean(String(answer.shortAnswer ?? '').trim());
+    if(needsGrading) isCorrect = undefined;
+  } else if(questionTypes.isStructured(question.type)){
+    // Numeric answers may come as `shortAnswer` too
+    return questionTypes.grade(question, answer.response ?? answer.shortAnswer);
+  }
+
+  return { isCorrect, pointsEarned, needsGrading };
+}
+
+// Raw answers to the given questions, keyed by question id (later ones win)
+function answersByQuestion(questions, answers){
+  const byQuestion = new Map();
+  (Array.isArray(answers) ? answers : []).forEach((answer) => {
+    const question = answer && answer.questionId && questions.id(answer.questionId);
+    if(!question) return;
+    const response = questionTypes.isStructured(question.type) ? questionTypes.cleanResponse(question, answer.response) : null;
+    byQuestion.set(String(answer.questionId), {
+      questionId: answer.questionId,
+      selectedOptions: Array.isArray(answer.selectedOptions) ? answer.selectedOptions.map(String) : [],
+      shortAnswer: answer.shortAnswer === undefined || answer.shortAnswer === null ? undefined : String(answer.shortAnswer),
+      response: response === null ? undefined : response,
+      timeTaken: Number(answer.timeTaken) || 0
+    });
+  });
+  return byQuestion;
+}
+
+// Saved answers overlaid with the new ones
+function mergeAnswers(attempt, quiz, answers){
+  const questions = questionsOf(attempt, quiz);
+  const saved = (attempt.answers || []).map((a) => (a.toObject ? a.toObject() : a));
+  const merged = answersByQuestion(questions, saved);
+  answersByQuestion(questions, answers).forEach((answer, id) => merged.set(id, answer));
+  return [...merged.values()];
+}
+
+const RACE_RETRIES = 3;
+
+// A guarded save matched nothing: finished meanwhile, or saved by another request
+const lostRace = (err) => err.name === 'DocumentNotFoundError' || err.name === 'VersionError';
+
+/**
+ * Stores answers of a running attempt without grading them.
+ * Resolves to the attempt, or null when it is no longer running.
+ */
+async function saveAnswers(attempt, quiz, answers, retries = RACE_RETRIES){
+  attempt.answers = mergeAnswers(attempt, quiz, answers);
+  attempt.$where = { status: 'in-progress' };
+  try {
+    return await attempt.save();
+  } catch(err){
+    if(!lostRace(err)) throw err;
+    const current = await QuizAttempt.findById(attempt._id);
+    if(!current || current.status !== 'in-progress' || retries <= 0) return null;
+    return saveAnswers(current, quiz, answers, retries - 1);
+  }
+}
+
+/**
+ * Grades and closes an in-progress attempt. `answers` (may be empty) are
+ * merged over the saved ones; `autoSubmitted` closes it at its deadline.
+ * Resolves to the finished attempt; when another request finished it first,
+ * to that stored result.
+ */
+async function finishAttempt(attempt, quiz, { answers = [], autoSubmitted = false, retries = RACE_RETRIES } = {}){
+  const merged = mergeAnswers(attempt, quiz, answers);
+  const questions = questionsOf(attempt, quiz);
+
+  attempt.answers = merged.map((answer) => ({ ...answer, ...gradeAnswer(questions.id(answer.questionId), answer, attempt.scoring) }));
+  attempt.timeCompleted = autoSubmitted ? deadlineOf(attempt, quiz) : new Date();
+  attempt.autoSubmitted = autoSubmitted;
+  // Sets score, totalPoints, percentage, isPassed and the status
+  // ("pending-review" while answers await manual grading)
+  scoreQuizAttempt(attempt, quiz);
+  if(autoSubmitted && !merged.length) attempt.status = 'expired';
+
+  attempt.$where = { status: 'in-progress' };
+  try {
+    await attempt.save();
+  } catch(err){
+    if(!lostRace(err)) throw err;
+    const current = await QuizAttempt.findById(attempt._id);
+    if(!current || current.status !== 'in-progress' || retries <= 0) return current;
+    return finishAttempt(current, quiz, { answers, autoSubmitted, retries: retries - 1 });
+  }
+
+  // A passed quiz may complete the course's certificate rules
+  if(attempt.isPassed) await checkCompletion(attempt.userId, quiz.courseId);
+  return attempt;
+}
+
+// Auto-submits the attempt when its deadline (plus grace) has passed
+async function closeIfOverdue(attempt, quiz, now = new Date()){
+  if(attempt.status !== 'in-progress' || !isOverdue(attempt, quiz, now)) return null;
+  return finishAttempt(attempt, quiz, { autoSubmitted: true });
+}
+
+/**
+ * Auto-submits abandoned attempts past their deadline. Resolves to the
+ * number of attempts closed.
+ */
+async function sweepExpired(now = new Date()){
+  const cutoff = new Date(now.getTime() - GRACE_SECONDS * 1000);
+  const attempts = await QuizAttempt.find({
+    status: 'in-progress',
+    $or: [
+      { expiresAt: { $lt: cutoff } },
+      // Started before deadlines were stored: the quiz decides
+      { expiresAt: { $exists: false }, timeStarted: { $lt: cutoff } }
+    ]
+  })
+    .sort({ timeStarted: 1 })
+    .limit(SWEEP_BATCH_SIZE);
+  if(!attempts.length) return 0;
+
+  const quizzes = await Quiz.find({ _id: { $in: [...new Set(attempts.map((a) => String(a.quizId)))] } });
+  const quizById = new Map(quizzes.map((q) => [String(q._id), q]));
+
+  let closed = 0;
+  for(const attempt of attempts){
+    const quiz = quizById.get(String(attempt.quizId));
+    if(!quiz){
+      // Quiz deleted: nothing to grade against
+      await QuizAttempt.updateOne({ _id: attempt._id, status: 'in-progress' }, { $set: { status: 'abandoned' } });
+      closed += 1;
+    } else if(await closeIfOverdue(attempt, quiz, now)){
+      closed += 1;
+    }
+  }
+  return closed;
+}
+
+let sweeper = null;
+
+// Runs the sweeper every QUIZ_SWEEP_INTERVAL_SECONDS (0 disables it)
+function startSweeper(){
+  if(sweeper || !(SWEEP_INTERVAL_SECONDS > 0)) return sweeper;
+  sweeper = setInterval(() => {
+    sweepExpired()
+      .then((closed) => closed && console.log(`⏱️  Auto-submitted ${closed} expired quiz attempt(s)`))
+      .catch((err) => console.error('Quiz sweeper error:', err.message));
+  }, SWEEP_INTERVAL_SECONDS * 1000);
+  sweeper.unref();
+  return sweeper;
+}
+
+function stopSweeper(){
+  if(sweeper) clearInterval(sweeper);
+  sweeper = null;
+}
+
+module.exports = {
+  GRACE_SECONDS,
+  deadlineOf,
+  expiresAtFor,
+  remainingSeconds,
+  isOverdue,
+  questionCount,
+  poolProblems,
+  drawQuestions,
+  learnerView,
+  publicQuiz,
+  gradeChoice,
+  gradeAnswer,
+  saveAnswers,
+  finishAttempt,
+  closeIfOverdue,
+  sweepExpired,
+  startSweeper,
+  stopSweeper
+};
@@ -0,0 +1,80 @@
+/**
+ * Quiz import / export in GIFT, Aiken and QTI 2.1 (giftFormat.js,
+ * aikenFormat.js, qtiFormat.js).
+ * - Imports resolve to the questions that fit `Quiz.questions` plus the items
+ *   that don't, each with a reason; nothing is saved here.
+ * - Exports resolve to the file body plus the questions the format can't
+ *   hold. Points and explanations survive a round trip in every format
+ *   (in Aiken through its extension lines, so not with `strict`).
+ */
+const gift = require('./giftFormat');
+const aiken = require('./aikenFormat');
+const qti = require('./qtiFormat');
+const questionTypes = require('./questionTypes');
+
+const FORMATS = {
+  gift: { module: gift, contentType: 'text/plain; charset=utf-8', extension: 'gift.txt' },
+  aiken: { module: aiken, contentType: 'text/plain; charset=utf-8', extension: 'aiken.txt' },
+  qti: { module: qti, contentType: 'application/zip', extension: 'qti.zip' }
+};
+const ENCODINGS = ['utf8', 'base64'];
+const MAX_CONTENT_LENGTH = 20 * 1024 * 1024;
+
+const present = (value) => String(value === undefined || value === null ? '' : value).trim() !== '';
+
+// Why an imported question can't be saved (null when it can)
+function problemOf(q){
+  if(!present(q.question)) return 'Question text is missing';
+  if(!(q.points >= 1)) return 'Points must be at least 1';
+  if(q.type === 'single-choice' || q.type === 'multiple-choice'){
+    const options = q.options || [];
+    const correct = options.filter((o) => o.isCorrect).length;
+    if(options.length < 2) return 'Choice questions need at least two options';
+    if(options.some((o) => !present(o.text))) return 'Choice question has an empty option';
+    if(q.type === 'single-choice' && correct !== 1) return 'Single-choice questions need exactly one correct option';
+  }
+  if(q.type === 'short-answer' && ![].concat(q.correctAnswer).some(present)) return 'Short answer question without an answer';
+  const problems = questionTypes.problems(q);
+  return problems.length ? `${q.type} question ${problems.join('; ')}` : null;
+}
+
+/**
+ * Reads an import. `content` is the file as text, or base64 with
+ * `encoding: 'base64'` (needed for QTI zip packages). Resolves to
+ * `{ questions, unsupported }` or `{ error, status }`.
+ */
+function read(format, content, { encoding = 'utf8' } = {}){
+  const entry = FORMATS[format];
+  if(!entry) return { error: `format must be one of ${Object.keys(FORMATS).join(', ')}`, status: 400 };
+  if(!ENCODINGS.includes(encoding)) return { error: `encoding must be one of ${ENCODINGS.join(', ')}`, status: 400 };
+  if(typeof content !== 'string' || !content.trim()) return { error: 'content is required', status: 400 };
+
+  const buffer = Buffer.from(content, encoding);
+  if(buffer.length > MAX_CONTENT_LENGTH) return { error: 'content is too large', status: 400 };
+
+  const parsed = entry.module.parse(format === 'qti' ? buffer : buffer.toString('utf8'));
+  if(parsed.error) return { error: parsed.error, status: 400 };
+
+  const questions = [];
+  const unsupported = [...parsed.unsupported];
+  parsed.questions.forEach((q) => {
+    const problem = problemOf(q);
+    if(problem) unsupported.push({ item: q.item, reason: problem, text: String(q.question || '').slice(0, 100) });
+    else questions.push(q);
+  });
+  unsupported.sort((a, b) => a.item - b.item);
+  return { questions, unsupported };
+}
+
+/**
+ * Writes questions in a format (`strict` drops the Aiken extension lines).
+ * Resolves to `{ body, skipped, contentType, extension }` or `{ error, status }`.
+ */
+function write(format, questions, options = {}){
+  const entry = FORMATS[format];
+  if(!entry) return { error: `format must be one of ${Object.keys(FORMATS).join(', ')}`, status: 400 };
+  const { body, skipped } = entry.module.serialize(questions, options);
+  return { body, skipped, contentType: entry.contentType, extension: entry.extension };
+}
+
+module.exports = { FORMATS, read, write };
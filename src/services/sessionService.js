@@ -0,0 +1,88 @@
+/**
+ * Session service
+ * - A session is created at login and follows its refresh-token family
+ *   through every rotation (see tokenService).
+ * - Access tokens carry the session id (`sid`); the `auth` middleware rejects
+ *   them as soon as the session is revoked.
+ */
+const Session = require('../models/Session');
+
+// Refresh `lastSeenAt` at most this often to avoid a write per request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const BROWSERS = [
+  [/Edg\//, 'Edge'],
+  [/OPR\/|Opera/, 'Opera'],
+  [/SamsungBrowser/, 'Samsung Internet'],
+  [/Chrome\//, 'Chrome'],
+  [/Firefox\//, 'Firefox'],
+  [/Safari\//, 'Safari'],
+  [/okhttp|Dart|Expo/i, 'App'],
+];
+const SYSTEMS = [
+  [/Android/, 'Android'],
+  [/iPhone|iPad|iOS/, 'iOS'],
+  [/Windows/, 'Windows'],
+  [/Mac OS X|Macintosh/, 'macOS'],
+  [/CrOS/, 'ChromeOS'],
+  [/Linux/, 'Linux'],
+];
+
+// Short human label such as "Chrome on Windows"
+function describeDevice(userAgent){
+  if(!userAgent) return 'Unknown device';
+  const pick = (list) => (list.find(([re]) => re.test(userAgent)) || [])[1];
+  const browser = pick(BROWSERS);
+  const system = pick(SYSTEMS);
+  if(browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+}
+
+const clientInfo = (req) => {
+  const userAgent = req ? req.headers['user-agent'] : undefined;
+  return {
+    userAgent,
+    device: describeDevice(userAgent),
+    ipAddress: req ? (req.ip || req.headers['x-forwarded-for']) : undefined
+  };
+};
+
+// Creates the session of a new family, or records activity on an existing one
+async function recordIssue(user, family, req, expiresAt){
+  const { userAgent, device, ipAddress } = clientInfo(req);
+  return Session.findOneAndUpdate(
+    { family },
+    {
+      $set: { lastSeenAt: new Date(), expiresAt, ipAddress },
+      $setOnInsert: { user: user._id, userAgent, device }
+    },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Used by the `auth` middleware on every request that carries a `sid`.
+ * Resolves to false for unknown, revoked or foreign sessions.
+ */
+async function isActive(sid, userId){
+  const session = await Session.findById(sid).select('user revokedAt lastSeenAt').lean();
+  if(!session || session.revokedAt || String(session.user) !== String(userId)) return false;
+  if(Date.now() - new Date(session.lastSeenAt).getTime() > TOUCH_INTERVAL_MS){
+    Session.updateOne({ _id: sid }, { $set: { lastSeenAt: new Date() } })
+      .catch((err) => console.error('Session touch error:', err.message));
+  }
+  return true;
+}
+
+function listActive(userId){
+  return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastSeenAt: -1 });
+}
+
+async function revokeWhere(filter, reason){
+  await Session.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+module.exports = { describeDevice, recordIssue, isActive, listActive, revokeWhere };
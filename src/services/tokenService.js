@@ -0,0 +1,171 @@
+/**
+ * Token service
+ * - Access tokens are short-lived JWTs checked by the `auth` middleware.
+ * - Refresh tokens are opaque random strings; only their hash is persisted.
+ * - Each refresh rotates the token. Presenting an already-rotated token is
+ *   treated as theft and revokes the whole token family.
+ * - A token family is one login session (models/Session.js); access tokens
+ *   carry its id as `sid` so revoking the session locks them out as well.
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const sessions = require('./sessionService');
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Parses values such as "15m", "7d" or a plain number of seconds
+function parseDuration(value, fallbackMs){
+  if(!value) return fallbackMs;
+  const match = String(value).trim().match(/^(\d+)\s*([smhd])?$/);
+  if(!match) return fallbackMs;
+  return Number(match[1]) * UNITS[match[2] || 's'];
+}
+
+const REFRESH_TTL_MS = parseDuration(process.env.JWT_REFRESH_EXPIRES_IN, UNITS.d * 7);
+
+const hashToken = (raw) => crypto.createHash('sha256').update(raw).digest('hex');
+
+const clientInfo = (req) => ({
+  createdByIp: req ? (req.ip || req.headers['x-forwarded-for']) : undefined,
+  userAgent: req ? req.headers['user-agent'] : undefined
+});
+
+function signAccessToken(user, sessionId){
+  const payload = { id: user._id, role: user.role };
+  if(sessionId) payload.sid = String(sessionId);
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRES_IN || '15m' });
+}
+
+/**
+ * Signed, expiring tokens for one-off account actions (email verification,
+ * password reset). The `jti` is stored on the user by the caller and cleared
+ * once used, which makes each token single-use.
+ */
+const actionSecret = (purpose) => `${process.env.JWT_SECRET}:${purpose}`;
+
+function signActionToken(user, purpose, expiresIn){
+  const jti = crypto.randomUUID();
+  const token = jwt.sign({ id: user._id, email: user.email, purpose }, actionSecret(purpose), { expiresIn, jwtid: jti });
+  return { token, jti: hashToken(jti) };
+}
+
+// Returns `{ id, email, jti }` (jti hashed like the stored value) or null when invalid/expired.
+// The email is the address the link was sent to; callers match it against the account.
+function verifyActionToken(token, purpose){
+  try {
+    const payload = jwt.verify(token, actionSecret(purpose));
+    if(payload.purpose !== purpose || !payload.jti || !payload.email) return null;
+    return { id: payload.id, email: payload.email, jti: hashToken(payload.jti) };
+  } catch(err){
+    return null;
+  }
+}
+
+async function issueRefreshToken(user, req, family){
+  const raw = crypto.randomBytes(48).toString('base64url');
+  const doc = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(raw),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TTL_MS),
+    ...clientInfo(req)
+  });
+  return { token: raw, doc };
+}
+
+// Issues the access/refresh pair returned by signup, login and refresh
+async function issueTokenPair(user, req, family){
+  const { token: refreshToken, doc } = await issueRefreshToken(user, req, family);
+  const session = await sessions.recordIssue(user, doc.family, req, doc.expiresAt);
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken,
+    refreshTokenExpiresAt: doc.expiresAt,
+    sessionId: session._id
+  };
+}
+
+async function revokeFamily(family, reason){
+  await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  await sessions.revokeWhere({ family }, reason);
+}
+
+async function revokeAllForUser(userId, reason = 'logout-all'){
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  await sessions.revokeWhere({ user: userId }, reason);
+}
+
+// Ends one session of a user (device list / admin); false when not found
+async function revokeSession(userId, sessionId, reason = 'revoked'){
+  const session = await Session.findOne({ _id: sessionId, user: userId, revokedAt: null });
+  if(!session) return false;
+  await revokeFamily(session.family, reason);
+  return true;
+}
+
+/**
+ * Exchanges a refresh token for a new pair.
+ * Resolves to `{ user, tokens }` or throws an error carrying `status` 401.
+ */
+async function rotateRefreshToken(raw, req, loadUser){
+  const fail = (msg) => Object.assign(new Error(msg), { status: 401 });
+  if(!raw) throw fail('Refresh token required');
+
+  const tokenHash = hashToken(raw);
+  // Claim the token atomically so two concurrent refreshes cannot both win
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated' } },
+    { new: true }
+  );
+
+  if(!current){
+    const known = await RefreshToken.findOne({ tokenHash });
+    if(known && known.revokedAt && known.revokedReason === 'rotated'){
+      await revokeFamily(known.family, 'reuse-detected');
+      throw fail('Refresh token reuse detected');
+    }
+    throw fail('Invalid refresh token');
+  }
+
+  const user = await loadUser(current.user);
+  if(!user){
+    await revokeFamily(current.family, 'logout');
+    throw fail('Invalid refresh token');
+  }
+
+  const tokens = await issueTokenPair(user, req, current.family);
+  current.replacedBy = hashToken(tokens.refreshToken);
+  await current.save();
+
+  return { user, tokens };
+}
+
+async function revokeRefreshToken(raw, reason = 'logout'){
+  if(!raw) return false;
+  const doc = await RefreshToken.findOne({ tokenHash: hashToken(raw) });
+  if(!doc) return false;
+  await revokeFamily(doc.family, reason);
+  return true;
+}
+
+module.exports = {
+  parseDuration,
+  hashToken,
+  signAccessToken,
+  signActionToken,
+  verifyActionToken,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllForUser,
+  revokeSession
+};
@@ -0,0 +1,113 @@
+/**
+ * Two-factor authentication service
+ * - TOTP secrets and hashed recovery codes live on the User document.
+ * - A password login for a 2FA account only yields a short-lived challenge
+ *   token; the real JWT pair is issued once the second factor is checked.
+ * - TWO_FACTOR_REQUIRED_ROLES (default "admin") lists roles that must enrol.
+ */
+const User = require('../models/User');
+const totp = require('../utils/totp');
+const tokens = require('./tokenService');
+
+const CHALLENGE_EXPIRES_IN = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m';
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep +twoFactor.challengeId';
+
+const requiredRoles = () => {
+  const raw = process.env.TWO_FACTOR_REQUIRED_ROLES;
+  if(raw === undefined || raw === '') return ['admin'];
+  return raw.split(',').map((r) => r.trim()).filter((r) => r && r !== 'none');
+};
+
+const isRequiredFor = (role) => requiredRoles().includes(role);
+
+const findWithSecrets = (id) => User.findById(id).select(SECRET_FIELDS);
+
+async function issueChallenge(user){
+  const { token, jti } = tokens.signActionToken(user, 'login-2fa', CHALLENGE_EXPIRES_IN);
+  await User.updateOne({ _id: user._id }, { 'twoFactor.challengeId': jti });
+  return token;
+}
+
+// Returns the user (with secrets) for a live challenge token, otherwise null
+async function resolveChallenge(token){
+  const payload = tokens.verifyActionToken(token, 'login-2fa');
+  if(!payload) return null;
+  const user = await findWithSecrets(payload.id);
+  if(!user || user.twoFactor.challengeId !== payload.jti) return null;
+  return user;
+}
+
+function newRecoveryCodes(){
+  const codes = totp.generateRecoveryCodes(Number(process.env.TWO_FACTOR_RECOVERY_CODES) || 10);
+  return { codes, hashes: codes.map((c) => tokens.hashToken(c.toLowerCase())) };
+}
+
+/**
+ * Checks a TOTP `code` or a one-time `recoveryCode` and records its use on
+ * `user` (not saved). Returns 'totp', 'recovery' or null.
+ */
+function checkSecondFactor(user, { code, recoveryCode }){
+  const tf = user.twoFactor;
+  if(code && tf.secret){
+    const step = totp.verifyTotp(tf.secret, code);
+    // Each time step can be used only once
+    if(step !== null && (tf.lastUsedStep === undefined || step > tf.lastUsedStep)){
+      tf.lastUsedStep = step;
+      return 'totp';
+    }
+  }
+  if(recoveryCode && tf.recoveryCodes && tf.recoveryCodes.length){
+    const hash = tokens.hashToken(String(recoveryCode).trim().toLowerCase());
+    const idx = tf.recoveryCodes.indexOf(hash);
+    if(idx >= 0){
+      tf.recoveryCodes.splice(idx, 1);
+      return 'recovery';
+    }
+  }
+  return null;
+}
+
+function beginSetup(user){
+  const secret = totp.generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  return { secret, otpauthUrl: totp.otpauthUrl(secret, { label: user.email, issuer: process.env.TWO_FACTOR_ISSUER || 'Shekhai' }) };
+}
+
+// Confirms the pending secret with a first code; returns the recovery codes or null
+function completeSetup(user, code){
+  const tf = user.twoFactor;
+  if(!tf.pendingSecret) return null;
+  const step = totp.verifyTotp(tf.pendingSecret, code);
+  if(step === null) return null;
+  const { codes, hashes } = newRecoveryCodes();
+  tf.secret = tf.pendingSecret;
+  tf.pendingSecret = undefined;
+  tf.enabled = true;
+  tf.enabledAt = new Date();
+  tf.lastUsedStep = step;
+  tf.recoveryCodes = hashes;
+  return codes;
+}
+
+function disable(user){
+  user.twoFactor = { enabled: false };
+}
+
+function regenerateRecoveryCodes(user){
+  const { codes, hashes } = newRecoveryCodes();
+  user.twoFactor.recoveryCodes = hashes;
+  return codes;
+}
+
+module.exports = {
+  SECRET_FIELDS,
+  isRequiredFor,
+  findWithSecrets,
+  issueChallenge,
+  resolveChallenge,
+  checkSecondFactor,
+  beginSetup,
+  completeSetup,
+  disable,
+  regenerateRecoveryCodes,
+};
@@ -0,0 +1,124 @@
+/**
+ * Per-learner lesson unlocking
+ * The status of every lesson (locked / unlocked / completed) is computed from
+ * the learner's UserProgress, enrollment and passed quizzes:
+ * - sequential  (course.progression.sequential): the previous lesson must be completed
+ * - quiz-gated  (course.progression.quizGated): every earlier quiz lesson must be passed
+ * - drip        (lesson.drip or module.drip): unlocks `afterDays` after enrolling
+ *               or on a fixed `date`
+ * Completed lessons and preview lessons stay open; instructors and admins see
+ * everything unlocked.
+ */
+const UserProgress = require('../models/UserProgress');
+const QuizAttempt = require('../models/QuizAttempt');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const byOrder = (a, b) => (a.order || 0) - (b.order || 0);
+
+// Modules and their lessons in learning order
+function orderedLessons(course){
+  const list = [];
+  [...(course.modules || [])].sort(byOrder).forEach((module) => {
+    [...(module.lessons || [])].sort(byOrder).forEach((lesson) => list.push({ module, lesson }));
+  });
+  return list;
+}
+
+function dripDate(drip, enrolledAt){
+  if(!drip) return null;
+  if(drip.date) return new Date(drip.date);
+  if(drip.afterDays !== undefined && drip.afterDays !== null && enrolledAt){
+    return new Date(new Date(enrolledAt).getTime() + drip.afterDays * DAY_MS);
+  }
+  return null;
+}
+
+/**
+ * Pure rule evaluation. Returns a Map of lessonId -> `{ status, reason, unlocksAt, quizId }`.
+ * `context`: completedLessonIds (Set), passedQuizIds (Set), enrolledAt, now, unrestricted.
+ */
+function computeLessonStates(course, context){
+  const { completedLessonIds = new Set(), passedQuizIds = new Set(), enrolledAt, unrestricted = false } = context;
+  const now = context.now || new Date();
+  const progression = course.progression || {};
+  const states = new Map();
+
+  let previousCompleted = true;
+  let pendingQuiz = null;
+
+  for(const { module, lesson } of orderedLessons(course)){
+    const id = String(lesson._id);
+    const completed = completedLessonIds.has(id);
+    let state = { status: completed ? 'completed' : 'unlocked' };
+
+    if(!completed && !unrestricted && !lesson.isPreview){
+      const unlocksAt = dripDate(lesson.drip, enrolledAt) || dripDate(module.drip, enrolledAt);
+      if(unlocksAt && now < unlocksAt){
+        state = { status: 'locked', reason: 'drip', unlocksAt };
+      } else if(progression.quizGated && pendingQuiz){
+        state = { status: 'locked', reason: 'quiz-not-passed', quizId: pendingQuiz };
+      } else if(progression.sequential && !previousCompleted){
+        state = { status: 'locked', reason: 'previous-lesson' };
+      }
+    }
+    states.set(id, state);
+
+    previousCompleted = completed;
+    if(progression.quizGated && !pendingQuiz && lesson.type === 'quiz' && lesson.quizId && !passedQuizIds.has(String(lesson.quizId))){
+      pendingQuiz = String(lesson.quizId);
+    }
+  }
+  return states;
+}
+
+/**
+ * Lesson states for a user with the given access decision
+ * (see courseAccessService.getAccess).
+ */
+async function getLessonStates(userId, course, access){
+  if(access.level !== 'full'){
+    // Without access only preview lessons are open
+    const states = new Map();
+    orderedLessons(course).forEach(({ lesson }) => states.set(
+      String(lesson._id),
+      lesson.isPreview ? { status: 'unlocked' } : { status: 'locked', reason: 'enrollment-required' }
+    ));
+    return states;
+  }
+
+  const unrestricted = access.reason === 'admin' || access.reason === 'instructor';
+  const [progress, passedQuizIds] = await Promise.all([
+    UserProgress.findOne({ userId, courseId: course._id }).select('completedLessons').lean(),
+    QuizAttempt.distinct('quizId', { userId, courseId: course._id, status: 'completed', isPassed: true })
+  ]);
+
+  const enrollment = access.enrollment;
+  return computeLessonStates(course, {
+    completedLessonIds: new Set(((progress && progress.completedLessons) || []).map((cl) => String(cl.lessonId))),
+    passedQuizIds: new Set(passedQuizIds.map(String)),
+    enrolledAt: enrollment ? (enrollment.enrollmentDate || enrollment.createdAt) : null,
+    unrestricted
+  });
+}
+
+/**
+ * Annotates already-filtered modules with the computed status; locked lessons
+ * lose their content (only the outline remains).
+ */
+function applyLessonStates(modules, states, outline){
+  return modules.map((module) => {
+    const lessons = (module.lessons || []).map((lesson) => {
+      const state = states.get(String(lesson._id)) || { status: 'locked' };
+      const base = state.status === 'locked' ? outline(lesson) : lesson;
+      return { ...base, ...state, locked: state.status === 'locked' };
+    });
+    const statuses = lessons.map((l) => l.status);
+    let status = 'locked';
+    if(statuses.length && statuses.every((s) => s === 'completed')) status = 'completed';
+    else if(statuses.some((s) => s !== 'locked')) status = 'unlocked';
+    return { ...module, lessons, status };
+  });
+}
+
+module.exports = { orderedLessons, computeLessonStates, getLessonStates, applyLessonStates };
@@ -0,0 +1,151 @@
+/**
+ * Video watch tracking
+ * - The player sends a heartbeat every few seconds with the range it played
+ *   since the previous one (`from`..`to`) and the current `position`.
+ * - Ranges are merged per learner and lesson (VideoWatch). A range may cover
+ *   at most MAX_PLAYBACK_RATE times the wall-clock time since the previous
+ *   heartbeat, plus a little slack for timer jitter that is itself capped by
+ *   that time, so forged or looped requests cannot credit the video faster
+ *   than (MAX_PLAYBACK_RATE + 1)× real time (the first heartbeat counts as
+ *   MAX_HEARTBEAT_INTERVAL). The route is rate limited too.
+ * - Once VIDEO_COMPLETION_PERCENT (or course.progression.videoCompletionPercent)
+ *   of the video is watched the lesson is completed in UserProgress.
+ */
+const VideoWatch = require('../models/VideoWatch');
+const progressService = require('./progressService');
+
+const DEFAULT_COMPLETION_PERCENT = Number(process.env.VIDEO_COMPLETION_PERCENT) || 90;
+const MAX_PLAYBACK_RATE = 2;
+const SLACK_SECONDS = 5;
+// Longest gap credited as watch time; players pause, tabs sleep
+const MAX_HEARTBEAT_INTERVAL = 60;
+
+const toSeconds = (value) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+};
+
+// Sorts and merges overlapping (or touching, within 1s) ranges
+function mergeRanges(ranges){
+  const sorted = ranges
+    .filter((r) => r.end > r.start)
+    .map((r) => ({ start: r.start, end: r.end }))
+    .sort((a, b) => a.start - b.start);
+  const merged = [];
+  for(const range of sorted){
+    const last = merged[merged.length - 1];
+    if(last && range.start <= last.end + 1) last.end = Math.max(last.end, range.end);
+    else merged.push(range);
+  }
+  return merged;
+}
+
+const totalSeconds = (ranges) => ranges.reduce((sum, r) => sum + (r.end - r.start), 0);
+
+const completionPercent = (course) =>
+  (course.progression && course.progression.videoCompletionPercent) || DEFAULT_COMPLETION_PERCENT;
+
+async function findOrCreate(userId, course, found){
+  const key = { userId, lessonId: found.lesson._id };
+  const existing = await VideoWatch.findOne(key);
+  if(existing) return existing;
+  try {
+    return await VideoWatch.create({ ...key, courseId: course._id, moduleId: found.module._id });
+  } catch(err){
+    if(err.code === 11000) return VideoWatch.findOne(key);
+    throw err;
+  }
+}
+
+/**
+ * Records one heartbeat. Resolves to `{ watch, completed, progress }`, or
+ * null when the lesson is not part of the course.
+ */
+async function recordHeartbeat(userId, course, lessonId, beat = {}){
+  const found = progressService.findLesson(course, lessonId);
+  if(!found) return null;
+
+  const watch = await findOrCreate(userId, course, found);
+  const now = new Date();
+  const elapsed = watch.lastHeartbeatAt
+    ? Math.min((now - watch.lastHeartbeatAt) / 1000, MAX_HEARTBEAT_INTERVAL)
+    : MAX_HEARTBEAT_INTERVAL;
+
+  const duration = toSeconds(found.lesson.duration) || toSeconds(beat.duration) || watch.duration || 0;
+  watch.duration = duration;
+
+  let credited = 0;
+  const from = toSeconds(beat.from);
+  let to = toSeconds(beat.to);
+  if(from !== null && to !== null && to > from){
+    to = Math.min(to, from + elapsed * MAX_PLAYBACK_RATE + Math.min(SLACK_SECONDS, elapsed));
+    if(duration) to = Math.min(to, duration);
+    if(to > from){
+      watch.ranges = mergeRanges([...watch.ranges, { start: from, end: to }]);
+      credited = Math.round(Math.min(to - from, elapsed));
+    }
+  }
+
+  watch.watchedSeconds = Math.round(totalSeconds(watch.ranges));
+  watch.watchedPercentage = duration ? Math.min(100, Math.round((watch.watchedSeconds / duration) * 100)) : 0;
+  const position = toSeconds(beat.position);
+  if(position !== null) watch.position = duration ? Math.min(position, duration) : position;
+  watch.heartbeats += 1;
+  watch.lastHeartbeatAt = now;
+
+  const justCompleted = !watch.completedAt && duration > 0 && watch.watchedPercentage >= completionPercent(course);
+  if(justCompleted) watch.completedAt = now;
+  await watch.save();
+
+  const progress = await progressService.recordLessonProgress(userId, course, lessonId, {
+    timeSpent: credited,
+    position: watch.position,
+    completed: justCompleted ? true : undefined
+  });
+
+  return { watch, completed: justCompleted, progress };
+}
+
+/**
+ * Drop-off curve of a lesson video: the share of viewers who watched each
+ * of `buckets` equal slices of the video, plus summary numbers.
+ */
+async function dropOff(course, lessonId, buckets = 20){
+  const found = progressService.findLesson(course, lessonId);
+  if(!found) return null;
+
+  const watches = await VideoWatch.find({ courseId: course._id, lessonId: found.lesson._id })
+    .select('ranges duration watchedPercentage completedAt')
+    .lean();
+
+  const duration = toSeconds(found.lesson.duration) || Math.max(0, ...watches.map((w) => w.duration || 0));
+  const viewers = watches.length;
+  const size = duration / buckets;
+
+  const curve = [];
+  for(let i = 0; duration > 0 && i < buckets; i += 1){
+    const start = i * size;
+    const end = start + size;
+    const watched = watches.filter((w) => w.ranges.some((r) => r.start < end && r.end > start)).length;
+    curve.push({
+      from: Math.round(start),
+      to: Math.round(end),
+      viewers: watched,
+      retention: viewers ? Math.round((watched / viewers) * 100) : 0
+    });
+  }
+
+  const average = viewers ? Math.round(watches.reduce((sum, w) => sum + (w.watchedPercentage || 0), 0) / viewers) : 0;
+  return {
+    lessonId: found.lesson._id,
+    title: found.lesson.title,
+    duration,
+    viewers,
+    completions: watches.filter((w) => w.completedAt).length,
+    averageWatchedPercentage: average,
+    completionPercent: completionPercent(course),
+    curve
+  };
+}
+
+module.exports = { mergeRanges, recordHeartbeat, dropOff };
@@ -0,0 +1,102 @@
+/**
+ * Route audit
+ * Walks the Express router stack at startup and reports every mutating route
+ * (POST/PUT/PATCH/DELETE) that has no authentication middleware and is not in
+ * the public-route allowlist (config/publicRoutes.js).
+ *
+ * ROUTE_AUDIT=strict  -> throw (refuse to start)       [default in production]
+ * ROUTE_AUDIT=warn    -> log the offending routes      [default elsewhere]
+ * ROUTE_AUDIT=off     -> skip
+ */
+const AUTH_GUARD = Symbol("authGuard");
+const MUTATING = ["post", "put", "patch", "delete"];
+
+// Tags a middleware as one that authenticates the request
+const markAuthGuard = (fn) => {
+  fn[AUTH_GUARD] = true;
+  return fn;
+};
+
+const isAuthGuard = (fn) => Boolean(fn && fn[AUTH_GUARD]);
+
+// Recovers the mount path of `app.use(path, router)` from the layer regexp
+function mountPath(layer) {
+  if (layer.regexp && layer.regexp.fast_slash) return "";
+  const source = layer.regexp ? layer.regexp.source : "";
+  return source
+    .replace(/^\^/, "")
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/i, "")
+    .replace(/\\\//g, "/");
+}
+
+function collectRoutes(stack, prefix = "", routes = []) {
+  for (const layer of stack) {
+    if (layer.route) {
+      const handlers = layer.route.stack.map((l) => l.handle);
+      Object.keys(layer.route.methods)
+        .filter((m) => layer.route.methods[m])
+        .forEach((method) => {
+          routes.push({
+            method: method.toUpperCase(),
+            path: layer.route.path === "/" && prefix ? prefix : `${prefix}${layer.route.path}`,
+            authenticated: handlers.some(isAuthGuard),
+          });
+        });
+    } else if (layer.name === "router" && layer.handle && layer.handle.stack) {
+      collectRoutes(layer.handle.stack, `${prefix}${mountPath(layer)}`, routes);
+    }
+  }
+  return routes;
+}
+
+function auditRoutes(app, allowlist = []) {
+  const allowed = new Map(allowlist.map((r) => [`${r.method} ${r.path}`, r.reason]));
+  const routes = collectRoutes(app._router ? app._router.stack : []).map((route) => {
+    const key = `${route.method} ${route.path}`;
+    const mutating = MUTATING.includes(route.method.toLowerCase());
+    return {
+      ...route,
+      mutating,
+      allowlisted: allowed.has(key),
+      reason: allowed.get(key),
+      unprotected: mutating && !route.authenticated && !allowed.has(key),
+    };
+  });
+
+  const seen = new Set(routes.map((r) => `${r.method} ${r.path}`));
+  return {
+    total: routes.length,
+    mutating: routes.filter((r) => r.mutating).length,
+    authenticated: routes.filter((r) => r.authenticated).length,
+    allowlisted: routes.filter((r) => r.allowlisted).length,
+    unprotected: routes.filter((r) => r.unprotected),
+    // Allowlist entries that no longer match a route are probably stale
+    staleAllowlist: allowlist.filter((r) => !seen.has(`${r.method} ${r.path}`)),
+    routes,
+  };
+}
+
+function runStartupAudit(app, allowlist) {
+  const mode = process.env.ROUTE_AUDIT || (process.env.NODE_ENV === "production" ? "strict" : "warn");
+  if (mode === "off") return null;
+
+  const report = auditRoutes(app, allowlist);
+  report.staleAllowlist.forEach((r) =>
+    console.warn(`⚠️ Route audit: allowlisted route not found: ${r.method} ${r.path}`),
+  );
+
+  if (report.unprotected.length === 0) {
+    console.log(
+      `🔒 Route audit: ${report.mutating} mutating routes, ${report.allowlisted} public by allowlist, none unprotected`,
+    );
+    return report;
+  }
+
+  const list = report.unprotected.map((r) => `  ${r.method} ${r.path}`).join("\n");
+  const message = `Route audit: ${report.unprotected.length} mutating route(s) without auth middleware:\n${list}`;
+  if (mode === "strict") throw new Error(message);
+  console.warn(`⚠️ ${message}`);
+  return report;
+}
+
+module.exports = { markAuthGuard, isAuthGuard, collectRoutes, auditRoutes, runStartupAudit };